@@ -0,0 +1,100 @@
+import { GoogleGenAI } from '@google/genai';
+import { config } from '../config.js';
+import { StoreManager } from '../sync/store-manager.js';
+
+/**
+ * Chat Service
+ * Answers questions from the synced File Search stores
+ */
+export class ChatService {
+  /**
+   * @param {Object} options - { stores } display names of the stores to search;
+   *   defaults to FILE_SEARCH_STORE_NAME, so restricted stores are only
+   *   searched when asked for
+   */
+  constructor({ stores = null } = {}) {
+    this.ai = new GoogleGenAI({ apiKey: config.gemini.apiKey });
+    this.model = config.gemini.model;
+    this.storeManager = new StoreManager();
+    this.storeDisplayNames = stores?.length ? stores : [this.storeManager.storeName];
+    this.storeNames = null; // Set once the stores have been checked
+    this.history = [];
+    this.maxHistory = 10; // Messages kept for multi-turn context
+  }
+
+  /**
+   * Resolve the File Search stores to query
+   * The stores are checked remotely on first use, so a deleted store gives a
+   * clear error rather than failing every question
+   * @returns {Promise<Array<string>>} Store resource names
+   */
+  async getStoreNames() {
+    if (this.storeNames) {
+      return this.storeNames;
+    }
+
+    const storeNames = [];
+    for (const displayName of this.storeDisplayNames) {
+      const store = await this.storeManager.getStoreFromDatabase(displayName);
+      if (!store) {
+        throw new Error(`No File Search store named ${displayName} found. Run a sync first.`);
+      }
+      if (!(await this.storeManager.storeExists(store.name))) {
+        throw new Error(`File Search store ${store.name} no longer exists. Run a sync to recreate it.`);
+      }
+      storeNames.push(store.name);
+    }
+
+    this.storeNames = storeNames;
+    return this.storeNames;
+  }
+
+  /**
+   * Ask a question
+   * @param {string} question - User question
+   * @returns {Promise<Object>} Answer text and cited sources
+   */
+  async ask(question) {
+    const storeNames = await this.getStoreNames();
+
+    // The question joins the history only once answered, so a failed request
+    // doesn't leave two user turns in a row
+    const turn = { role: 'user', parts: [{ text: question }] };
+    const response = await this.ai.models.generateContent({
+      model: this.model,
+      contents: [...this.history, turn],
+      config: {
+        tools: [{ fileSearch: { fileSearchStoreNames: storeNames } }]
+      }
+    });
+
+    const answer = response.text || '';
+    this.history.push(turn, { role: 'model', parts: [{ text: answer }] });
+    this.history = this.history.slice(-this.maxHistory);
+
+    return {
+      answer,
+      sources: this.extractSources(response)
+    };
+  }
+
+  /**
+   * Extract cited document titles from grounding metadata
+   * @param {Object} response - generateContent response
+   * @returns {Array<string>} Unique source titles
+   */
+  extractSources(response) {
+    const chunks = response.candidates?.[0]?.groundingMetadata?.groundingChunks || [];
+    const titles = chunks
+      .map(chunk => chunk.retrievedContext?.title)
+      .filter(Boolean);
+    return [...new Set(titles)];
+  }
+
+  /**
+   * Clear conversation history
+   */
+  clearHistory() {
+    this.history = [];
+  }
+}
@@ -9,15 +9,41 @@ const projectRoot = path.resolve(__dirname, '..');
 // Load environment variables from project root
 dotenv.config({ path: path.join(projectRoot, '.env') });
 
+// Confluence content types that can be synced
+const CONTENT_TYPES = ['page', 'blogpost'];
+
+// Page body formats pages can be converted from
+const BODY_FORMATS = ['storage', 'adf'];
+
+// How page metadata is written at the top of converted files
+const METADATA_FORMATS = ['header', 'frontmatter'];
+
+// Space types and statuses that wildcard space discovery can filter on
+const SPACE_TYPES = ['global', 'personal'];
+const SPACE_STATUSES = ['current', 'archived'];
+
+// Credentials each deployment mode authenticates with
+const DEPLOYMENT_CREDENTIALS = {
+  cloud: ['CONFLUENCE_EMAIL', 'CONFLUENCE_API_TOKEN'], // Basic auth with an API token
+  server: ['CONFLUENCE_PAT'], // Data Center / Server personal access token
+};
+
 /**
  * Validate required environment variables
  */
 function validateConfig() {
+  const deployment = config.confluence.deployment;
+  if (!DEPLOYMENT_CREDENTIALS[deployment]) {
+    throw new Error(
+      `Unknown CONFLUENCE_DEPLOYMENT: ${deployment}\n` +
+      `Supported deployments are: ${Object.keys(DEPLOYMENT_CREDENTIALS).join(', ')}`
+    );
+  }
+
   const required = [
     'GOOGLE_API_KEY',
     'CONFLUENCE_BASE_URL',
-    'CONFLUENCE_EMAIL',
-    'CONFLUENCE_API_TOKEN',
+    ...DEPLOYMENT_CREDENTIALS[deployment],
     'CONFLUENCE_SPACE_KEYS',
   ];
 
@@ -29,6 +55,86 @@ function validateConfig() {
       'Please copy .env.example to .env and fill in your credentials.'
     );
   }
+
+  const contentTypeLists = [
+    config.confluence.contentTypes,
+    ...Object.values(config.confluence.spaces).map(space => space.contentTypes),
+  ];
+  const unknown = contentTypeLists.flat().filter(type => !CONTENT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown Confluence content types: ${[...new Set(unknown)].join(', ')}\n` +
+      `Supported types are: ${CONTENT_TYPES.join(', ')}`
+    );
+  }
+
+  const rootPageIds = [
+    config.confluence.rootPageIds,
+    ...Object.values(config.confluence.spaces).map(space => space.rootPageIds || []),
+  ].flat();
+  const invalidIds = rootPageIds.filter(id => !/^\d+$/.test(id));
+  if (invalidIds.length > 0) {
+    throw new Error(`Root page IDs must be numeric: ${invalidIds.join(', ')}`);
+  }
+
+  const bodyFormats = [config.confluence, ...Object.values(config.confluence.spaces)]
+    .map(settings => settings.bodyFormat)
+    .filter(Boolean);
+  const unknownFormats = bodyFormats.filter(format => !BODY_FORMATS.includes(format));
+  if (unknownFormats.length > 0) {
+    throw new Error(
+      `Unknown body formats: ${unknownFormats.join(', ')}\n` +
+      `Supported formats are ${BODY_FORMATS.join(', ')}`
+    );
+  }
+  if (deployment === 'server' && bodyFormats.includes('adf')) {
+    throw new Error('The adf body format is only available on Confluence Cloud');
+  }
+
+  if (!METADATA_FORMATS.includes(config.confluence.metadataFormat)) {
+    throw new Error(
+      `Unknown metadata format: ${config.confluence.metadataFormat}\n` +
+      `Supported formats are ${METADATA_FORMATS.join(', ')}`
+    );
+  }
+
+  const { types, statuses } = config.confluence.spaceDiscovery;
+  const invalidFilters = [
+    ...types.filter(type => !SPACE_TYPES.includes(type)),
+    ...statuses.filter(status => !SPACE_STATUSES.includes(status)),
+  ];
+  if (invalidFilters.length > 0) {
+    throw new Error(
+      `Unknown space discovery filters: ${invalidFilters.join(', ')}\n` +
+      `Supported types are ${SPACE_TYPES.join(', ')}; statuses are ${SPACE_STATUSES.join(', ')}`
+    );
+  }
+
+  if (config.confluence.timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-GB', { timeZone: config.confluence.timeZone });
+    } catch (error) {
+      throw new Error(`Unknown CONFLUENCE_TIMEZONE ${config.confluence.timeZone}: ${error.message}`);
+    }
+  }
+
+  const invalidMappings = config.gemini.storeMappings.filter(mapping => !mapping.storeName || mapping.spaceKeys.length === 0);
+  if (invalidMappings.length > 0) {
+    throw new Error(
+      'Invalid FILE_SEARCH_STORES entries; use store-name:SPACE1,SPACE2 separated by semicolons'
+    );
+  }
+
+  const patterns = [config.confluence, ...Object.values(config.confluence.spaces)]
+    .flatMap(settings => [settings.includeTitlePattern, settings.excludeTitlePattern])
+    .filter(Boolean);
+  for (const pattern of patterns) {
+    try {
+      new RegExp(pattern);
+    } catch (error) {
+      throw new Error(`Invalid title pattern ${pattern}: ${error.message}`);
+    }
+  }
 }
 
 /**
@@ -42,25 +148,178 @@ function parseSpaceKeys(spaceKeysString) {
     .filter(key => key.length > 0);
 }
 
+/**
+ * Parse a comma-separated content type list
+ */
+function parseContentTypes(contentTypesString) {
+  return parseSpaceKeys(contentTypesString).map(type => type.toLowerCase());
+}
+
+/**
+ * Normalise the path Confluence is served under
+ * Cloud always uses /wiki; Data Center / Server is often at the root or /confluence
+ * @param {string} deployment - 'cloud' or 'server'
+ * @param {string|undefined} contextPath - CONFLUENCE_CONTEXT_PATH value
+ * @returns {string} Path with a leading slash and no trailing slash, or ''
+ */
+function parseContextPath(deployment, contextPath) {
+  if (contextPath === undefined) {
+    return deployment === 'cloud' ? '/wiki' : '';
+  }
+
+  const trimmed = contextPath.trim().replace(/^\/+|\/+$/g, '');
+  return trimmed ? `/${trimmed}` : '';
+}
+
+/**
+ * Parse the stores spaces are routed to, e.g. "hr-restricted:HR,PEOPLE;engineering:ENG*"
+ * @returns {Array<Object>} { storeName, spaceKeys } in configured order; spaceKeys may be patterns
+ */
+function parseStoreMappings(mappingsString) {
+  if (!mappingsString) return [];
+  return mappingsString
+    .split(';')
+    .map(entry => entry.trim())
+    .filter(entry => entry.length > 0)
+    .map(entry => {
+      const [storeName, spaceKeys] = entry.split(':');
+      return { storeName: storeName.trim(), spaceKeys: parseSpaceKeys(spaceKeys) };
+    });
+}
+
+/**
+ * Parse a true/false flag
+ */
+function parseBoolean(value) {
+  return value.trim().toLowerCase() === 'true';
+}
+
+/**
+ * Parse a comma-separated label list (labels are lowercase in Confluence)
+ */
+function parseLabels(labelsString) {
+  return parseSpaceKeys(labelsString).map(label => label.toLowerCase());
+}
+
+/**
+ * Parse an optional regular expression source
+ */
+function parsePattern(value) {
+  return value?.trim() || null;
+}
+
+// Settings that can be overridden per space by appending _<SPACE_KEY> to the
+// environment variable name
+const SPACE_SETTINGS = {
+  contentTypes: { env: 'CONFLUENCE_CONTENT_TYPES', parse: parseContentTypes },
+  syncComments: { env: 'CONFLUENCE_SYNC_COMMENTS', parse: parseBoolean },
+  openTasks: { env: 'CONFLUENCE_OPEN_TASKS', parse: parseBoolean },
+  splitSections: { env: 'CONFLUENCE_SPLIT_SECTIONS', parse: parseBoolean },
+  bodyFormat: { env: 'CONFLUENCE_BODY_FORMAT', parse: value => value.trim().toLowerCase() },
+  rootPageIds: { env: 'CONFLUENCE_ROOT_PAGES', parse: parseSpaceKeys },
+  includeLabels: { env: 'CONFLUENCE_INCLUDE_LABELS', parse: parseLabels },
+  excludeLabels: { env: 'CONFLUENCE_EXCLUDE_LABELS', parse: parseLabels },
+  includeTitlePattern: { env: 'CONFLUENCE_INCLUDE_TITLE_PATTERN', parse: parsePattern },
+  excludeTitlePattern: { env: 'CONFLUENCE_EXCLUDE_TITLE_PATTERN', parse: parsePattern },
+  includeAncestorIds: { env: 'CONFLUENCE_INCLUDE_ANCESTORS', parse: parseSpaceKeys },
+  excludeAncestorIds: { env: 'CONFLUENCE_EXCLUDE_ANCESTORS', parse: parseSpaceKeys },
+};
+
+/**
+ * Collect per-space overrides from environment variables
+ * e.g. CONFLUENCE_CONTENT_TYPES_DEV=page,blogpost overrides the content types
+ * synced for the DEV space
+ * @returns {Object} Overrides keyed by space key
+ */
+function parseSpaceOverrides() {
+  const spaces = {};
+
+  for (const [setting, { env, parse }] of Object.entries(SPACE_SETTINGS)) {
+    const prefix = `${env}_`;
+    for (const [name, value] of Object.entries(process.env)) {
+      if (name.startsWith(prefix) && value) {
+        const spaceKey = name.slice(prefix.length);
+        spaces[spaceKey] = { ...spaces[spaceKey], [setting]: parse(value) };
+      }
+    }
+  }
+
+  return spaces;
+}
+
 /**
  * Build configuration object from environment variables
  * Use this for testing or when you need a fresh config without validation/logging
  */
 export function buildConfig() {
+  const baseUrl = process.env.CONFLUENCE_BASE_URL?.replace(/\/$/, ''); // Remove trailing slash
+  const deployment = (process.env.CONFLUENCE_DEPLOYMENT || 'cloud').trim().toLowerCase();
+  const contextPath = parseContextPath(deployment, process.env.CONFLUENCE_CONTEXT_PATH);
+
   return {
     // Confluence settings
     confluence: {
-      baseUrl: process.env.CONFLUENCE_BASE_URL?.replace(/\/$/, ''), // Remove trailing slash
+      baseUrl,
+      deployment, // 'cloud' or 'server' (Data Center / Server)
+      contextPath,
+      // Root that REST paths and page _links are relative to
+      wikiUrl: baseUrl ? `${baseUrl}${contextPath}` : undefined,
       email: process.env.CONFLUENCE_EMAIL,
       apiToken: process.env.CONFLUENCE_API_TOKEN,
+      personalAccessToken: process.env.CONFLUENCE_PAT,
+      // Time zone CQL dates are read in; looked up from the user on Cloud when unset
+      timeZone: process.env.CONFLUENCE_TIMEZONE || null,
+      // Space keys, or patterns such as * and ENG* to discover spaces
       spaceKeys: parseSpaceKeys(process.env.CONFLUENCE_SPACE_KEYS),
+      spaceDiscovery: {
+        excludePatterns: parseSpaceKeys(process.env.CONFLUENCE_EXCLUDE_SPACES),
+        types: parseLabels(process.env.CONFLUENCE_SPACE_TYPES || 'global'),
+        statuses: parseLabels(process.env.CONFLUENCE_SPACE_STATUSES || 'current'),
+      },
+      // Content types synced for every space unless overridden per space
+      contentTypes: parseContentTypes(process.env.CONFLUENCE_CONTENT_TYPES || 'page'),
+      syncComments: process.env.CONFLUENCE_SYNC_COMMENTS === 'true', // Default false
+      openTasks: process.env.CONFLUENCE_OPEN_TASKS === 'true', // Default false
+      // Store large pages as one document per H1/H2 section
+      splitSections: process.env.CONFLUENCE_SPLIT_SECTIONS === 'true', // Default false
+      // Pages whose converted body is shorter than this stay in one document
+      sectionMinChars: parseInt(process.env.CONFLUENCE_SECTION_MIN_CHARS || '20000', 10),
+      // 'storage' converts body.storage XHTML; 'adf' converts the Cloud ADF body
+      bodyFormat: (process.env.CONFLUENCE_BODY_FORMAT || 'storage').trim().toLowerCase(),
+      // 'header' writes a readable bold header; 'frontmatter' writes YAML
+      metadataFormat: (process.env.CONFLUENCE_METADATA_FORMAT || 'header').toLowerCase(),
+      // Directory of converter plugins (custom macro handlers and rules)
+      pluginDir: process.env.CONFLUENCE_PLUGIN_DIR
+        ? path.resolve(projectRoot, process.env.CONFLUENCE_PLUGIN_DIR)
+        : null,
+      // Page IDs whose trees are synced instead of the whole space (usually set per space)
+      rootPageIds: parseSpaceKeys(process.env.CONFLUENCE_ROOT_PAGES),
+      // Page filters, applied before change detection (see PageFilter)
+      includeLabels: parseLabels(process.env.CONFLUENCE_INCLUDE_LABELS),
+      excludeLabels: parseLabels(process.env.CONFLUENCE_EXCLUDE_LABELS),
+      includeTitlePattern: parsePattern(process.env.CONFLUENCE_INCLUDE_TITLE_PATTERN),
+      excludeTitlePattern: parsePattern(process.env.CONFLUENCE_EXCLUDE_TITLE_PATTERN),
+      includeAncestorIds: parseSpaceKeys(process.env.CONFLUENCE_INCLUDE_ANCESTORS),
+      excludeAncestorIds: parseSpaceKeys(process.env.CONFLUENCE_EXCLUDE_ANCESTORS),
+      spaces: parseSpaceOverrides(),
+      http: {
+        maxRetries: parseInt(process.env.CONFLUENCE_MAX_RETRIES || '5', 10),
+        maxConcurrent: parseInt(process.env.CONFLUENCE_MAX_CONCURRENT_REQUESTS || '4', 10),
+        baseDelayMs: 1000,
+        maxDelayMs: 60000,
+        // Throttled requests asked to wait longer than this fail instead
+        maxRetryAfterMs: 600000,
+      },
     },
 
     // Gemini API settings
     gemini: {
       apiKey: process.env.GOOGLE_API_KEY,
       model: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+      // Store for spaces not mapped to another one, and searched by chat by default
       fileSearchStoreName: process.env.FILE_SEARCH_STORE_NAME || 'confluence-knowledge-base',
+      // Spaces uploaded to separate stores, first match wins
+      storeMappings: parseStoreMappings(process.env.FILE_SEARCH_STORES),
     },
 
     // Sync settings
@@ -68,6 +327,13 @@ export function buildConfig() {
       intervalHours: parseInt(process.env.SYNC_INTERVAL_HOURS || '24', 10),
       maxPagesPerSync: parseInt(process.env.MAX_PAGES_PER_SYNC || '500', 10),
       excludeArchived: process.env.EXCLUDE_ARCHIVED !== 'false', // Default true
+      // Incremental syncs look back this far before the previous run, covering
+      // clock skew and the Confluence user's timezone in CQL date comparisons
+      incrementalOverlapMinutes: parseInt(process.env.INCREMENTAL_OVERLAP_MINUTES || '60', 10),
+      attachments: {
+        enabled: process.env.SYNC_ATTACHMENTS === 'true', // Default false
+        maxSizeMb: parseInt(process.env.ATTACHMENT_MAX_SIZE_MB || '20', 10),
+      },
       operationPollInterval: 2000, // 2 seconds
     },
 
@@ -91,6 +357,19 @@ export function buildConfig() {
   };
 }
 
+/**
+ * Get the effective sync settings for a space
+ * @param {string} spaceKey - Space key
+ * @returns {Object} { contentTypes, syncComments, openTasks, splitSections, bodyFormat, rootPageIds, and page filter settings }
+ */
+export function getSpaceSettings(spaceKey) {
+  const settings = {};
+  for (const setting of Object.keys(SPACE_SETTINGS)) {
+    settings[setting] = config.confluence.spaces[spaceKey]?.[setting] ?? config.confluence[setting];
+  }
+  return settings;
+}
+
 /**
  * Configuration object - initialized at module load
  * For production use, call initializeConfig() at app startup to validate and log config
@@ -111,7 +390,7 @@ export function initializeConfig() {
     config = buildConfig();
     validateConfig();
     console.log('✓ Configuration loaded successfully');
-    console.log(`  Confluence: ${config.confluence.baseUrl}`);
+    console.log(`  Confluence: ${config.confluence.wikiUrl} (${config.confluence.deployment})`);
     console.log(`  Spaces: ${config.confluence.spaceKeys.join(', ')}`);
     console.log(`  Sync interval: ${config.sync.intervalHours} hours`);
     console.log(`  Database: ${config.storage.dbPath}`);
@@ -123,4 +402,4 @@ export function initializeConfig() {
 }
 
 // Export for testing
-export { validateConfig, parseSpaceKeys };
+export { validateConfig, parseSpaceKeys, parseContextPath, parseStoreMappings, CONTENT_TYPES };
@@ -0,0 +1,313 @@
+import { fence, renderPanel, renderExpand } from './macros.js';
+import { renderTable } from './tables.js';
+import { recordLoss } from './fidelity.js';
+
+// ADF panel types and the label their blockquote starts with
+const PANEL_LABELS = {
+  info: 'Info',
+  note: 'Note',
+  warning: 'Warning',
+  error: 'Error',
+  success: 'Success',
+  tip: 'Tip',
+  custom: 'Panel',
+};
+
+/**
+ * Atlassian Document Format (ADF) to Markdown Converter
+ * Converts the body.atlas_doc_format of Confluence Cloud pages. Output follows
+ * the storage format converter (panels, tables, tasks, links), so both sources
+ * produce the same markdown for the same page.
+ */
+export class AdfConverter {
+  /**
+   * @param {Function} escape - Escapes markdown characters in plain text
+   */
+  constructor(escape) {
+    this.escape = escape;
+  }
+
+  /**
+   * Convert an ADF document
+   * @param {Object} doc - ADF document (type 'doc')
+   * @param {Object} context - Page being converted
+   *   ({ wikiUrl, pageId, users, tasks }), as for the storage format converter
+   * @returns {string} Markdown
+   */
+  convert(doc, context = {}) {
+    return this.blocks(doc.content, context).replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  /**
+   * Convert a list of block nodes
+   * @param {Array<Object>} nodes - ADF nodes
+   * @param {Object} context - Conversion context
+   * @param {string} separator - Text between blocks
+   * @returns {string} Markdown
+   */
+  blocks(nodes = [], context, separator = '\n\n') {
+    return nodes.map(node => this.block(node, context)).filter(Boolean).join(separator);
+  }
+
+  /**
+   * Convert a block node
+   * @param {Object} node - ADF node
+   * @param {Object} context - Conversion context
+   * @returns {string} Markdown
+   */
+  block(node, context) {
+    const attrs = node.attrs || {};
+
+    switch (node.type) {
+      case 'paragraph':
+        return this.inline(node.content, context);
+      case 'heading':
+        return `${'#'.repeat(attrs.level || 1)} ${this.inline(node.content, context)}`;
+      case 'bulletList':
+        return this.list(node, context, () => '- ');
+      case 'orderedList':
+        return this.list(node, context, index => `${(attrs.order || 1) + index}. `);
+      case 'taskList':
+        return this.taskList(node, context);
+      case 'decisionList':
+        return (node.content || []).map(item => this.decision(item, context)).join('\n');
+      case 'blockquote':
+        return this.blocks(node.content, context).replace(/^/gm, '> ').replace(/^> $/gm, '>');
+      case 'rule':
+        return '---';
+      case 'codeBlock':
+        return fence(plainText(node), (attrs.language || '').toLowerCase()).trim();
+      case 'panel':
+        return renderPanel(PANEL_LABELS[attrs.panelType] || 'Panel', '', this.blocks(node.content, context)).trim();
+      case 'expand':
+      case 'nestedExpand':
+        return renderExpand(attrs.title, this.blocks(node.content, context)).trim();
+      case 'table':
+        return this.table(node, context);
+      case 'mediaSingle':
+        return (node.content || []).map(media => this.media(media, 'Image', context)).join('\n');
+      case 'mediaGroup':
+        return (node.content || []).map(media => this.media(media, 'Attachment', context)).join('\n');
+      case 'blockCard':
+      case 'embedCard':
+        return attrs.url ? `[${attrs.url}](${attrs.url})` : '';
+      case 'extension':
+        // Macros without a body have nothing to index
+        recordLoss(context, 'unknownMacros', attrs.extensionKey || 'extension');
+        return '';
+      default:
+        // bodiedExtension, layoutSection, layoutColumn and unknown containers
+        // keep their content
+        if (node.content?.some(child => child.type === 'text')) {
+          return this.inline(node.content, context);
+        }
+        return this.blocks(node.content, context);
+    }
+  }
+
+  /**
+   * Convert a list of inline nodes
+   * @param {Array<Object>} nodes - ADF nodes
+   * @param {Object} context - Conversion context
+   * @returns {string} Markdown
+   */
+  inline(nodes = [], context) {
+    return nodes.map(node => this.inlineNode(node, context)).join('');
+  }
+
+  /**
+   * Convert an inline node
+   * @param {Object} node - ADF node
+   * @param {Object} context - Conversion context
+   * @returns {string} Markdown
+   */
+  inlineNode(node, context) {
+    const attrs = node.attrs || {};
+
+    switch (node.type) {
+      case 'text':
+        return this.text(node);
+      case 'hardBreak':
+        return '  \n';
+      case 'mention':
+        return `@${this.mentionName(node, context)}`;
+      case 'emoji':
+        return attrs.text || attrs.shortName || '';
+      case 'date':
+        return formatDate(node);
+      case 'status':
+        return attrs.text ? `[${attrs.text}]` : '';
+      case 'inlineCard':
+        return attrs.url ? `[${attrs.url}](${attrs.url})` : '';
+      case 'placeholder':
+      case 'inlineExtension':
+        return '';
+      default:
+        return node.content ? this.inline(node.content, context) : this.escape(node.text || '');
+    }
+  }
+
+  /**
+   * Convert a text node with its marks
+   * @param {Object} node - ADF text node
+   * @returns {string} Markdown
+   */
+  text(node) {
+    const marks = node.marks || [];
+
+    let text;
+    if (marks.some(mark => mark.type === 'code')) {
+      const delimiter = node.text.includes('`') ? '``' : '`';
+      text = `${delimiter}${node.text}${delimiter}`;
+    } else {
+      text = this.escape(node.text);
+    }
+
+    for (const mark of marks) {
+      if (mark.type === 'strong') text = `**${text}**`;
+      if (mark.type === 'em') text = `_${text}_`;
+      if (mark.type === 'strike') text = `~~${text}~~`;
+    }
+
+    const link = marks.find(mark => mark.type === 'link');
+    return link?.attrs?.href ? `[${text}](${link.attrs.href})` : text;
+  }
+
+  /**
+   * Convert a bullet or ordered list
+   * @param {Object} node - ADF list node
+   * @param {Object} context - Conversion context
+   * @param {Function} marker - Returns the marker of the item at an index
+   * @returns {string} Markdown
+   */
+  list(node, context, marker) {
+    return (node.content || []).map((item, index) => {
+      const prefix = marker(index);
+      const body = this.blocks(item.content, context, '\n');
+      return `${prefix}${body.replace(/\n/g, `\n${' '.repeat(prefix.length)}`)}`;
+    }).join('\n');
+  }
+
+  /**
+   * Convert a task list to checkboxes, recording each task on the context
+   * @param {Object} node - ADF taskList node
+   * @param {Object} context - Conversion context
+   * @returns {string} Markdown
+   */
+  taskList(node, context) {
+    return (node.content || []).map(item => {
+      if (item.type === 'taskList') {
+        return this.taskList(item, context).replace(/^/gm, '  ');
+      }
+
+      const complete = item.attrs?.state === 'DONE';
+      this.recordTask(item, complete, context);
+      return `${complete ? '- [x]' : '- [ ]'} ${this.inline(item.content, context)}`;
+    }).join('\n');
+  }
+
+  /**
+   * Record a task with its assignee (first mention) and due date (first date)
+   * @param {Object} item - ADF taskItem node
+   * @param {boolean} complete - True if the task is done
+   * @param {Object} context - Conversion context
+   */
+  recordTask(item, complete, context) {
+    if (!context.tasks) {
+      return;
+    }
+
+    const nodes = item.content || [];
+    const mention = nodes.find(child => child.type === 'mention');
+    const date = nodes.find(child => child.type === 'date');
+
+    context.tasks.push({
+      text: nodes.filter(child => child !== mention && child !== date)
+        .map(plainText).join('').replace(/\s+/g, ' ').trim(),
+      complete,
+      assignee: mention ? this.mentionName(mention, context) : null,
+      due: date ? formatDate(date) : null,
+    });
+  }
+
+  /**
+   * Convert a decision item
+   * @param {Object} item - ADF decisionItem node
+   * @param {Object} context - Conversion context
+   * @returns {string} Markdown line
+   */
+  decision(item, context) {
+    const marker = item.attrs?.state && item.attrs.state !== 'DECIDED' ? 'Decision (undecided):' : 'Decision:';
+    return `- **${marker}** ${this.inline(item.content, context)}`;
+  }
+
+  /**
+   * Convert a table through the shared table renderer
+   * @param {Object} node - ADF table node
+   * @param {Object} context - Conversion context
+   * @returns {string} Markdown
+   */
+  table(node, context) {
+    return renderTable((node.content || []).map(row => (row.content || []).map(cell => ({
+      markdown: this.blocks(cell.content, context),
+      text: plainText(cell).replace(/\s+/g, ' ').trim(),
+      isHeader: cell.type === 'tableHeader',
+      colspan: cell.attrs?.colspan || 1,
+      rowspan: cell.attrs?.rowspan || 1,
+    }))));
+  }
+
+  /**
+   * Convert a media node into a descriptive link
+   * Files are linked by name, which Confluence keeps in the alt text
+   * @param {Object} node - ADF media node
+   * @param {string} label - 'Image' or 'Attachment'
+   * @param {Object} context - Conversion context
+   * @returns {string} Markdown
+   */
+  media(node, label, context) {
+    const attrs = node.attrs || {};
+    if (label === 'Image' && !attrs.alt) {
+      recordLoss(context, 'imagesWithoutAlt');
+    }
+    if (attrs.type === 'external' && attrs.url) {
+      return `[${label}: ${attrs.alt || attrs.url}](${attrs.url})`;
+    }
+    if (!attrs.alt) {
+      return `[${label}]`;
+    }
+    return `[${label}: ${attrs.alt}](${context.wikiUrl}/download/attachments/${context.pageId}/${encodeURIComponent(attrs.alt)})`;
+  }
+
+  /**
+   * Get the display name of a mentioned user
+   * @param {Object} node - ADF mention node
+   * @param {Object} context - Conversion context
+   * @returns {string} Display name
+   */
+  mentionName(node, context) {
+    const attrs = node.attrs || {};
+    return context.users?.get(attrs.id) || (attrs.text || '').replace(/^@/, '') || 'unknown user';
+  }
+}
+
+/**
+ * Get the plain text of a node and its descendants
+ * @param {Object} node - ADF node
+ * @returns {string} Text
+ */
+function plainText(node) {
+  if (node.type === 'text') {
+    return node.text || '';
+  }
+  return (node.content || []).map(plainText).join(node.type === 'tableCell' || node.type === 'tableHeader' ? ' ' : '');
+}
+
+/**
+ * Format an ADF date node (milliseconds since the epoch) as an ISO date
+ * @param {Object} node - ADF date node
+ * @returns {string} YYYY-MM-DD
+ */
+function formatDate(node) {
+  return new Date(Number(node.attrs.timestamp)).toISOString().slice(0, 10);
+}
@@ -0,0 +1,40 @@
+import * as path from 'path';
+
+/**
+ * Attachment types that can be indexed by File Search, keyed by extension
+ */
+export const ATTACHMENT_MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.md': 'text/markdown',
+  '.json': 'application/json',
+};
+
+/**
+ * Resolve the upload MIME type for a Confluence attachment
+ * The file extension wins because Confluence often reports generic types
+ * such as application/octet-stream for office documents
+ * @param {Object} attachment - Attachment object from the Confluence API
+ * @returns {string|null} MIME type, or null if the type isn't supported
+ */
+export function getAttachmentMimeType(attachment) {
+  const extension = path.extname(attachment.title || '').toLowerCase();
+  if (ATTACHMENT_MIME_TYPES[extension]) {
+    return ATTACHMENT_MIME_TYPES[extension];
+  }
+
+  const mediaType = attachment.extensions?.mediaType || attachment.metadata?.mediaType;
+  return Object.values(ATTACHMENT_MIME_TYPES).includes(mediaType) ? mediaType : null;
+}
+
+/**
+ * Get the attachment size in bytes
+ * @param {Object} attachment - Attachment object from the Confluence API
+ * @returns {number} Size in bytes (0 if unknown)
+ */
+export function getAttachmentSize(attachment) {
+  return Number(attachment.extensions?.fileSize) || 0;
+}
@@ -1,5 +1,76 @@
 import axios from 'axios';
-import { config } from '../config.js';
+import { config, getSpaceSettings } from '../config.js';
+import { RateLimitedHttpClient } from './http-client.js';
+import { getUserKey } from './links.js';
+
+// Page fields needed for conversion and change detection
+const PAGE_EXPAND = 'body.storage,version,space,history.lastUpdated,history.contributors.publishers.users,' +
+  'ancestors,metadata.labels';
+
+/**
+ * Get the page fields to expand for a space
+ * Spaces converted from ADF also need the ADF body
+ * @param {string|null} spaceKey - Space key, if known
+ * @returns {string} Expand parameter
+ */
+function getPageExpand(spaceKey) {
+  return spaceKey && getSpaceSettings(spaceKey).bodyFormat === 'adf'
+    ? `${PAGE_EXPAND},body.atlas_doc_format`
+    : PAGE_EXPAND;
+}
+
+// Fields page filters need when listing pages without bodies
+const PAGE_LISTING_EXPAND = 'ancestors,metadata.labels';
+
+// Comment fields needed to render author, date, replies and inline context
+const COMMENT_EXPAND = 'body.storage,version,history,ancestors,extensions.inlineProperties,extensions.resolution';
+
+// Attachment fields needed for change detection and linking to the parent page
+const ATTACHMENT_EXPAND = 'version,container,metadata.mediaType';
+
+/**
+ * Format a date for CQL comparisons (yyyy-MM-dd HH:mm)
+ * Confluence reads CQL dates in the time zone of the API user, so the date
+ * is written in that zone rather than in UTC
+ * @param {Date} date - Date to format
+ * @param {string} timeZone - IANA time zone of the API user
+ * @returns {string} CQL date string
+ */
+export function formatCqlDate(date, timeZone = 'UTC') {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date).map(({ type, value }) => [type, value]));
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+}
+
+/**
+ * Build CQL matching root pages and everything beneath them
+ * @param {string} spaceKey - The space key
+ * @param {Array<string>} rootPageIds - IDs of the tree root pages
+ * @returns {string} CQL query
+ */
+function buildPageTreeCql(spaceKey, rootPageIds) {
+  const ids = rootPageIds.join(', ');
+  return `space = "${spaceKey}" and type = page and (id in (${ids}) or ancestor in (${ids}))`;
+}
+
+/**
+ * Error raised when a paginated fetch fails part-way through
+ * `partialResults` holds everything fetched before the failure
+ */
+export class ConfluenceFetchError extends Error {
+  constructor(message, partialResults = []) {
+    super(message);
+    this.name = 'ConfluenceFetchError';
+    this.partialResults = partialResults;
+  }
+}
 
 /**
  * Confluence API Client
@@ -7,76 +78,388 @@ import { config } from '../config.js';
 export class ConfluenceClient {
   constructor() {
     this.baseUrl = config.confluence.baseUrl;
-    this.auth = {
-      username: config.confluence.email,
-      password: config.confluence.apiToken,
+    this.wikiUrl = config.confluence.wikiUrl;
+
+    const headers = {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json',
     };
+
+    // Cloud uses basic auth with an API token; Data Center / Server uses a
+    // personal access token as a bearer token
+    if (config.confluence.deployment === 'server') {
+      this.auth = null;
+      headers.Authorization = `Bearer ${config.confluence.personalAccessToken}`;
+    } else {
+      this.auth = {
+        username: config.confluence.email,
+        password: config.confluence.apiToken,
+      };
+    }
     
-    // Create axios instance with defaults
-    this.client = axios.create({
-      baseURL: `${this.baseUrl}/wiki/rest/api`,
-      auth: this.auth,
-      headers: {
-        'Accept': 'application/json',
-        'Content-Type': 'application/json',
-      },
+    // Create axios instance with defaults, wrapped with retries and rate limiting
+    this.client = new RateLimitedHttpClient(axios.create({
+      baseURL: `${this.wikiUrl}/rest/api`,
+      ...(this.auth && { auth: this.auth }),
+      headers,
       timeout: 30000, // 30 seconds
-    });
+    }), config.confluence.http);
+
+    // Display names of mentioned users, looked up once per client
+    this.userCache = new Map();
+
+    // Time zone CQL dates are read in, looked up on first use
+    this.timeZone = config.confluence.timeZone || null;
+  }
+
+  /**
+   * Get the time zone Confluence reads the API user's CQL dates in
+   * Cloud returns it with the current user; Data Center / Server doesn't, so
+   * CONFLUENCE_TIMEZONE should be set to the server default there
+   * @returns {Promise<string>} IANA time zone
+   */
+  async getTimeZone() {
+    if (this.timeZone) {
+      return this.timeZone;
+    }
+
+    try {
+      const response = await this.client.get('/user/current');
+      this.timeZone = response.data.timeZone || null;
+    } catch (error) {
+      console.warn(`  ⚠ Could not read the user's time zone: ${error.message}`);
+    }
+    if (!this.timeZone) {
+      console.warn('  ⚠ Assuming CQL dates are in UTC; set CONFLUENCE_TIMEZONE if Confluence uses another zone');
+      this.timeZone = 'UTC';
+    }
+    return this.timeZone;
+  }
+
+  /**
+   * Format a cut-off time for CQL in the API user's time zone
+   * @param {Date} date - Cut-off time
+   * @returns {Promise<string>} CQL date string
+   */
+  async formatCqlDate(date) {
+    return formatCqlDate(date, await this.getTimeZone());
+  }
+
+  /**
+   * Get request counters for the current run
+   * @returns {Object} { requests, retries, throttled, failures, waitedMs }
+   */
+  getRequestStats() {
+    return this.client.getStats();
   }
 
   /**
-   * Get all pages from a space
+   * Reset request counters
+   */
+  resetRequestStats() {
+    this.client.resetStats();
+  }
+
+  /**
+   * Get all content of one type from a space
    * @param {string} spaceKey - The space key
+   * @param {string} contentType - Content type ('page' or 'blogpost')
    * @param {number} limit - Number of results per request
    * @returns {Promise<Array>} Array of page objects
    */
-  async getAllPages(spaceKey, limit = 100) {
-    const pages = [];
-    let start = 0;
-    let hasMore = true;
+  async getAllPages(spaceKey, contentType = 'page', limit = 100) {
+    console.log(`  Fetching ${contentType}s from space: ${spaceKey}`);
+
+    try {
+      const pages = await this.fetchAllResults('/content', {
+        spaceKey,
+        type: contentType,
+        status: config.sync.excludeArchived ? 'current' : 'any',
+        expand: getPageExpand(spaceKey),
+        limit,
+      });
+
+      console.log(`  ✓ Total ${contentType}s fetched: ${pages.length}`);
+      return pages;
+    } catch (error) {
+      console.error(`    Error fetching ${contentType}s: ${error.message}`);
+      throw new ConfluenceFetchError(
+        `Failed to fetch ${contentType}s from space ${spaceKey}: ${error.message}`,
+        error.partialResults
+      );
+    }
+  }
+
+  /**
+   * Get content of one type modified after a point in time, using CQL
+   * @param {string} spaceKey - The space key
+   * @param {Date} since - Only pages modified after this time are returned
+   * @param {string} contentType - Content type ('page' or 'blogpost')
+   * @param {number} limit - Number of results per request
+   * @returns {Promise<Array>} Array of page objects with full bodies
+   */
+  async getChangedPages(spaceKey, since, contentType = 'page', limit = 50) {
+    const sinceDate = await this.formatCqlDate(since);
+    const cql = `space = "${spaceKey}" and type = ${contentType} and lastmodified > "${sinceDate}"`;
+
+    console.log(`  Fetching ${contentType}s modified since ${sinceDate} (${this.timeZone}) from space: ${spaceKey}`);
+
+    try {
+      const pages = await this.fetchAllResults('/content/search', {
+        cql,
+        expand: getPageExpand(spaceKey),
+        limit,
+      });
+
+      console.log(`  ✓ Changed ${contentType}s fetched: ${pages.length}`);
+      return pages;
+    } catch (error) {
+      throw new ConfluenceFetchError(
+        `Failed to fetch changed ${contentType}s from space ${spaceKey}: ${error.message}`,
+        error.partialResults
+      );
+    }
+  }
+
+  /**
+   * List the IDs and titles of all content of one type in a space, without bodies
+   * Used for deletion detection, so it is never capped by MAX_PAGES_PER_SYNC.
+   * Ancestors and labels are included so page filters can be applied
+   * @param {string} spaceKey - The space key
+   * @param {string} contentType - Content type ('page' or 'blogpost')
+   * @param {number} limit - Number of results per request
+   * @returns {Promise<Array>} Array of { id, title, type, ancestors, metadata } objects
+   */
+  async getPageIds(spaceKey, contentType = 'page', limit = 200) {
+    try {
+      const results = await this.fetchAllResults('/content', {
+        spaceKey,
+        type: contentType,
+        status: config.sync.excludeArchived ? 'current' : 'any',
+        expand: PAGE_LISTING_EXPAND,
+        limit,
+      });
+      return results.map(({ id, title, ancestors, metadata }) => ({ id, title, type: contentType, ancestors, metadata }));
+    } catch (error) {
+      throw new Error(`Failed to list ${contentType}s in space ${spaceKey}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get pages in a tree: the root pages and all of their descendants
+   * Uses CQL `ancestor` so the whole tree comes back in one paginated listing
+   * @param {string} spaceKey - The space key
+   * @param {Array<string>} rootPageIds - IDs of the tree root pages
+   * @param {Date|null} since - Only pages modified after this time
+   * @param {number} limit - Number of results per request
+   * @returns {Promise<Array>} Array of page objects with full bodies
+   */
+  async getPageTree(spaceKey, rootPageIds, since = null, limit = 50) {
+    let cql = buildPageTreeCql(spaceKey, rootPageIds);
+    if (since) {
+      cql += ` and lastmodified > "${await this.formatCqlDate(since)}"`;
+    }
 
-    console.log(`  Fetching pages from space: ${spaceKey}`);
+    console.log(`  Fetching pages under ${rootPageIds.join(', ')} from space: ${spaceKey}`);
 
-    while (hasMore && pages.length < config.sync.maxPagesPerSync) {
+    try {
+      const pages = await this.fetchAllResults('/content/search', {
+        cql,
+        expand: getPageExpand(spaceKey),
+        limit,
+      });
+
+      console.log(`  ✓ Pages fetched: ${pages.length}`);
+      return pages;
+    } catch (error) {
+      throw new ConfluenceFetchError(
+        `Failed to fetch page tree from space ${spaceKey}: ${error.message}`,
+        error.partialResults
+      );
+    }
+  }
+
+  /**
+   * List the IDs and titles of every page in a tree, without bodies
+   * @param {string} spaceKey - The space key
+   * @param {Array<string>} rootPageIds - IDs of the tree root pages
+   * @param {number} limit - Number of results per request
+   * @returns {Promise<Array>} Array of { id, title, type, ancestors, metadata } objects
+   */
+  async getPageTreeIds(spaceKey, rootPageIds, limit = 200) {
+    try {
+      const results = await this.fetchAllResults('/content/search', {
+        cql: buildPageTreeCql(spaceKey, rootPageIds),
+        expand: PAGE_LISTING_EXPAND,
+        limit,
+      });
+      return results.map(({ id, title, ancestors, metadata }) => ({ id, title, type: 'page', ancestors, metadata }));
+    } catch (error) {
+      throw new Error(`Failed to list page tree in space ${spaceKey}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the footer and resolved inline comments of a page, including replies
+   * Open inline comments are left out as they are usually unresolved review notes
+   * @param {string} pageId - Page ID
+   * @param {number} limit - Number of results per request
+   * @returns {Promise<Array>} Array of comment objects
+   */
+  async getComments(pageId, limit = 100) {
+    const comments = [];
+
+    try {
+      for (const location of ['footer', 'resolved']) {
+        comments.push(...await this.fetchAllResults(`/content/${pageId}/child/comment`, {
+          location,
+          depth: 'all',
+          expand: COMMENT_EXPAND,
+          limit,
+        }));
+      }
+      return comments;
+    } catch (error) {
+      throw new Error(`Failed to fetch comments for page ${pageId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * List comments in a space, optionally only those modified since a time
+   * Only versions and containers are expanded; this is for change detection
+   * @param {string} spaceKey - The space key
+   * @param {Date|null} since - Only comments modified after this time
+   * @param {number} limit - Number of results per request
+   * @returns {Promise<Array>} Array of comment objects with `container`
+   */
+  async getSpaceComments(spaceKey, since = null, limit = 100) {
+    let cql = `space = "${spaceKey}" and type = comment`;
+    if (since) {
+      cql += ` and lastmodified > "${await this.formatCqlDate(since)}"`;
+    }
+
+    try {
+      return await this.fetchAllResults('/content/search', {
+        cql,
+        expand: 'version,container',
+        limit,
+      });
+    } catch (error) {
+      throw new Error(`Failed to fetch comments from space ${spaceKey}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the attachments of a page
+   * @param {string} pageId - Page ID
+   * @param {number} limit - Number of results per request
+   * @returns {Promise<Array>} Array of attachment objects
+   */
+  async getAttachments(pageId, limit = 100) {
+    try {
+      return await this.fetchAllResults(`/content/${pageId}/child/attachment`, {
+        expand: ATTACHMENT_EXPAND,
+        limit,
+      });
+    } catch (error) {
+      throw new Error(`Failed to fetch attachments for page ${pageId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the attachments in a space, optionally only those modified since a time
+   * One CQL listing per space avoids a request per page on large spaces
+   * @param {string} spaceKey - The space key
+   * @param {Date|null} since - Only attachments modified after this time
+   * @param {number} limit - Number of results per request
+   * @returns {Promise<Array>} Array of attachment objects with `container`
+   */
+  async getSpaceAttachments(spaceKey, since = null, limit = 100) {
+    let cql = `space = "${spaceKey}" and type = attachment`;
+    if (since) {
+      cql += ` and lastmodified > "${await this.formatCqlDate(since)}"`;
+    }
+
+    try {
+      return await this.fetchAllResults('/content/search', {
+        cql,
+        expand: ATTACHMENT_EXPAND,
+        limit,
+      });
+    } catch (error) {
+      throw new Error(`Failed to fetch attachments from space ${spaceKey}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Download an attachment's file content
+   * @param {Object} attachment - Attachment object with `_links.download`
+   * @returns {Promise<Buffer>} File content
+   */
+  async downloadAttachment(attachment) {
+    try {
+      // Download links are relative to the wiki root, not the REST API
+      const response = await this.client.get(attachment._links.download, {
+        baseURL: this.wikiUrl,
+        responseType: 'arraybuffer',
+        timeout: 120000,
+      });
+      return Buffer.from(response.data);
+    } catch (error) {
+      throw new Error(`Failed to download attachment ${attachment.title}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetch every result of a paginated endpoint
+   * Follows `_links.next` when the API provides it (required for CQL search
+   * cursors) and falls back to start/limit offsets otherwise. On failure the
+   * results fetched so far are attached to the error as `partialResults`
+   * @param {string} url - Endpoint path relative to the REST API base
+   * @param {Object} params - Query parameters for the first request
+   * @returns {Promise<Array>} All results
+   */
+  async fetchAllResults(url, params) {
+    const results = [];
+    let request = { url, params: { ...params, start: 0 } };
+
+    while (request) {
+      let response;
       try {
-        const response = await this.client.get('/content', {
-          params: {
-            spaceKey,
-            type: 'page',
-            status: config.sync.excludeArchived ? 'current' : 'any',
-            expand: 'body.storage,version,space,history.lastUpdated,ancestors',
-            limit,
-            start,
-          },
-        });
-
-        const results = response.data.results || [];
-        pages.push(...results);
-
-        hasMore = results.length === limit;
-        start += limit;
-
-        console.log(`    Fetched ${pages.length} pages so far...`);
+        response = await this.client.get(request.url, { params: request.params });
       } catch (error) {
-        console.error(`    Error fetching pages: ${error.message}`);
-        throw new Error(`Failed to fetch pages from space ${spaceKey}: ${error.message}`);
+        error.partialResults = results;
+        throw error;
+      }
+
+      const batch = response.data.results || [];
+      results.push(...batch);
+
+      const next = response.data._links?.next;
+      if (next) {
+        // Next links are relative to the wiki root and already carry the query
+        request = { url: next.replace(/^\/rest\/api/, ''), params: undefined };
+      } else if (request.params && batch.length === params.limit) {
+        request = { url, params: { ...params, start: results.length } };
+      } else {
+        request = null;
       }
     }
 
-    console.log(`  ✓ Total pages fetched: ${pages.length}`);
-    return pages;
+    return results;
   }
 
   /**
    * Get a single page by ID
    * @param {string} pageId - The page ID
+   * @param {string|null} spaceKey - Space of the page, to expand the body it's converted from
    * @returns {Promise<Object>} Page object
    */
-  async getPageById(pageId) {
+  async getPageById(pageId, spaceKey = null) {
     try {
       const response = await this.client.get(`/content/${pageId}`, {
         params: {
-          expand: 'body.storage,version,space,ancestors,history.lastUpdated',
+          expand: getPageExpand(spaceKey),
         },
       });
       return response.data;
@@ -88,12 +471,12 @@ export class ConfluenceClient {
   /**
    * Get page children
    * @param {string} pageId - Parent page ID
+   * @param {number} limit - Number of results per request
    * @returns {Promise<Array>} Array of child pages
    */
-  async getPageChildren(pageId) {
+  async getPageChildren(pageId, limit = 100) {
     try {
-      const response = await this.client.get(`/content/${pageId}/child/page`);
-      return response.data.results || [];
+      return await this.fetchAllResults(`/content/${pageId}/child/page`, { limit });
     } catch (error) {
       throw new Error(`Failed to fetch children for page ${pageId}: ${error.message}`);
     }
@@ -116,29 +499,68 @@ export class ConfluenceClient {
   }
 
   /**
-   * Get spaces accessible to the user
+   * Get every space accessible to the user
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.type - 'global' or 'personal' (both if omitted)
+   * @param {string} filters.status - 'current' or 'archived' (both if omitted)
+   * @param {number} limit - Number of results per request
    * @returns {Promise<Array>} Array of space objects
    */
-  async getSpaces() {
+  async getSpaces({ type, status } = {}, limit = 100) {
     try {
-      const response = await this.client.get('/space', {
-        params: {
-          limit: 100,
-          expand: 'description.plain',
-        },
+      return await this.fetchAllResults('/space', {
+        ...(type && { type }),
+        ...(status && { status }),
+        expand: 'description.plain',
+        limit,
       });
-      return response.data.results || [];
     } catch (error) {
       throw new Error(`Failed to fetch spaces: ${error.message}`);
     }
   }
 
+  /**
+   * Get the display name of a user, cached for the lifetime of the client
+   * Users that no longer exist or can't be seen are cached as unknown
+   * @param {Object} reference - { accountId } on Cloud, { userKey } or { username }
+   *   on Data Center / Server
+   * @returns {Promise<string|null>} Display name, or null if the user is unknown
+   */
+  async getUserDisplayName(reference) {
+    const key = getUserKey(reference);
+    if (this.userCache.has(key)) {
+      return this.userCache.get(key);
+    }
+
+    let params;
+    if (reference.accountId) {
+      params = { accountId: reference.accountId };
+    } else if (reference.userKey) {
+      params = { key: reference.userKey };
+    } else {
+      params = { username: reference.username };
+    }
+
+    try {
+      const response = await this.client.get('/user', { params });
+      const name = response.data.displayName || response.data.publicName || null;
+      this.userCache.set(key, name);
+      return name;
+    } catch (error) {
+      if ([403, 404].includes(error.response?.status)) {
+        this.userCache.set(key, null);
+        return null;
+      }
+      throw new Error(`Failed to fetch user ${key}: ${error.message}`);
+    }
+  }
+
   /**
    * Build page URL
    * @param {Object} page - Page object
    * @returns {string} Full URL to the page
    */
   getPageUrl(page) {
-    return `${this.baseUrl}/wiki${page._links.webui}`;
+    return `${this.wikiUrl}${page._links.webui}`;
   }
 }
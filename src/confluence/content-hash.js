@@ -0,0 +1,43 @@
+import { createHash } from 'crypto';
+import { parseFrontMatter } from './front-matter.js';
+
+// Metadata header lines that change with every edit, even a no-op one
+const VOLATILE_HEADER_LINES = /^\*\*(Version|Last Updated):\*\*.*\n?/gm;
+
+// Front matter fields that change with every edit
+const VOLATILE_FIELDS = ['version', 'last_updated', 'author', 'contributors'];
+
+/**
+ * Hash converted documents, ignoring the version and edit details in their
+ * metadata, so a version bump that leaves the content alone hashes the same
+ * @param {Array<string>} documents - Markdown of the page, or of each section
+ * @returns {string} SHA-256 hex digest
+ */
+export function contentHash(documents) {
+  const hash = createHash('sha256');
+  for (const markdown of documents) {
+    hash.update(stableContent(markdown));
+    hash.update('\0');
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Remove the volatile metadata from a converted document
+ * @param {string} markdown - Converted document
+ * @returns {string} Content to hash
+ */
+function stableContent(markdown) {
+  const { metadata, body } = parseFrontMatter(markdown);
+  if (metadata) {
+    const stable = Object.fromEntries(Object.entries(metadata).filter(([key]) => !VOLATILE_FIELDS.includes(key)));
+    return `${JSON.stringify(stable)}\n${body}`;
+  }
+
+  // The readable header runs from the title to its second --- rule
+  const header = markdown.match(/^# .*\n\n---\n[\s\S]*?\n---\n/);
+  if (!header) {
+    return markdown;
+  }
+  return header[0].replace(VOLATILE_HEADER_LINES, '') + markdown.slice(header[0].length);
+}
@@ -1,4 +1,24 @@
 import TurndownService from 'turndown';
+import { MACRO_HANDLERS, unknownMacro } from './macros.js';
+import { addTableRules } from './tables.js';
+import { addLinkRules } from './links.js';
+import { addTaskRules } from './tasks.js';
+import { toFrontMatter } from './front-matter.js';
+import { AdfConverter } from './adf-converter.js';
+import { PLUGIN_HELPERS } from './plugins.js';
+import { CONSUMED_ELEMENTS, createFidelityReport, recordLoss } from './fidelity.js';
+import { splitSections, sectionAnchor } from './sections.js';
+
+// Zero-width space, which isn't whitespace to Turndown's blank check
+const BLANK_PLACEHOLDER = '\u200B';
+
+/**
+ * Converter output version, stored with each synced page
+ * Bump it when a change alters the markdown of existing pages, so the next
+ * sync re-converts them (and re-uploads those whose content changed). Loaded
+ * plugins are stored alongside it (see getPluginVersion())
+ */
+export const CONVERTER_VERSION = 2;
 
 /**
  * Confluence HTML to Markdown Converter
@@ -10,27 +30,77 @@ export class ConfluenceConverter {
       headingStyle: 'atx',
       codeBlockStyle: 'fenced',
       bulletListMarker: '-',
+      // Elements without text are dropped before any rule sees them, so
+      // record the Confluence ones (emoticons, macros like toc) here
+      blankReplacement: (content, node) => {
+        this.recordDroppedElement(node);
+        return node.isBlock ? '\n\n' : '';
+      },
     });
 
+    // Page being converted, used to resolve links and mentions
+    this.context = {};
+
+    // Macro handlers by name; plugins add their own (see use())
+    this.macroHandlers = { ...MACRO_HANDLERS };
+    this.plugins = [];
+    this.pluginVersions = [];
+
     // Add custom rules for Confluence-specific elements
     this.addConfluenceRules();
+
+    // Pages can be converted from their ADF body instead of storage format
+    this.adfConverter = new AdfConverter(text => this.turndownService.escape(text));
   }
 
   /**
    * Add custom rules for Confluence HTML elements
    */
   addConfluenceRules() {
-    // Remove Confluence macros that don't translate well
+    const macroHandlers = this.macroHandlers;
+    const getContext = () => this.context;
+
+    // Confluence elements no other rule matches keep their content, and are
+    // recorded as losses unless their parent's rule reads them
+    this.turndownService.addRule('confluenceUnhandled', {
+      filter: function (node) {
+        return /^(AC|RI):/.test(node.nodeName);
+      },
+      replacement: (content, node) => {
+        this.recordDroppedElement(node);
+        return content;
+      },
+    });
+
+    // Convert macros with a handler; others keep their rich-text body
     this.turndownService.addRule('confluenceMacro', {
       filter: function (node) {
         return node.nodeName === 'AC:STRUCTURED-MACRO';
       },
       replacement: function (content, node) {
-        // Could extract macro name and parameters if needed
-        return '\n[Confluence Macro]\n';
+        const handler = macroHandlers[node.getAttribute('ac:name')];
+        if (!handler) {
+          recordLoss(getContext(), 'unknownMacros', node.getAttribute('ac:name'));
+          return unknownMacro(content, node);
+        }
+        return handler(content, node, getContext());
       },
     });
 
+    // Macro parameters are read by the handlers, not rendered as text
+    this.turndownService.addRule('confluenceMacroParameter', {
+      filter: function (node) {
+        return node.nodeName === 'AC:PARAMETER';
+      },
+      replacement: function () {
+        return '';
+      },
+    });
+
+    // Tables become GFM tables, or key/value rows when merged cells or block
+    // content won't fit one
+    addTableRules(this.turndownService);
+
     // Handle Confluence emoticons
     this.turndownService.addRule('confluenceEmoticon', {
       filter: function (node) {
@@ -42,63 +112,275 @@ export class ConfluenceConverter {
       },
     });
 
-    // Handle Confluence user mentions
-    this.turndownService.addRule('confluenceUserLink', {
-      filter: function (node) {
-        return node.nodeName === 'AC:LINK' && node.getAttribute('ri:userkey');
+    // Resolve page links, attachments, images and user mentions
+    addLinkRules(this.turndownService, getContext);
+
+    // Task lists become checkboxes, decisions get a marker and dates are ISO dates
+    addTaskRules(this.turndownService, getContext);
+  }
+
+  /**
+   * Record a Confluence element that no rule converts on the current page
+   * @param {Element} node - Element that was dropped or kept only as text
+   */
+  recordDroppedElement(node) {
+    if (node.nodeName === 'AC:STRUCTURED-MACRO') {
+      if (!this.macroHandlers[node.getAttribute('ac:name')]) {
+        recordLoss(this.context, 'unknownMacros', node.getAttribute('ac:name'));
+      }
+    } else if (/^(AC|RI):/.test(node.nodeName) && !CONSUMED_ELEMENTS.has(node.nodeName)) {
+      recordLoss(this.context, 'unhandledElements', node.nodeName.toLowerCase());
+    }
+  }
+
+  /**
+   * Register a converter plugin (see src/confluence/plugins.js)
+   * @param {Object} plugin - { name, register, version }
+   */
+  use(plugin) {
+    plugin.register({
+      addMacroHandler: (macroName, handler) => {
+        this.macroHandlers[macroName] = handler;
       },
-      replacement: function (content, node) {
-        return `@${content}`;
+      addRule: (key, rule) => {
+        this.turndownService.addRule(`${plugin.name}:${key}`, rule);
       },
+      getContext: () => this.context,
+      helpers: PLUGIN_HELPERS,
     });
+    this.plugins.push(plugin.name);
+    this.pluginVersions.push(plugin.version ? `${plugin.name}@${plugin.version}` : plugin.name);
+  }
+
+  /**
+   * Describe the registered plugins, stored with each page beside
+   * CONVERTER_VERSION so a plugin change re-converts synced pages
+   * @returns {string} name@version of each plugin, comma-separated; empty without plugins
+   */
+  getPluginVersion() {
+    return this.pluginVersions.join(',');
   }
 
   /**
    * Convert Confluence page to Markdown
    * @param {Object} page - Confluence page object
-   * @param {string} baseUrl - Confluence base URL
+   * @param {string} wikiUrl - Confluence wiki root (base URL plus context path)
+   * @param {Object} options - Conversion options
+   * @param {Array<Object>} options.comments - Page comments to append as a discussion
+   * @param {Map<string, string>} options.users - Display names of mentioned users
+   * @param {boolean} options.openTasks - List the page's open tasks in their own section,
+   *   and as open_tasks in front matter
+   * @param {string} options.metadataFormat - 'header' (default) or 'frontmatter'
+   * @param {string} options.bodyFormat - 'storage' (default) or 'adf'; ADF falls
+   *   back to storage format if the page has no ADF body
+   * @param {Object} options.fidelity - Report to record conversion losses on
+   *   (see createFidelityReport())
    * @returns {string} Markdown content
    */
-  convertPageToMarkdown(page, baseUrl) {
+  convertPageToMarkdown(page, wikiUrl, options = {}) {
+    const { markdown, openTasks } = this.convertPageBody(page, wikiUrl, options);
+    return `${this.buildMetadata(page, wikiUrl, options, null, openTasks)}\n\n${markdown}`;
+  }
+
+  /**
+   * Convert a page to one markdown document per H1/H2 section
+   * Each section repeats the page metadata, with the section title and its
+   * anchor URL. Pages with a single section, or a body shorter than
+   * options.minLength, are returned as one document
+   * @param {Object} page - Confluence page object
+   * @param {string} wikiUrl - Confluence wiki root (base URL plus context path)
+   * @param {Object} options - Conversion options (see convertPageToMarkdown)
+   * @param {number} options.minLength - Shortest body (in characters) to split
+   * @returns {Array<Object>} { title, anchor, url, markdown } per section;
+   *   title and anchor are null for the introduction or an unsplit page
+   */
+  convertSections(page, wikiUrl, options = {}) {
+    const { markdown: body, openTasks } = this.convertPageBody(page, wikiUrl, options);
+    const pageUrl = `${wikiUrl}${page._links.webui}`;
+    const parts = splitSections(body);
+
+    if (parts.length < 2 || body.length < (options.minLength || 0)) {
+      const metadata = this.buildMetadata(page, wikiUrl, options, null, openTasks);
+      return [{ title: null, anchor: null, url: pageUrl, markdown: this.cleanMarkdown(`${metadata}\n\n${body}`) }];
+    }
+
+    return parts.map(part => {
+      const anchor = part.heading ? sectionAnchor(page.title, part.heading) : null;
+      const section = { title: part.heading, url: anchor ? `${pageUrl}#${anchor}` : pageUrl };
+      const metadata = this.buildMetadata(page, wikiUrl, options, section, openTasks);
+      return { ...section, anchor, markdown: this.cleanMarkdown(`${metadata}\n\n${part.markdown}`) };
+    });
+  }
+
+  /**
+   * Convert a page's body, open tasks and discussion, without its metadata
+   * @param {Object} page - Confluence page object
+   * @param {string} wikiUrl - Confluence wiki root (base URL plus context path)
+   * @param {Object} options - Conversion options (see convertPageToMarkdown)
+   * @returns {Object} { markdown, openTasks }; openTasks ({ text, assignee, due })
+   *   is empty unless options.openTasks is set
+   */
+  convertPageBody(page, wikiUrl, options = {}) {
     const storageValue = page.body?.storage?.value || '';
+    const context = {
+      wikiUrl,
+      spaceKey: page.space.key,
+      pageId: page.id,
+      pageUrl: `${wikiUrl}${page._links.webui}`,
+      users: options.users || new Map(),
+      tasks: [],
+      fidelity: options.fidelity || createFidelityReport(),
+    };
     
-    // Convert HTML to Markdown
-    let markdown = this.turndownService.turndown(storageValue);
+    // Convert HTML (or ADF) to Markdown
+    const adfValue = options.bodyFormat === 'adf' ? page.body?.atlas_doc_format?.value : null;
+    let markdown = adfValue
+      ? this.adfConverter.convert(JSON.parse(adfValue), context)
+      : this.toMarkdown(storageValue, context);
+    const openTasks = options.openTasks
+      ? context.tasks
+        .filter(task => !task.complete)
+        .map(task => ({ text: task.text, assignee: task.assignee || null, due: task.due || null }))
+      : [];
 
     // If no content, add a placeholder
     if (!markdown.trim()) {
       markdown = '*No content available*';
+      context.fidelity.emptyOutput = true;
+    }
+
+    const discussion = this.convertComments(options.comments, context);
+
+    return {
+      markdown: [markdown, this.convertOpenTasks(openTasks), discussion].filter(Boolean).join('\n\n'),
+      openTasks,
+    };
+  }
+
+  /**
+   * Build the page metadata in the configured format
+   * @param {Object} page - Confluence page object
+   * @param {string} wikiUrl - Confluence wiki root (base URL plus context path)
+   * @param {Object} options - Conversion options (metadataFormat)
+   * @param {Object} section - Section the document holds ({ title, url }), if split
+   * @param {Array<Object>} openTasks - Open tasks for front matter ({ text, assignee, due })
+   * @returns {string} Metadata header or front matter
+   */
+  buildMetadata(page, wikiUrl, options = {}, section = null, openTasks = []) {
+    return options.metadataFormat === 'frontmatter'
+      ? this.buildFrontMatter(page, wikiUrl, section, openTasks)
+      : this.buildMetadataHeader(page, wikiUrl, section);
+  }
+
+  /**
+   * List a page's open tasks in an Open tasks section
+   * @param {Array<Object>} open - Open tasks ({ text, assignee, due })
+   * @returns {string} Markdown section, or an empty string if there are none
+   */
+  convertOpenTasks(open) {
+    if (open.length === 0) {
+      return '';
+    }
+
+    const cell = value => (value || '').replace(/\|/g, '\\|');
+    const rows = open.map(task => `| ${cell(task.text)} | ${cell(task.assignee)} | ${cell(task.due)} |`);
+    return `## Open tasks\n\n| Task | Assignee | Due |\n| --- | --- | --- |\n${rows.join('\n')}`;
+  }
+
+  /**
+   * Convert Confluence storage format to Markdown
+   * The storage format is XHTML, but it's parsed as HTML, which would treat
+   * CDATA sections (code macro bodies, link text) as comments, so they're
+   * escaped first. Plain-text macro bodies go in <pre> elements so their
+   * whitespace survives
+   * @param {string} storageValue - Storage format markup
+   * @param {Object} context - Page being converted, for resolving links
+   * @returns {string} Markdown
+   */
+  toMarkdown(storageValue, context = {}) {
+    const html = storageValue
+      .replace(
+        /<ac:plain-text-body>\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*<\/ac:plain-text-body>/g,
+        (match, text) => `<ac:plain-text-body><pre>${escapeHtml(text)}</pre></ac:plain-text-body>`
+      )
+      .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, text) => escapeHtml(text))
+      // Links, images and dates often have no text of their own, which Turndown
+      // treats as blank and drops, so give them a placeholder the rules ignore
+      .replace(/<(ac:link|ac:image|time)(?=[\s/>])([^>]*?)\s*\/>/g, '<$1$2></$1>')
+      .replace(/<(ac:link|ac:image|time)(?=[\s>])([^>]*)>/g, `<$1$2>${BLANK_PLACEHOLDER}`);
+
+    this.context = context;
+    try {
+      return this.turndownService.turndown(html).replaceAll(BLANK_PLACEHOLDER, '');
+    } finally {
+      this.context = {};
     }
+  }
+
+  /**
+   * Convert page comments to a Discussion section, oldest first
+   * @param {Array<Object>} comments - Confluence comment objects
+   * @param {Object} context - Page the comments belong to, for resolving links
+   * @returns {string} Markdown section, or an empty string if there are no comments
+   */
+  convertComments(comments, context = {}) {
+    if (!comments?.length) {
+      return '';
+    }
+
+    const createdAt = comment => comment.history?.createdDate || comment.version?.when || '';
+    const sorted = [...comments].sort((a, b) => createdAt(a).localeCompare(createdAt(b)));
 
-    // Build metadata header
-    const metadata = this.buildMetadataHeader(page, baseUrl);
+    const entries = sorted.map(comment => {
+      const author = comment.history?.createdBy?.displayName || 'Unknown';
+      const details = [`**${author}**`, createdAt(comment)];
 
-    // Combine metadata and content
-    return `${metadata}\n\n${markdown}`;
+      if (comment.ancestors?.some(ancestor => ancestor.type === 'comment')) {
+        details.push('reply');
+      }
+
+      const selection = comment.extensions?.inlineProperties?.originalSelection;
+      if (comment.extensions?.location === 'inline') {
+        const status = comment.extensions.resolution?.status === 'resolved' ? 'resolved ' : '';
+        details.push(selection ? `${status}inline comment on "${selection}"` : `${status}inline comment`);
+      }
+
+      const body = this.toMarkdown(comment.body?.storage?.value || '', context).trim();
+      return `${details.join(' · ')}\n\n${body || '*No content*'}`;
+    });
+
+    return `## Discussion\n\n${entries.join('\n\n')}`;
   }
 
   /**
    * Build metadata header for the page
    * @param {Object} page - Confluence page object
-   * @param {string} baseUrl - Confluence base URL
+   * @param {string} wikiUrl - Confluence wiki root (base URL plus context path)
+   * @param {Object} section - Section the document holds ({ title, url }), if split
    * @returns {string} Markdown metadata header
    */
-  buildMetadataHeader(page, baseUrl) {
+  buildMetadataHeader(page, wikiUrl, section = null) {
     const ancestors = page.ancestors || [];
     const breadcrumb = ancestors.length > 0
       ? `${ancestors.map(a => a.title).join(' > ')} > ${page.title}`
       : page.title;
 
-    const url = `${baseUrl}/wiki${page._links.webui}`;
+    const url = section?.url || `${wikiUrl}${page._links.webui}`;
     const lastUpdated = page.history?.lastUpdated?.when || page.version.when;
+    const sectionLine = section?.title ? `**Section:** ${section.title}  \n` : '';
+
+    // Blog posts are dated announcements, so make the type and publish date explicit
+    const blogPostLines = page.type === 'blogpost'
+      ? `**Type:** Blog post  \n**Published:** ${page.history?.createdDate || lastUpdated}  \n`
+      : '';
 
     return `# ${page.title}
 
 ---
 
 **Space:** ${page.space.name} (${page.space.key})  
-**Path:** ${breadcrumb}  
-**Page ID:** ${page.id}  
+${blogPostLines}**Path:** ${breadcrumb}  
+${sectionLine}**Page ID:** ${page.id}  
 **Version:** ${page.version.number}  
 **Last Updated:** ${lastUpdated}  
 **URL:** ${url}
@@ -106,6 +388,42 @@ export class ConfluenceConverter {
 ---`;
   }
 
+  /**
+   * Build YAML front matter for the page, followed by its title
+   * @param {Object} page - Confluence page object
+   * @param {string} wikiUrl - Confluence wiki root (base URL plus context path)
+   * @param {Object} section - Section the document holds ({ title, url }), if split
+   * @param {Array<Object>} openTasks - Open tasks ({ text, assignee, due })
+   * @returns {string} Front matter and title heading
+   */
+  buildFrontMatter(page, wikiUrl, section = null, openTasks = []) {
+    const history = page.history || {};
+    const contributors = (history.contributors?.publishers?.users || [])
+      .map(user => user.displayName)
+      .filter(Boolean);
+
+    const frontMatter = toFrontMatter({
+      title: page.title,
+      page_id: page.id,
+      type: page.type || 'page',
+      space_key: page.space.key,
+      space_name: page.space.name,
+      ancestors: (page.ancestors || []).map(ancestor => ({ id: ancestor.id, title: ancestor.title })),
+      labels: (page.metadata?.labels?.results || []).map(label => label.name),
+      version: page.version.number,
+      author: page.version.by?.displayName,
+      creator: history.createdBy?.displayName,
+      contributors: contributors.length > 0 ? contributors : undefined,
+      created: history.createdDate,
+      last_updated: history.lastUpdated?.when || page.version.when,
+      section: section?.title,
+      url: section?.url || `${wikiUrl}${page._links.webui}`,
+      open_tasks: openTasks.length > 0 ? openTasks : undefined,
+    });
+
+    return `${frontMatter}\n\n# ${page.title}`;
+  }
+
   /**
    * Clean up markdown (remove excessive whitespace, etc.)
    * @param {string} markdown - Markdown content
@@ -124,11 +442,21 @@ export class ConfluenceConverter {
   /**
    * Convert page to Markdown with cleaning
    * @param {Object} page - Confluence page object
-   * @param {string} baseUrl - Confluence base URL
+   * @param {string} wikiUrl - Confluence wiki root (base URL plus context path)
+   * @param {Object} options - Conversion options (see convertPageToMarkdown)
    * @returns {string} Clean Markdown content
    */
-  convert(page, baseUrl) {
-    const markdown = this.convertPageToMarkdown(page, baseUrl);
+  convert(page, wikiUrl, options = {}) {
+    const markdown = this.convertPageToMarkdown(page, wikiUrl, options);
     return this.cleanMarkdown(markdown);
   }
 }
+
+/**
+ * Escape text for inclusion in HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
@@ -0,0 +1,89 @@
+/**
+ * Conversion fidelity
+ * Records what the converter couldn't carry over into markdown, per page:
+ * macros without a handler, ac:/ri: elements no rule understands, images
+ * without alt text and pages that converted to nothing. The report is filled
+ * in through the conversion context ({ fidelity }).
+ */
+
+// Elements read by the rule of their parent, plain containers whose content
+// is kept, and elements whose rule has nothing to write when they're empty
+export const CONSUMED_ELEMENTS = new Set([
+  'AC:PARAMETER',
+  'AC:TASK-LIST',
+  'AC:TASK',
+  'AC:TASK-ID',
+  'AC:TASK-UUID',
+  'AC:TASK-STATUS',
+  'AC:ADF-EXTENSION',
+  'AC:ADF-CONTENT',
+  'AC:ADF-FALLBACK',
+  'AC:RICH-TEXT-BODY',
+  'AC:PLAIN-TEXT-BODY',
+  'AC:LINK-BODY',
+  'AC:PLAIN-TEXT-LINK-BODY',
+  'AC:TASK-BODY',
+  'AC:ADF-NODE',
+  'AC:ADF-ATTRIBUTE',
+  'AC:ADF-MARK',
+  'AC:ADF-LEAF',
+  'AC:INLINE-COMMENT-MARKER',
+  'AC:LAYOUT',
+  'AC:LAYOUT-SECTION',
+  'AC:LAYOUT-CELL',
+  'AC:PLACEHOLDER',
+  'RI:PAGE',
+  'RI:BLOG-POST',
+  'RI:ATTACHMENT',
+  'RI:USER',
+  'RI:SPACE',
+  'RI:URL',
+]);
+
+/**
+ * Create an empty fidelity report
+ * @returns {Object} { unknownMacros, unhandledElements, imagesWithoutAlt, emptyOutput }
+ */
+export function createFidelityReport() {
+  return {
+    unknownMacros: {}, // Occurrences by macro name
+    unhandledElements: {}, // Occurrences by element name, e.g. ac:emoticon
+    imagesWithoutAlt: 0,
+    emptyOutput: false,
+  };
+}
+
+/**
+ * Record a loss on the report of the page being converted
+ * @param {Object} context - Conversion context; ignored if it has no report
+ * @param {string} kind - 'unknownMacros', 'unhandledElements' or 'imagesWithoutAlt'
+ * @param {string} name - Macro or element name, for the first two kinds
+ */
+export function recordLoss(context, kind, name = null) {
+  const report = context?.fidelity;
+  if (!report) {
+    return;
+  }
+
+  if (kind === 'imagesWithoutAlt') {
+    report.imagesWithoutAlt++;
+  } else {
+    report[kind][name] = (report[kind][name] || 0) + 1;
+  }
+}
+
+/**
+ * Count the losses in a report
+ * @param {Object} report - Fidelity report
+ * @returns {Object} { unknownMacros, unhandledElements, imagesWithoutAlt, emptyOutput, total }
+ */
+export function countLosses(report) {
+  const sum = counts => Object.values(counts || {}).reduce((total, count) => total + count, 0);
+  const counts = {
+    unknownMacros: sum(report.unknownMacros),
+    unhandledElements: sum(report.unhandledElements),
+    imagesWithoutAlt: report.imagesWithoutAlt || 0,
+    emptyOutput: report.emptyOutput ? 1 : 0,
+  };
+  return { ...counts, total: Object.values(counts).reduce((total, count) => total + count, 0) };
+}
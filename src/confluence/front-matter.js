@@ -0,0 +1,40 @@
+/**
+ * YAML front matter for converted pages
+ * Each value is written as JSON on its own line. JSON is valid YAML, so any
+ * YAML parser can read the block, and parseFrontMatter() reads it back without
+ * one.
+ */
+
+/**
+ * Build a front matter block
+ * @param {Object} fields - Metadata; null and undefined values are left out
+ * @returns {string} Front matter, including the --- delimiters
+ */
+export function toFrontMatter(fields) {
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+  return `---\n${lines.join('\n')}\n---`;
+}
+
+/**
+ * Read the front matter of a converted page
+ * @param {string} markdown - File contents
+ * @returns {Object} { metadata, body }; metadata is null if there is no front matter
+ */
+export function parseFrontMatter(markdown) {
+  const match = markdown.match(/^---\n([\s\S]*?)\n---(?:\n|$)/);
+  if (!match) {
+    return { metadata: null, body: markdown };
+  }
+
+  const metadata = {};
+  for (const line of match[1].split('\n')) {
+    const separator = line.indexOf(': ');
+    if (separator > 0) {
+      metadata[line.slice(0, separator)] = JSON.parse(line.slice(separator + 2));
+    }
+  }
+
+  return { metadata, body: markdown.slice(match[0].length).replace(/^\n+/, '') };
+}
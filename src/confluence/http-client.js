@@ -0,0 +1,199 @@
+// Network errors worth retrying (connection dropped, timed out, DNS hiccup)
+const RETRYABLE_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'EPIPE',
+  'ENETUNREACH',
+]);
+
+const RETRYABLE_STATUS_CODES = new Set([500, 502, 503, 504]);
+
+/**
+ * Rate-limit aware HTTP client
+ * Wraps an axios instance with a concurrency cap, Retry-After handling and
+ * jittered exponential backoff for throttling, transient 5xx and network errors
+ */
+export class RateLimitedHttpClient {
+  /**
+   * @param {Object} axiosInstance - Configured axios instance
+   * @param {Object} options - Retry and concurrency options
+   * @param {number} options.maxRetries - Retries after the first attempt
+   * @param {number} options.maxConcurrent - Maximum requests in flight
+   * @param {number} options.baseDelayMs - Initial backoff delay
+   * @param {number} options.maxDelayMs - Upper bound for a backoff wait
+   * @param {number} options.maxRetryAfterMs - Longest Retry-After to wait for;
+   *   requests asked to wait longer fail instead
+   */
+  constructor(axiosInstance, options = {}) {
+    this.axios = axiosInstance;
+    this.maxRetries = options.maxRetries ?? 5;
+    this.maxConcurrent = options.maxConcurrent ?? 4;
+    this.baseDelayMs = options.baseDelayMs ?? 1000;
+    this.maxDelayMs = options.maxDelayMs ?? 60000;
+    this.maxRetryAfterMs = options.maxRetryAfterMs ?? 600000;
+
+    this.active = 0;
+    this.waiting = [];
+    this.resetStats();
+  }
+
+  /**
+   * GET request with retries
+   * @param {string} url - Request URL
+   * @param {Object} requestConfig - axios request config
+   * @returns {Promise<Object>} axios response
+   */
+  async get(url, requestConfig) {
+    return this.request(() => this.axios.get(url, requestConfig));
+  }
+
+  /**
+   * Run a request function with concurrency limiting and retries
+   * @param {Function} send - Function returning an axios promise
+   * @returns {Promise<Object>} axios response
+   */
+  async request(send) {
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire();
+      let response;
+      let failure;
+
+      try {
+        this.stats.requests++;
+        response = await send();
+      } catch (error) {
+        failure = error;
+      } finally {
+        this.release();
+      }
+
+      if (!failure) {
+        return response;
+      }
+
+      const status = failure.response?.status;
+      if (status === 429) {
+        this.stats.throttled++;
+      }
+
+      const delay = this.getRetryDelay(failure, attempt);
+      if (attempt >= this.maxRetries || !this.isRetryable(failure) || delay > this.maxRetryAfterMs) {
+        this.stats.failures++;
+        throw failure;
+      }
+
+      this.stats.retries++;
+      this.stats.waitedMs += delay;
+      console.warn(
+        `    ⚠ ${status ? `HTTP ${status}` : failure.code || failure.message}; ` +
+        `retrying in ${Math.round(delay / 1000)}s (${attempt + 1}/${this.maxRetries})`
+      );
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * Check whether a failed request should be retried
+   * @param {Error} error - axios error
+   * @returns {boolean} True if the failure is transient
+   */
+  isRetryable(error) {
+    const status = error.response?.status;
+    if (status) {
+      return status === 429 || RETRYABLE_STATUS_CODES.has(status);
+    }
+    return RETRYABLE_ERROR_CODES.has(error.code);
+  }
+
+  /**
+   * Work out how long to wait before retrying
+   * Retry-After wins when the server sends it and is used as sent; otherwise
+   * use full-jitter exponential backoff, capped at the maximum delay, so
+   * parallel clients don't retry in lockstep
+   * @param {Error} error - axios error
+   * @param {number} attempt - Zero-based attempt number that failed
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(error, attempt) {
+    const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+    if (retryAfter !== null) {
+      return retryAfter;
+    }
+
+    const ceiling = Math.min(this.baseDelayMs * 2 ** attempt, this.maxDelayMs);
+    return Math.round(Math.random() * ceiling);
+  }
+
+  /**
+   * Wait for a free request slot
+   */
+  async acquire() {
+    if (this.active < this.maxConcurrent) {
+      this.active++;
+      return;
+    }
+    // The releasing request hands its slot straight to us
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  /**
+   * Free a request slot, handing it to the next waiter if there is one
+   */
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Get request counters since the last reset
+   * @returns {Object} { requests, retries, throttled, failures, waitedMs }
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+
+  /**
+   * Reset request counters (call at the start of each sync run)
+   */
+  resetStats() {
+    this.stats = {
+      requests: 0,
+      retries: 0,
+      throttled: 0,
+      failures: 0,
+      waitedMs: 0,
+    };
+  }
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date)
+ * @param {string|undefined} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(seconds, 0) * 1000;
+  }
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) {
+    return null;
+  }
+  return Math.max(date - Date.now(), 0);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,210 @@
+import { recordLoss } from './fidelity.js';
+
+/**
+ * Confluence link resolution
+ * Turns ac:link and ac:image resource identifiers (ri:page, ri:attachment,
+ * ri:user, ...) into absolute links and display names, so answers can follow
+ * cross-references. Needs the page being converted, supplied as a context:
+ * { wikiUrl, spaceKey, pageId, pageUrl, users }.
+ */
+
+// Resource identifiers an ac:link can point at
+const LINK_RESOURCES = ['RI:PAGE', 'RI:BLOG-POST', 'RI:ATTACHMENT', 'RI:USER', 'RI:SPACE'];
+
+/**
+ * Register the link rules with a Turndown service
+ * @param {TurndownService} turndownService - Turndown instance
+ * @param {Function} getContext - Returns the context of the current conversion
+ */
+export function addLinkRules(turndownService, getContext) {
+  turndownService.addRule('confluenceLink', {
+    filter: function (node) {
+      return node.nodeName === 'AC:LINK';
+    },
+    replacement: function (content, node) {
+      return convertLink(node, getContext());
+    },
+  });
+
+  turndownService.addRule('confluenceImage', {
+    filter: function (node) {
+      return node.nodeName === 'AC:IMAGE';
+    },
+    replacement: function (content, node) {
+      return convertImage(node, getContext());
+    },
+  });
+}
+
+/**
+ * Convert an ac:link element
+ * @param {Element} node - ac:link element
+ * @param {Object} context - Conversion context
+ * @returns {string} Markdown
+ */
+function convertLink(node, context) {
+  const resource = findDescendant(node, LINK_RESOURCES);
+  const anchor = node.getAttribute('ac:anchor');
+  const body = findDescendant(node, ['AC:LINK-BODY', 'AC:PLAIN-TEXT-LINK-BODY'])?.textContent.trim();
+
+  if (resource?.nodeName === 'RI:USER') {
+    return `@${getMentionName(resource, context)}`;
+  }
+
+  let target;
+  if (!resource) {
+    // Link to an anchor on the same page
+    target = anchor ? { url: context.pageUrl, title: anchor } : null;
+  } else if (resource.nodeName === 'RI:ATTACHMENT') {
+    target = resolveAttachment(resource, context);
+    target.title = `Attachment: ${target.title}`;
+  } else if (resource.nodeName === 'RI:SPACE') {
+    const spaceKey = resource.getAttribute('ri:space-key');
+    target = { url: `${context.wikiUrl}/display/${spaceKey}`, title: spaceKey };
+  } else {
+    target = resolvePage(resource, context);
+  }
+
+  if (!target) {
+    return body || '';
+  }
+
+  const url = anchor && target.url ? `${target.url}#${anchor}` : target.url;
+  const text = (body || target.title).replace(/([[\]])/g, '\\$1');
+  return url ? `[${text}](${url})` : text;
+}
+
+/**
+ * Convert an ac:image element into a descriptive link
+ * @param {Element} node - ac:image element
+ * @param {Object} context - Conversion context
+ * @returns {string} Markdown
+ */
+function convertImage(node, context) {
+  const alt = node.getAttribute('ac:alt') || node.getAttribute('ac:title');
+  if (!alt) {
+    recordLoss(context, 'imagesWithoutAlt');
+  }
+  const resource = findDescendant(node, ['RI:ATTACHMENT', 'RI:URL']);
+  if (!resource) {
+    return alt ? `[Image: ${alt}]` : '';
+  }
+
+  const target = resource.nodeName === 'RI:URL'
+    ? { url: resource.getAttribute('ri:value'), title: resource.getAttribute('ri:value') }
+    : resolveAttachment(resource, context);
+
+  return `[Image: ${(alt || target.title).replace(/([[\]])/g, '\\$1')}](${target.url})`;
+}
+
+/**
+ * Build the URL of a page or blog post referenced by title
+ * @param {Element} resource - ri:page or ri:blog-post element
+ * @param {Object} context - Conversion context
+ * @returns {Object} { url, title }
+ */
+function resolvePage(resource, context) {
+  const title = resource.getAttribute('ri:content-title');
+  if (!title) {
+    return { url: context.pageUrl, title: 'this page' };
+  }
+
+  const spaceKey = resource.getAttribute('ri:space-key') || context.spaceKey;
+  const postingDay = resource.getAttribute('ri:posting-day');
+  const path = postingDay ? `${postingDay}/${encodeTitle(title)}` : encodeTitle(title);
+  return { url: `${context.wikiUrl}/display/${spaceKey}/${path}`, title };
+}
+
+/**
+ * Build the download URL of an attachment
+ * Attachments on other pages are linked through that page, as only the title
+ * of the page is known
+ * @param {Element} resource - ri:attachment element
+ * @param {Object} context - Conversion context
+ * @returns {Object} { url, title }
+ */
+function resolveAttachment(resource, context) {
+  const filename = resource.getAttribute('ri:filename');
+  const container = findDescendant(resource, ['RI:PAGE', 'RI:BLOG-POST']);
+
+  if (container) {
+    const page = resolvePage(container, context);
+    return { url: page.url, title: `${filename} (on ${page.title})` };
+  }
+
+  return {
+    url: `${context.wikiUrl}/download/attachments/${context.pageId}/${encodeURIComponent(filename)}`,
+    title: filename,
+  };
+}
+
+/**
+ * Get the display name of a mentioned user
+ * @param {Element} resource - ri:user element
+ * @param {Object} context - Conversion context
+ * @returns {string} Display name, or "unknown user" if it couldn't be looked up
+ */
+export function getMentionName(resource, context) {
+  const key = getUserKey({
+    accountId: resource.getAttribute('ri:account-id'),
+    userKey: resource.getAttribute('ri:userkey'),
+    username: resource.getAttribute('ri:username'),
+  });
+  return context.users?.get(key) || 'unknown user';
+}
+
+/**
+ * Find the users mentioned in storage format markup
+ * @param {string} storageValue - Storage format markup
+ * @returns {Array<Object>} Unique user references ({ accountId } on Cloud,
+ *   { userKey } or { username } on Data Center / Server)
+ */
+export function findUserReferences(storageValue) {
+  const references = new Map();
+
+  for (const [tag] of (storageValue || '').matchAll(/<ri:user\b[^>]*>/g)) {
+    const attribute = name => tag.match(new RegExp(`ri:${name}="([^"]*)"`))?.[1];
+    const reference = {
+      accountId: attribute('account-id'),
+      userKey: attribute('userkey'),
+      username: attribute('username'),
+    };
+    const key = getUserKey(reference);
+    if (key) {
+      references.set(key, reference);
+    }
+  }
+
+  return [...references.values()];
+}
+
+/**
+ * Get the key a user reference is cached under
+ * @param {Object} reference - { accountId, userKey, username }
+ * @returns {string|undefined} Cache key
+ */
+export function getUserKey({ accountId, userKey, username }) {
+  return accountId || userKey || username || undefined;
+}
+
+/**
+ * Find the first descendant with one of the given names
+ * Resource identifiers are written as self-closing tags, which the HTML parser
+ * doesn't close, so they may wrap the link body rather than sit beside it
+ */
+function findDescendant(node, nodeNames) {
+  for (const child of Array.from(node.childNodes)) {
+    if (nodeNames.includes(child.nodeName)) {
+      return child;
+    }
+    const match = child.childNodes ? findDescendant(child, nodeNames) : null;
+    if (match) {
+      return match;
+    }
+  }
+  return null;
+}
+
+function encodeTitle(title) {
+  return encodeURIComponent(title).replace(/%20/g, '+');
+}
@@ -0,0 +1,145 @@
+/**
+ * Confluence macro handlers
+ * Each handler turns an ac:structured-macro element into markdown. Handlers
+ * receive the already-converted rich-text body (`content`) and the macro node,
+ * so they can read parameters and plain-text bodies directly.
+ */
+
+// Panel macros and the label their blockquote starts with
+const PANEL_LABELS = {
+  info: 'Info',
+  note: 'Note',
+  warning: 'Warning',
+  tip: 'Tip',
+  panel: 'Panel',
+};
+
+/**
+ * Get a macro parameter value
+ * @param {Element} node - ac:structured-macro element
+ * @param {string} name - Parameter name
+ * @returns {string} Trimmed value, or an empty string if unset
+ */
+export function getMacroParameter(node, name) {
+  const parameter = findChild(node, 'AC:PARAMETER', child => child.getAttribute('ac:name') === name);
+  return parameter?.textContent.trim() || '';
+}
+
+/**
+ * Get a macro's plain-text body (code and noformat macros)
+ * @param {Element} node - ac:structured-macro element
+ * @returns {string} Body text
+ */
+export function getPlainTextBody(node) {
+  return findChild(node, 'AC:PLAIN-TEXT-BODY')?.textContent || '';
+}
+
+/**
+ * Find a direct child element, skipping those of nested macros
+ * @param {Element} node - Parent element
+ * @param {string} nodeName - Uppercase element name
+ * @param {Function} predicate - Optional extra check
+ * @returns {Element|undefined} Matching child
+ */
+function findChild(node, nodeName, predicate = () => true) {
+  return Array.from(node.childNodes).find(child => child.nodeName === nodeName && predicate(child));
+}
+
+/**
+ * Render text as a fenced code block, lengthening the fence if the text has one
+ * @param {string} text - Code
+ * @param {string} language - Language hint
+ * @returns {string} Markdown block
+ */
+export function fence(text, language = '') {
+  const longestRun = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+  const marker = '`'.repeat(longestRun + 1);
+  return `\n\n${marker}${language}\n${text.replace(/^\n+|\n+$/g, '')}\n${marker}\n\n`;
+}
+
+/**
+ * Render a code or noformat macro
+ */
+function codeMacro(content, node) {
+  const title = getMacroParameter(node, 'title');
+  const block = fence(getPlainTextBody(node), getMacroParameter(node, 'language').toLowerCase());
+  return title ? `\n\n**${title}**${block}` : block;
+}
+
+/**
+ * Render an info/note/warning/tip/panel macro as a labelled blockquote
+ */
+function panelMacro(content, node) {
+  return renderPanel(PANEL_LABELS[node.getAttribute('ac:name')], getMacroParameter(node, 'title'), content);
+}
+
+/**
+ * Render a panel as a blockquote starting with its label and title
+ * @param {string} label - Panel kind, e.g. Warning
+ * @param {string} title - Optional title
+ * @param {string} content - Panel body markdown
+ * @returns {string} Markdown block
+ */
+export function renderPanel(label, title, content) {
+  const heading = title ? `**${label}: ${title}**` : `**${label}**`;
+  const body = content.replace(/^\n+|\n+$/g, '');
+  const quoted = `${heading}${body ? `\n\n${body}` : ''}`.replace(/^/gm, '> ');
+  return `\n\n${quoted.replace(/^> $/gm, '>')}\n\n`;
+}
+
+/**
+ * Render an expand macro as a heading followed by its body
+ */
+function expandMacro(content, node) {
+  return renderExpand(getMacroParameter(node, 'title'), content);
+}
+
+/**
+ * Render an expandable section as a heading followed by its body
+ * @param {string} title - Optional title
+ * @param {string} content - Section body markdown
+ * @returns {string} Markdown block
+ */
+export function renderExpand(title, content) {
+  return `\n\n### ${title || 'Details'}\n\n${content.replace(/^\n+|\n+$/g, '')}\n\n`;
+}
+
+/**
+ * Render a status lozenge as inline text
+ */
+function statusMacro(content, node) {
+  const title = getMacroParameter(node, 'title');
+  return title ? `[${title}]` : '';
+}
+
+/**
+ * Render a Jira issue macro as its issue key, or the query for issue lists
+ */
+function jiraMacro(content, node) {
+  const key = getMacroParameter(node, 'key');
+  if (key) {
+    return key;
+  }
+  const jql = getMacroParameter(node, 'jqlQuery');
+  return jql ? `Jira issues: \`${jql}\`` : '';
+}
+
+/**
+ * Macro handlers keyed by macro name
+ */
+export const MACRO_HANDLERS = {
+  code: codeMacro,
+  noformat: codeMacro,
+  ...Object.fromEntries(Object.keys(PANEL_LABELS).map(name => [name, panelMacro])),
+  expand: expandMacro,
+  status: statusMacro,
+  jira: jiraMacro,
+};
+
+/**
+ * Fallback for macros without a handler: keep the rich-text body, if any
+ */
+export function unknownMacro(content) {
+  const body = content.replace(/^\n+|\n+$/g, '');
+  return body ? `\n\n${body}\n\n` : '';
+}
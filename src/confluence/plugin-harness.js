@@ -0,0 +1,51 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { ConfluenceConverter } from './converter.js';
+import { loadPlugin } from './plugins.js';
+
+// Page the fixtures are converted as, for links and attachments
+const FIXTURE_CONTEXT = {
+  wikiUrl: 'https://example.atlassian.net/wiki',
+  spaceKey: 'TEST',
+  pageId: '1',
+  pageUrl: 'https://example.atlassian.net/wiki/spaces/TEST/pages/1',
+};
+
+/**
+ * Run a converter plugin against storage format fixtures
+ * Each `<name>.xml` fixture (a page body) is converted with the plugin and
+ * compared with `<name>.md` beside it. Teams can keep their plugins' fixtures
+ * next to the plugin and check them from a test:
+ *
+ *   const results = await runPluginFixtures('plugins/roadmap.js', 'plugins/fixtures');
+ *   for (const result of results) expect(result.actual).toBe(result.expected);
+ *
+ * @param {string|Object} plugin - Path to a plugin module, or a loaded plugin ({ name, register })
+ * @param {string} fixtureDir - Directory of .xml fixtures and their expected .md output
+ * @param {Object} context - Overrides for the page context (users, spaceKey, ...)
+ * @returns {Promise<Array<Object>>} { name, expected, actual, passed } per fixture
+ */
+export async function runPluginFixtures(plugin, fixtureDir, context = {}) {
+  const loaded = typeof plugin === 'string' ? await loadPlugin(plugin) : plugin;
+  const converter = new ConfluenceConverter();
+  converter.use(loaded);
+
+  const fixtures = fs.readdirSync(fixtureDir)
+    .filter(file => file.endsWith('.xml'))
+    .sort();
+
+  return fixtures.map(file => {
+    const name = file.replace(/\.xml$/, '');
+    const storageValue = fs.readFileSync(path.join(fixtureDir, file), 'utf8');
+    const expectedFile = path.join(fixtureDir, `${name}.md`);
+    const expected = fs.existsSync(expectedFile) ? fs.readFileSync(expectedFile, 'utf8').trim() : null;
+    const actual = converter.toMarkdown(storageValue, {
+      ...FIXTURE_CONTEXT,
+      users: new Map(),
+      tasks: [],
+      ...context,
+    }).trim();
+
+    return { name, expected, actual, passed: actual === expected };
+  });
+}
@@ -0,0 +1,73 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { createHash } from 'crypto';
+import { pathToFileURL } from 'url';
+import { getMacroParameter, getPlainTextBody, fence, renderPanel, renderExpand } from './macros.js';
+
+/**
+ * Converter plugins
+ * A plugin is a module whose default export (or `register` export) is a
+ * function taking a plugin API:
+ *
+ *   export default function register({ addMacroHandler, addRule, helpers }) {
+ *     addMacroHandler('roadmap', (content, node, context) =>
+ *       `Roadmap: ${helpers.getMacroParameter(node, 'title')}`);
+ *   }
+ *
+ * Macro handlers receive the converted rich-text body, the macro element and
+ * the page context ({ wikiUrl, spaceKey, pageId, pageUrl, users, tasks }), and
+ * replace any built-in handler of the same name. Rules are Turndown rules and
+ * take precedence over the built-in ones; getContext() returns the page being
+ * converted. Plugins only apply to storage format conversion. Each plugin's
+ * name and file hash are stored with the pages it converted, so adding,
+ * removing or editing a plugin re-converts synced pages.
+ */
+
+// Helpers plugins can use without importing from this repository
+export const PLUGIN_HELPERS = {
+  getMacroParameter,
+  getPlainTextBody,
+  fence,
+  renderPanel,
+  renderExpand,
+};
+
+/**
+ * Load a plugin module
+ * @param {string} file - Path to the module
+ * @returns {Promise<Object>} { name, register, version }, where version is a
+ *   hash of the module file
+ */
+export async function loadPlugin(file) {
+  const module = await import(pathToFileURL(path.resolve(file)).href);
+  const register = module.default || module.register;
+  const name = path.basename(file).replace(/\.m?js$/, '');
+
+  if (typeof register !== 'function') {
+    throw new Error(`Converter plugin ${name} must export a register function (${file})`);
+  }
+
+  const version = createHash('sha256').update(fs.readFileSync(file)).digest('hex').slice(0, 12);
+  return { name, register, version };
+}
+
+/**
+ * Load every plugin module in a directory, in file name order
+ * @param {string} dir - Plugin directory
+ * @returns {Promise<Array<Object>>} Plugins ({ name, register, version })
+ */
+export async function loadPlugins(dir) {
+  if (!fs.existsSync(dir)) {
+    throw new Error(`Converter plugin directory not found: ${dir}`);
+  }
+
+  const files = fs.readdirSync(dir)
+    .filter(file => /\.m?js$/.test(file))
+    .sort();
+
+  const plugins = [];
+  for (const file of files) {
+    plugins.push(await loadPlugin(path.join(dir, file)));
+  }
+  return plugins;
+}
@@ -0,0 +1,69 @@
+import { config } from '../config.js';
+
+/**
+ * Page sections
+ * Large pages can be stored as one document per H1/H2 section, so retrieval
+ * returns focused chunks and citations point at the section rather than the
+ * whole page.
+ */
+
+/**
+ * Split converted markdown at H1 and H2 headings
+ * Headings inside fenced code blocks are left alone. Content before the first
+ * heading becomes a section without a heading
+ * @param {string} markdown - Page body markdown
+ * @returns {Array<Object>} { heading, markdown } per section; heading is plain
+ *   text, or null for the introduction
+ */
+export function splitSections(markdown) {
+  const sections = [];
+  let current = { heading: null, lines: [] };
+  let fence = null;
+
+  for (const line of markdown.split('\n')) {
+    const fenceMatch = line.match(/^(`{3,}|~{3,})/);
+    if (fenceMatch && (!fence || (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length))) {
+      fence = fence ? null : fenceMatch[1];
+    }
+
+    const headingMatch = !fence && line.match(/^#{1,2} (.+?)\s*#*$/);
+    if (headingMatch) {
+      sections.push(current);
+      current = { heading: headingText(headingMatch[1]), lines: [] };
+    }
+    current.lines.push(line);
+  }
+  sections.push(current);
+
+  return sections
+    .map(section => ({ heading: section.heading, markdown: section.lines.join('\n').trim() }))
+    .filter(section => section.markdown);
+}
+
+/**
+ * Get the plain text of a markdown heading
+ * @param {string} text - Heading markdown
+ * @returns {string} Text without links, emphasis or escapes
+ */
+function headingText(text) {
+  return text
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__|~~|`)/g, '')
+    .replace(/\\(.)/g, '$1')
+    .trim();
+}
+
+/**
+ * Build the anchor Confluence gives a heading
+ * Cloud uses the heading text with spaces as hyphens; Data Center / Server
+ * prefixes the page title, with spaces removed from both
+ * @param {string} pageTitle - Page title
+ * @param {string} heading - Heading text
+ * @returns {string} Anchor, without the #
+ */
+export function sectionAnchor(pageTitle, heading) {
+  if (config.confluence.deployment === 'server') {
+    return encodeURIComponent(`${pageTitle.replace(/\s+/g, '')}-${heading.replace(/\s+/g, '')}`);
+  }
+  return encodeURIComponent(heading.replace(/\s+/g, '-'));
+}
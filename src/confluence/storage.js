@@ -67,6 +67,17 @@ export class PageStorage {
     return path.join(this.contentDir, `${filename}.md`);
   }
 
+  /**
+   * Get full file path for a section of a split page
+   * @param {Object} page - Confluence page object
+   * @param {number} index - 0-based section index
+   * @returns {string} Full file path
+   */
+  getSectionFilePath(page, index) {
+    const filename = this.generateFilename(page);
+    return path.join(this.contentDir, `${filename}_section-${String(index + 1).padStart(2, '0')}.md`);
+  }
+
   /**
    * Save page content to file
    * @param {Object} page - Confluence page object
@@ -113,6 +124,77 @@ export class PageStorage {
     }
   }
 
+  /**
+   * Get the directory holding a page's attachments
+   * Keyed by page ID rather than title so renames don't orphan files
+   * @param {string} spaceKey - Space key
+   * @param {string} pageId - Parent page ID
+   * @returns {string} Directory path next to the page markdown
+   */
+  getAttachmentDir(spaceKey, pageId) {
+    return path.join(this.contentDir, `${spaceKey.toLowerCase()}_${pageId}_attachments`);
+  }
+
+  /**
+   * Get full file path for an attachment
+   * @param {string} spaceKey - Space key
+   * @param {string} pageId - Parent page ID
+   * @param {Object} attachment - Confluence attachment object
+   * @returns {string} Full file path
+   */
+  getAttachmentFilePath(spaceKey, pageId, attachment) {
+    const extension = path.extname(attachment.title).toLowerCase();
+    const baseName = this.sanitizeFilename(path.basename(attachment.title, path.extname(attachment.title)));
+    return path.join(this.getAttachmentDir(spaceKey, pageId), `${attachment.id}_${baseName}${extension}`);
+  }
+
+  /**
+   * Save attachment content to file
+   * @param {string} spaceKey - Space key
+   * @param {string} pageId - Parent page ID
+   * @param {Object} attachment - Confluence attachment object
+   * @param {Buffer} data - File content
+   * @returns {Object} Result with filePath and success status
+   */
+  saveAttachment(spaceKey, pageId, attachment, data) {
+    try {
+      const filePath = this.getAttachmentFilePath(spaceKey, pageId, attachment);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, data);
+
+      return {
+        success: true,
+        filePath,
+        error: null,
+      };
+    } catch (error) {
+      console.error(`Error saving attachment ${attachment.id}:`, error.message);
+      return {
+        success: false,
+        filePath: null,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Delete an attachment file, removing its directory once empty
+   * @param {string} filePath - Path to file to delete
+   * @returns {boolean} Success status
+   */
+  deleteAttachment(filePath) {
+    const deleted = this.deletePage(filePath);
+    try {
+      const dir = path.dirname(filePath);
+      if (fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+        fs.rmdirSync(dir);
+      }
+    } catch (error) {
+      console.error(`Error removing attachment directory for ${filePath}:`, error.message);
+    }
+    return deleted;
+  }
+
   /**
    * Save page and update database
    * @param {Object} page - Confluence page object
@@ -131,24 +213,86 @@ export class PageStorage {
       };
     }
 
+    return this.recordPage(page, [saveResult.filePath], [], fileSearchStoreName);
+  }
+
+  /**
+   * Save a page as one document per section and update database
+   * A page with a single section is saved like any other page
+   * @param {Object} page - Confluence page object
+   * @param {Array<Object>} sections - { title, url, markdown } per section, from
+   *   ConfluenceConverter.convertSections()
+   * @param {string} fileSearchStoreName - File search store name (optional)
+   * @returns {Object} Result object, with filePaths holding every section file
+   */
+  savePageSections(page, sections, fileSearchStoreName = null) {
+    if (sections.length === 1) {
+      const result = this.savePageWithMetadata(page, sections[0].markdown, fileSearchStoreName);
+      return { ...result, filePaths: result.success ? [result.filePath] : [] };
+    }
+
+    const filePaths = [];
+    try {
+      sections.forEach((section, index) => {
+        const filePath = this.getSectionFilePath(page, index);
+        fs.writeFileSync(filePath, section.markdown, 'utf-8');
+        filePaths.push(filePath);
+      });
+    } catch (error) {
+      console.error(`Error saving sections of page ${page.id}:`, error.message);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+
+    const sectionRecords = sections.map((section, index) => ({
+      title: section.title,
+      url: section.url,
+      filePath: filePaths[index],
+    }));
+    return this.recordPage(page, filePaths, sectionRecords, fileSearchStoreName);
+  }
+
+  /**
+   * Record a saved page and its sections in the database, removing files of
+   * an earlier save (other sections, or an old title) that are no longer used
+   * @param {Object} page - Confluence page object
+   * @param {Array<string>} filePaths - Files just written; the first is the page's file
+   * @param {Array<Object>} sections - { title, url, filePath } per section, or none
+   * @param {string} fileSearchStoreName - File search store name (optional)
+   * @returns {Object} Result object
+   */
+  recordPage(page, filePaths, sections, fileSearchStoreName) {
     try {
+      const previous = [db.getPage(page.id)?.file_path, ...db.getPageSections(page.id).map(s => s.file_path)];
+      for (const filePath of previous) {
+        if (filePath && !filePaths.includes(filePath)) {
+          this.deletePage(filePath);
+        }
+      }
+
       // Update database
       db.upsertPage({
         pageId: page.id,
         spaceKey: page.space.key,
+        contentType: page.type || 'page',
         title: page.title,
         version: page.version.number,
         lastSynced: new Date().toISOString(),
-        filePath: saveResult.filePath,
+        filePath: filePaths[0],
         fileSearchStoreName,
         url: page._links?.webui 
-          ? `${config.confluence.baseUrl}/wiki${page._links.webui}`
+          ? `${config.confluence.wikiUrl}${page._links.webui}`
           : null,
+        ancestorIds: (page.ancestors || []).map(ancestor => ancestor.id),
       });
+      db.replacePageSections(page.id, sections);
 
       return {
         success: true,
-        filePath: saveResult.filePath,
+        filePath: filePaths[0],
+        filePaths,
         pageId: page.id,
         error: null,
       };
@@ -156,7 +300,7 @@ export class PageStorage {
       console.error(`Error updating database for page ${page.id}:`, error.message);
       return {
         success: false,
-        filePath: saveResult.filePath,
+        filePath: filePaths[0],
         error: `File saved but database update failed: ${error.message}`,
       };
     }
@@ -191,7 +335,10 @@ export class PageStorage {
    */
   cleanupOrphanedFiles() {
     const allPages = db.getAllPages();
-    const knownPaths = new Set(allPages.map(p => p.file_path));
+    const knownPaths = new Set([
+      ...allPages.map(p => p.file_path),
+      ...db.getAllPageSections().map(s => s.file_path),
+    ]);
     
     const files = fs.existsSync(this.contentDir)
       ? fs.readdirSync(this.contentDir).filter(f => f.endsWith('.md'))
@@ -0,0 +1,240 @@
+/**
+ * Confluence table conversion
+ * Tables are converted as a whole once their cells have been converted. Tables
+ * whose shape fits a GFM table (no merged cells, single-line cells) become one;
+ * anything else becomes a row-by-row "key: value" list, which keeps each value
+ * next to its column and row headers.
+ */
+
+// Markdown of converted cells, recorded by the cell rule for the table rule
+const cellMarkdown = new WeakMap();
+
+// Cell markdown that can't be joined onto one line of a GFM table
+const BLOCK_MARKDOWN = /^\s*([-*+] |\d+\. |```|~~~|> ?|#{1,6} |\|)/m;
+
+/**
+ * Register the table rules with a Turndown service
+ * @param {TurndownService} turndownService - Turndown instance
+ */
+export function addTableRules(turndownService) {
+  turndownService.addRule('confluenceTableCell', {
+    filter: ['th', 'td'],
+    replacement: function (content, node) {
+      cellMarkdown.set(node, content.trim());
+      return '';
+    },
+  });
+
+  // Rows and sections are rendered by the table rule
+  turndownService.addRule('confluenceTableRow', {
+    filter: ['tr', 'thead', 'tbody', 'tfoot', 'colgroup', 'col'],
+    replacement: function () {
+      return '';
+    },
+  });
+
+  turndownService.addRule('confluenceTable', {
+    filter: 'table',
+    replacement: function (content, node) {
+      const table = convertTable(node);
+      return table ? `\n\n${table}\n\n` : '';
+    },
+  });
+}
+
+/**
+ * Convert a table element
+ * @param {Element} table - Table element whose cells have been converted
+ * @returns {string} Markdown
+ */
+export function convertTable(table) {
+  return renderTable(getRows(table).map(row => childElements(row, ['TH', 'TD']).map(node => ({
+    markdown: cellMarkdown.get(node) || '',
+    text: node.textContent.replace(/\u200B/g, '').replace(/\s+/g, ' ').trim(),
+    isHeader: node.nodeName === 'TH',
+    colspan: spanOf(node, 'colspan'),
+    rowspan: spanOf(node, 'rowspan'),
+  }))));
+}
+
+/**
+ * Render a table from its converted cells
+ * Shared by the storage format and ADF converters
+ * @param {Array<Array<Object>>} rows - Rows of cells
+ *   ({ markdown, text, isHeader, colspan, rowspan })
+ * @returns {string} Markdown
+ */
+export function renderTable(rows) {
+  const grid = buildGrid(rows);
+  if (grid.length === 0) {
+    return '';
+  }
+
+  // A table of only header cells is treated as data, so nothing is lost
+  const headerRows = Math.min(countHeaderRows(grid), grid.length - 1);
+  const hasHeaderColumn = grid.slice(headerRows).every(row => row[0].isHeader);
+
+  // Tables with only a header column read as a list of properties
+  if (headerRows === 0 && hasHeaderColumn) {
+    return toProperties(grid);
+  }
+
+  return canUseGfm(grid, headerRows)
+    ? toGfm(grid, headerRows, hasHeaderColumn)
+    : toKeyValue(grid, headerRows, hasHeaderColumn);
+}
+
+/**
+ * Lay the cells out on a grid, repeating merged cells in every slot they span
+ * @param {Array<Array<Object>>} rows - Rows of cells
+ * @returns {Array<Array<Object>>} Rows of cells ({ markdown, text, isHeader, merged })
+ */
+function buildGrid(rows) {
+  const grid = [];
+
+  rows.forEach((row, rowIndex) => {
+    grid[rowIndex] = grid[rowIndex] || [];
+    let column = 0;
+
+    for (const { colspan = 1, rowspan: declaredRowspan = 1, ...content } of row) {
+      while (grid[rowIndex][column]) column++;
+
+      // A rowspan past the last row only spans the rows that exist
+      const rowspan = Math.min(declaredRowspan, rows.length - rowIndex);
+      const cell = { ...content, merged: colspan > 1 || rowspan > 1 };
+
+      for (let r = rowIndex; r < rowIndex + rowspan; r++) {
+        grid[r] = grid[r] || [];
+        for (let c = column; c < column + colspan; c++) {
+          grid[r][c] = cell;
+        }
+      }
+      column += colspan;
+    }
+  });
+
+  // Drop rows without cells, then pad ragged rows so every row has the same
+  // number of slots
+  const filled = grid.filter(row => row.length > 0);
+  if (filled.length === 0) {
+    return [];
+  }
+  const width = Math.max(...filled.map(row => row.length));
+  const empty = { markdown: '', text: '', isHeader: false, merged: false };
+  return filled.map(row => Array.from({ length: width }, (_, c) => row[c] || empty));
+}
+
+/**
+ * Get the table's own rows, skipping rows of nested tables
+ */
+function getRows(table) {
+  return childElements(table, ['THEAD', 'TBODY', 'TFOOT', 'TR']).flatMap(child =>
+    child.nodeName === 'TR' ? [child] : childElements(child, ['TR'])
+  );
+}
+
+function childElements(node, nodeNames) {
+  return Array.from(node.childNodes).filter(child => nodeNames.includes(child.nodeName));
+}
+
+function spanOf(node, attribute) {
+  return Math.max(parseInt(node.getAttribute(attribute), 10) || 1, 1);
+}
+
+/**
+ * Count the leading rows made up entirely of header cells
+ */
+function countHeaderRows(grid) {
+  const index = grid.findIndex(row => !row.every(cell => cell.isHeader));
+  return index === -1 ? grid.length : index;
+}
+
+/**
+ * Check whether a table fits a GFM table: at most one header row, no merged
+ * cells and no block content in cells
+ */
+function canUseGfm(grid, headerRows) {
+  const cells = grid.flat();
+  return headerRows <= 1 &&
+    !cells.some(cell => cell.merged) &&
+    !cells.some(cell => BLOCK_MARKDOWN.test(cell.markdown));
+}
+
+/**
+ * Render a GFM table; header column cells are bolded
+ */
+function toGfm(grid, headerRows, hasHeaderColumn) {
+  const width = grid[0].length;
+  const header = headerRows === 1 ? grid[0].map(cell => toGfmCell(cell.markdown)) : Array(width).fill('');
+  const body = grid.slice(headerRows).map(row => row.map((cell, c) => {
+    const markdown = toGfmCell(cell.markdown);
+    return c === 0 && hasHeaderColumn && markdown && !markdown.startsWith('**') ? `**${markdown}**` : markdown;
+  }));
+
+  return [header, Array(width).fill('---'), ...body]
+    .map(row => `| ${row.join(' | ')} |`)
+    .join('\n');
+}
+
+function toGfmCell(markdown) {
+  return markdown.replace(/\|/g, '\\|').replace(/\n+/g, '<br>');
+}
+
+/**
+ * Render a table as one block per row, each value labelled with its column
+ * headers; merged cells are repeated in every row they span
+ */
+function toKeyValue(grid, headerRows, hasHeaderColumn) {
+  const width = grid[0].length;
+  const firstColumn = hasHeaderColumn ? 1 : 0;
+
+  const columnKeys = Array.from({ length: width }, (_, c) => {
+    const labels = unique(grid.slice(0, headerRows).map(row => row[c].text).filter(Boolean));
+    return labels.join(' / ') || `Column ${c + 1}`;
+  });
+
+  const blocks = grid.slice(headerRows).map((row, index) => {
+    const label = hasHeaderColumn && row[0].text ? row[0].text : `Row ${index + 1}`;
+
+    const lines = [];
+    const seen = new Set();
+    row.slice(firstColumn).forEach(cell => {
+      if (seen.has(cell) || !cell.markdown) {
+        return;
+      }
+      seen.add(cell);
+
+      // A cell merged across columns is labelled with all of their headers
+      const keys = unique(columnKeys.filter((key, c) => c >= firstColumn && row[c] === cell));
+      lines.push(toListItem(keys.join(', '), cell.markdown));
+    });
+
+    return `**${label}**\n\n${lines.join('\n') || '- *(empty)*'}`;
+  });
+
+  return blocks.join('\n\n');
+}
+
+/**
+ * Render a table whose first column holds the headers as "header: value" items
+ */
+function toProperties(grid) {
+  return grid.map(row => {
+    const values = unique(row.slice(1)).map(cell => cell.markdown).filter(Boolean);
+    return toListItem(row[0].text, values.join('\n\n'));
+  }).join('\n');
+}
+
+/**
+ * Render a "key: value" list item; block values start on their own line
+ */
+function toListItem(key, markdown) {
+  if (!markdown.includes('\n') && !BLOCK_MARKDOWN.test(markdown)) {
+    return `- ${key}: ${markdown}`;
+  }
+  return `- ${key}:\n${markdown.replace(/^/gm, '  ')}`;
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
@@ -0,0 +1,170 @@
+import { getMentionName } from './links.js';
+
+/**
+ * Confluence task lists, decisions and dates
+ * Tasks become GFM checkboxes keeping their assignee (a mention) and due date
+ * (the first date in the task). Each task is also recorded on the conversion
+ * context so the converter can list the open ones.
+ */
+
+// Markdown of converted ADF parts, recorded for the extension rule
+const adfMarkdown = new WeakMap();
+
+/**
+ * Register the task, decision and date rules with a Turndown service
+ * @param {TurndownService} turndownService - Turndown instance
+ * @param {Function} getContext - Returns the context of the current conversion
+ */
+export function addTaskRules(turndownService, getContext) {
+  turndownService.addRule('confluenceTaskList', {
+    filter: function (node) {
+      return node.nodeName === 'AC:TASK-LIST';
+    },
+    replacement: function (content) {
+      return `\n\n${content.replace(/^\n+|\n+$/g, '')}\n\n`;
+    },
+  });
+
+  turndownService.addRule('confluenceTask', {
+    filter: function (node) {
+      return node.nodeName === 'AC:TASK';
+    },
+    replacement: function (content, node) {
+      const complete = findChild(node, 'AC:TASK-STATUS')?.textContent.trim() === 'complete';
+      const body = findChild(node, 'AC:TASK-BODY');
+      if (body) {
+        recordTask(body, complete, getContext());
+      }
+
+      // Nested task lists are indented under their parent task
+      const text = content.replace(/^\s+|\s+$/g, '').replace(/\n{2,}/g, '\n').replace(/\n/g, '\n  ');
+      return `${complete ? '- [x]' : '- [ ]'} ${text}\n`;
+    },
+  });
+
+  // Task IDs and status are read by the task rule
+  turndownService.addRule('confluenceTaskFields', {
+    filter: function (node) {
+      return ['AC:TASK-ID', 'AC:TASK-UUID', 'AC:TASK-STATUS'].includes(node.nodeName);
+    },
+    replacement: function () {
+      return '';
+    },
+  });
+
+  // Date lozenges render as ISO dates
+  turndownService.addRule('confluenceDate', {
+    filter: 'time',
+    replacement: function (content, node) {
+      return node.getAttribute('datetime') || content.trim();
+    },
+  });
+
+  turndownService.addRule('confluenceAdfPart', {
+    filter: function (node) {
+      return ['AC:ADF-CONTENT', 'AC:ADF-FALLBACK'].includes(node.nodeName);
+    },
+    replacement: function (content, node) {
+      adfMarkdown.set(node, content.trim());
+      return '';
+    },
+  });
+
+  // Decisions are stored as ADF extensions; other extensions use their fallback
+  turndownService.addRule('confluenceAdfExtension', {
+    filter: function (node) {
+      return node.nodeName === 'AC:ADF-EXTENSION';
+    },
+    replacement: function (content, node) {
+      const decisions = findAdfNodes(node, 'decision-item');
+      if (decisions.length > 0) {
+        return `\n\n${decisions.map(convertDecision).join('\n')}\n\n`;
+      }
+      const fallback = findChild(node, 'AC:ADF-FALLBACK');
+      return fallback ? `\n\n${adfMarkdown.get(fallback) || ''}\n\n` : '';
+    },
+  });
+}
+
+/**
+ * Render a decision item
+ * @param {Element} item - ac:adf-node of type decision-item
+ * @returns {string} Markdown line
+ */
+function convertDecision(item) {
+  const state = Array.from(item.childNodes)
+    .find(child => child.nodeName === 'AC:ADF-ATTRIBUTE' && child.getAttribute('key') === 'state')
+    ?.textContent.trim();
+  const content = findChild(item, 'AC:ADF-CONTENT');
+  const text = (content && adfMarkdown.get(content)) || '';
+  const marker = state && state !== 'DECIDED' ? 'Decision (undecided):' : 'Decision:';
+  return `- **${marker}** ${text.replace(/\n+/g, ' ')}`;
+}
+
+/**
+ * Record a task on the conversion context
+ * @param {Element} body - ac:task-body element
+ * @param {boolean} complete - True if the task is done
+ * @param {Object} context - Conversion context
+ */
+function recordTask(body, complete, context) {
+  if (!context.tasks) {
+    return;
+  }
+
+  // Take the assignee and due date out of the text, as they're listed separately
+  const own = body.cloneNode(true);
+  for (let nested; (nested = findDescendant(own, 'AC:TASK-LIST'));) {
+    nested.parentNode.removeChild(nested);
+  }
+  const mention = findDescendant(own, 'RI:USER');
+  const time = findDescendant(own, 'TIME');
+  const due = time ? time.getAttribute('datetime') || time.textContent.trim() : null;
+  for (const node of [closest(mention, 'AC:LINK'), time]) {
+    node?.parentNode.removeChild(node);
+  }
+
+  context.tasks.push({
+    text: own.textContent.replace(/\u200B/g, '').replace(/\s+/g, ' ').trim(),
+    complete,
+    assignee: mention ? getMentionName(mention, context) : null,
+    due,
+  });
+}
+
+/**
+ * Find the decision items of an ADF extension
+ */
+function findAdfNodes(node, type) {
+  const matches = [];
+  for (const child of Array.from(node.childNodes)) {
+    if (child.nodeName === 'AC:ADF-FALLBACK') continue;
+    if (child.nodeName === 'AC:ADF-NODE' && child.getAttribute('type') === type) {
+      matches.push(child);
+    } else if (child.childNodes) {
+      matches.push(...findAdfNodes(child, type));
+    }
+  }
+  return matches;
+}
+
+function findChild(node, nodeName) {
+  return Array.from(node.childNodes).find(child => child.nodeName === nodeName);
+}
+
+function findDescendant(node, nodeName) {
+  for (const child of Array.from(node.childNodes)) {
+    if (child.nodeName === nodeName) return child;
+    const match = child.childNodes ? findDescendant(child, nodeName) : null;
+    if (match) return match;
+  }
+  return null;
+}
+
+function closest(node, nodeName) {
+  let current = node?.parentNode;
+  while (current && current.nodeName !== nodeName) {
+    current = current.parentNode;
+  }
+  return current || null;
+}
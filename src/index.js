@@ -0,0 +1,534 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import * as readline from 'readline';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+import cron from 'node-cron';
+import { config, initializeConfig } from './config.js';
+import { SyncService } from './sync/sync-service.js';
+import { ChatService } from './chatbot/chat-service.js';
+
+/**
+ * Process exit codes
+ */
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  CONFIG: 3,
+  PARTIAL: 4, // Sync finished but some pages or spaces failed
+};
+
+/**
+ * Supported commands with their flags
+ */
+const COMMANDS = {
+  sync: {
+    summary: 'Sync Confluence spaces into the File Search store',
+    options: {
+      full: { type: 'boolean', short: 'f', description: 'Re-process every page, even if unchanged' },
+      space: { type: 'string', short: 's', multiple: true, description: 'Space key to sync (repeatable, comma-separated)' },
+    },
+    run: runSync,
+  },
+  chat: {
+    summary: 'Ask questions about the synced content',
+    options: {
+      question: { type: 'string', short: 'q', description: 'Ask a single question and exit' },
+      store: { type: 'string', multiple: true, description: 'Store to search (repeatable, comma-separated; default FILE_SEARCH_STORE_NAME)' },
+    },
+    run: runChat,
+  },
+  schedule: {
+    summary: 'Run sync on a schedule (SYNC_INTERVAL_HOURS)',
+    options: {
+      cron: { type: 'string', description: 'Cron expression overriding the configured interval' },
+      'run-now': { type: 'boolean', description: 'Run a sync immediately before waiting for the schedule' },
+      full: { type: 'boolean', short: 'f', description: 'Force full syncs' },
+    },
+    run: runSchedule,
+  },
+  status: {
+    summary: 'Show synced page counts and the last sync',
+    options: {},
+    run: runStatus,
+  },
+  report: {
+    summary: 'Rank spaces and pages by content lost in conversion',
+    options: {
+      space: { type: 'string', short: 's', description: 'Only report on this space' },
+      limit: { type: 'string', short: 'n', description: 'Number of pages to list (default 20)' },
+    },
+    run: runReport,
+  },
+  gc: {
+    summary: 'Delete store documents that no synced page or attachment owns',
+    options: {
+      'dry-run': { type: 'boolean', description: 'List the orphaned documents without deleting them' },
+    },
+    run: runGarbageCollection,
+  },
+  reconcile: {
+    summary: 'Compare the File Search store with the synced pages and attachments',
+    options: {
+      fix: { type: 'boolean', description: 'Re-upload missing and outdated documents and delete orphaned ones' },
+    },
+    run: runReconcile,
+  },
+};
+
+/**
+ * Error raised for invalid command-line usage
+ */
+export class UsageError extends Error {}
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments without the node binary and script path
+ * @returns {Object} { command, options, help }
+ */
+export function parseCommandLine(argv) {
+  const [command, ...rest] = argv;
+
+  if (!command || command === '--help' || command === '-h' || command === 'help') {
+    return { command: rest[0] || null, options: {}, help: true };
+  }
+
+  const definition = COMMANDS[command];
+  if (!definition) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+
+  const optionSpec = {
+    help: { type: 'boolean', short: 'h' },
+  };
+  for (const [name, option] of Object.entries(definition.options)) {
+    const { description, ...spec } = option;
+    optionSpec[name] = spec;
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: rest, options: optionSpec, allowPositionals: false, strict: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { help, ...options } = parsed.values;
+  return { command, options, help: Boolean(help) };
+}
+
+/**
+ * Build help text for all commands or a single command
+ * @param {string|null} command - Command name
+ * @returns {string} Help text
+ */
+export function formatHelp(command = null) {
+  if (command && COMMANDS[command]) {
+    const definition = COMMANDS[command];
+    const lines = [`Usage: node src/index.js ${command} [options]`, '', definition.summary, '', 'Options:'];
+    for (const [name, option] of Object.entries(definition.options)) {
+      const flag = option.short ? `-${option.short}, --${name}` : `    --${name}`;
+      const value = option.type === 'string' ? ' <value>' : '';
+      lines.push(`  ${(flag + value).padEnd(24)} ${option.description}`);
+    }
+    lines.push(`  ${'-h, --help'.padEnd(24)} Show this help`);
+    return lines.join('\n');
+  }
+
+  const lines = ['Usage: node src/index.js <command> [options]', '', 'Commands:'];
+  for (const [name, definition] of Object.entries(COMMANDS)) {
+    lines.push(`  ${name.padEnd(10)} ${definition.summary}`);
+  }
+  lines.push('', "Run 'node src/index.js <command> --help' for command options.");
+  return lines.join('\n');
+}
+
+/**
+ * Flatten repeated and comma-separated option values, e.g. --space or --store
+ * @param {Array<string>|undefined} values - Raw option values
+ * @returns {Array<string>|null} Values, or null when the option wasn't given
+ */
+function parseListOption(values) {
+  if (!values || values.length === 0) return null;
+  return values
+    .flatMap(value => value.split(','))
+    .map(key => key.trim())
+    .filter(key => key.length > 0);
+}
+
+/**
+ * Map a sync result to an exit code
+ * @param {Object} result - Result from SyncService.sync()
+ * @returns {number} Exit code
+ */
+function syncExitCode(result) {
+  if (!result.success) return EXIT_CODES.FAILURE;
+  return result.stats.errors.length > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS;
+}
+
+/**
+ * sync command
+ */
+async function runSync(options) {
+  const syncService = new SyncService();
+  const result = await syncService.sync({
+    forceFullSync: Boolean(options.full),
+    spaceKeys: parseListOption(options.space),
+  });
+  return syncExitCode(result);
+}
+
+/**
+ * chat command
+ */
+async function runChat(options) {
+  const chatService = new ChatService({ stores: parseListOption(options.store) });
+
+  const printAnswer = ({ answer, sources }) => {
+    console.log(`\n${answer}\n`);
+    if (sources.length > 0) {
+      console.log('Sources:');
+      sources.forEach(source => console.log(`  - ${source}`));
+      console.log();
+    }
+  };
+
+  if (options.question) {
+    printAnswer(await chatService.ask(options.question));
+    return EXIT_CODES.SUCCESS;
+  }
+
+  console.log("Ask a question about your Confluence content. Type 'clear' to reset, 'exit' to quit.\n");
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  rl.setPrompt('> ');
+  rl.prompt();
+
+  for await (const line of rl) {
+    const input = line.trim();
+
+    if (['exit', 'quit', 'q'].includes(input.toLowerCase())) {
+      break;
+    }
+
+    if (input.toLowerCase() === 'clear') {
+      chatService.clearHistory();
+      console.log('Conversation cleared.\n');
+    } else if (input) {
+      try {
+        printAnswer(await chatService.ask(input));
+      } catch (error) {
+        console.error(`✗ ${error.message}\n`);
+      }
+    }
+
+    rl.prompt();
+  }
+
+  rl.close();
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Build a cron expression from a sync interval in hours
+ * @param {number} hours - Interval in hours
+ * @returns {string} Cron expression
+ */
+export function buildCronExpression(hours) {
+  if (!Number.isInteger(hours) || hours < 1) {
+    throw new UsageError(`Invalid sync interval: ${hours} hours`);
+  }
+  if (hours < 24) {
+    return `0 */${hours} * * *`;
+  }
+  if (hours % 24 === 0) {
+    const days = hours / 24;
+    return days === 1 ? '0 0 * * *' : `0 0 */${days} * *`;
+  }
+  throw new UsageError(`Sync interval of ${hours} hours cannot be expressed as a schedule; use --cron`);
+}
+
+/**
+ * schedule command
+ */
+async function runSchedule(options) {
+  const expression = options.cron || buildCronExpression(config.sync.intervalHours);
+  if (!cron.validate(expression)) {
+    throw new UsageError(`Invalid cron expression: ${expression}`);
+  }
+
+  const syncService = new SyncService();
+  let running = false;
+
+  const runScheduledSync = async () => {
+    if (running) {
+      console.log('Previous sync still running, skipping this run');
+      return;
+    }
+    running = true;
+    try {
+      await syncService.sync({ forceFullSync: Boolean(options.full) });
+    } catch (error) {
+      console.error('✗ Scheduled sync failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  if (options['run-now']) {
+    await runScheduledSync();
+  }
+
+  const task = cron.schedule(expression, runScheduledSync);
+  console.log(`✓ Sync scheduled (${expression}). Press Ctrl+C to stop.`);
+
+  await new Promise(resolve => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+
+  task.stop();
+  console.log('\nScheduler stopped');
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * status command
+ */
+async function runStatus() {
+  const syncService = new SyncService();
+  const status = syncService.getSyncStatus();
+
+  console.log(`\nSynced pages: ${status.totalPages}`);
+  status.pagesBySpace.forEach(({ space_key, count }) => {
+    console.log(`  ${space_key}: ${count}`);
+  });
+
+  if (status.lastSync) {
+    const { sync_completed, pages_added, pages_updated, pages_deleted, pages_skipped, pages_failed, error } = status.lastSync;
+    const { api_requests, api_retries, api_throttled } = status.lastSync;
+    console.log(`\nLast completed sync: ${sync_completed}`);
+    console.log(
+      `  Added ${pages_added}, updated ${pages_updated}, deleted ${pages_deleted}, ` +
+      `skipped ${pages_skipped}, failed ${pages_failed}`
+    );
+    console.log(`  Confluence requests ${api_requests}, retried ${api_retries}, throttled ${api_throttled}`);
+    if (error) {
+      console.log(`  Errors: ${error}`);
+    }
+  } else {
+    console.log('\nNo completed sync yet');
+  }
+
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * report command
+ */
+async function runReport(options) {
+  const limit = options.limit === undefined ? 20 : Number(options.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new UsageError(`Invalid page limit: ${options.limit}`);
+  }
+
+  const syncService = new SyncService();
+  const report = syncService.getFidelityReport({ spaceKey: options.space || null, limit });
+
+  if (report.spaces.length === 0) {
+    console.log('\nNo synced pages yet');
+    return EXIT_CODES.SUCCESS;
+  }
+
+  console.log('\nConversion losses by space:');
+  report.spaces.forEach(({ space_key, pages, pages_with_loss, loss }) => {
+    console.log(`  ${space_key}: ${loss} lost element(s) on ${pages_with_loss} of ${pages} page(s)`);
+  });
+
+  if (report.pages.length === 0) {
+    console.log('\nNo page lost content in conversion');
+    return EXIT_CODES.SUCCESS;
+  }
+
+  console.log('\nPages with the most losses:');
+  report.pages.forEach(page => {
+    const details = [
+      page.unknownMacros && `${page.unknownMacros} unknown macro(s)`,
+      page.unhandledElements && `${page.unhandledElements} unhandled element(s)`,
+      page.imagesWithoutAlt && `${page.imagesWithoutAlt} image(s) without alt text`,
+      page.emptyOutput && 'no content',
+    ].filter(Boolean);
+    console.log(`  ${page.total}  ${page.spaceKey}/${page.title} (${details.join(', ')})`);
+    if (page.url) {
+      console.log(`      ${page.url}`);
+    }
+  });
+
+  const printCounts = (heading, counts) => {
+    if (counts.length > 0) {
+      console.log(`\n${heading}:`);
+      counts.forEach(({ name, count }) => console.log(`  ${name}: ${count}`));
+    }
+  };
+  printCounts('Unknown macros', report.unknownMacros);
+  printCounts('Unhandled elements', report.unhandledElements);
+
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * gc command
+ */
+async function runGarbageCollection(options) {
+  const syncService = new SyncService();
+  const dryRun = Boolean(options['dry-run']);
+  return forEachStore(syncService, async store => {
+    const result = await syncService.collectGarbage(store.name, { dryRun });
+
+    if (result.skipped) {
+      console.log('Run a full sync first so every uploaded page has its documents recorded');
+      return EXIT_CODES.FAILURE;
+    }
+
+    if (result.orphaned.length === 0) {
+      console.log('\nNo orphaned documents in the store');
+      return EXIT_CODES.SUCCESS;
+    }
+
+    console.log(`\nOrphaned documents (${result.orphaned.length}):`);
+    result.orphaned.forEach(document => {
+      console.log(`  ${document.displayName || '(no display name)'}  ${document.name}`);
+    });
+
+    if (dryRun) {
+      return EXIT_CODES.SUCCESS;
+    }
+    console.log(`\n✓ Deleted ${result.deleted} of ${result.orphaned.length} document(s)`);
+    return result.deleted === result.orphaned.length ? EXIT_CODES.SUCCESS : EXIT_CODES.PARTIAL;
+  });
+}
+
+/**
+ * reconcile command
+ */
+async function runReconcile(options) {
+  const syncService = new SyncService();
+  const fix = Boolean(options.fix);
+  return forEachStore(syncService, async store => {
+    const result = await syncService.reconcile(store.name, { fix });
+
+    const printList = (heading, items, format) => {
+      if (items.length > 0) {
+        console.log(`\n${heading} (${items.length}):`);
+        items.forEach(item => console.log(`  ${format(item)}`));
+      }
+    };
+    printList('Pages missing from the store', result.missing, page => `${page.space_key}/${page.title}`);
+    printList('Attachments missing from the store', result.missingAttachments, attachment =>
+      `${attachment.space_key}/${attachment.title}`);
+    printList('Documents with no synced page or attachment', result.orphaned, document => `${document.displayName || '(no display name)'}  ${document.name}`);
+    printList('Pages with an outdated document', result.outdated, ({ page, documentVersion }) =>
+      `${page.space_key}/${page.title} (store v${documentVersion}, uploaded v${page.uploaded_version ?? page.version})`);
+
+    const problems = result.missing.length + result.missingAttachments.length +
+      result.orphaned.length + result.outdated.length;
+    if (problems === 0) {
+      console.log('\n✓ The store matches the synced pages and attachments');
+      return EXIT_CODES.SUCCESS;
+    }
+
+    if (!fix) {
+      console.log("\nRun 'node src/index.js reconcile --fix' to repair the store");
+      return EXIT_CODES.SUCCESS;
+    }
+
+    console.log(`\n✓ Re-uploaded ${result.reuploaded} document(s), deleted ${result.deleted} document(s)`);
+    if (result.failed.length > 0) {
+      console.log(`  ${result.failed.length} page(s) failed to upload and will be fetched again by the next sync`);
+    }
+    if (result.failedAttachments.length > 0) {
+      console.log(`  ${result.failedAttachments.length} attachment(s) failed to upload and will be retried by the next sync`);
+    }
+    const fixed = result.failed.length === 0 && result.failedAttachments.length === 0 &&
+      result.deleted === result.orphaned.length;
+    return fixed ? EXIT_CODES.SUCCESS : EXIT_CODES.PARTIAL;
+  });
+}
+
+/**
+ * Run a store command against each configured File Search store
+ * Stores are only looked up, never created or forgotten: stores not synced
+ * yet, or deleted remotely, are skipped and left for the next sync
+ * @param {SyncService} syncService - Sync service
+ * @param {Function} command - async (store) => exit code
+ * @returns {Promise<number>} Exit code; a failure in any store wins over a partial result
+ */
+async function forEachStore(syncService, command) {
+  const { storeManager } = syncService;
+  const displayNames = storeManager.getConfiguredStoreNames();
+  const exitCodes = [];
+  for (const displayName of displayNames) {
+    if (displayNames.length > 1) {
+      console.log(`\n[${displayName}]`);
+    }
+
+    const store = await storeManager.getStoreFromDatabase(displayName);
+    if (!store) {
+      console.log(`No File Search store named ${displayName} yet; skipping it until it has been synced`);
+      continue;
+    }
+    if (!(await storeManager.storeExists(store.name))) {
+      console.log(`File Search store ${store.name} no longer exists; skipping it until a sync recreates it`);
+      continue;
+    }
+    exitCodes.push(await command(store));
+  }
+
+  if (exitCodes.includes(EXIT_CODES.FAILURE)) return EXIT_CODES.FAILURE;
+  if (exitCodes.includes(EXIT_CODES.PARTIAL)) return EXIT_CODES.PARTIAL;
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * CLI entry point
+ * @param {Array<string>} argv - Arguments without the node binary and script path
+ * @returns {Promise<number>} Exit code
+ */
+export async function main(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseCommandLine(argv);
+  } catch (error) {
+    console.error(`✗ ${error.message}\n`);
+    console.error(formatHelp());
+    return EXIT_CODES.USAGE;
+  }
+
+  if (parsed.help) {
+    console.log(formatHelp(parsed.command));
+    return EXIT_CODES.SUCCESS;
+  }
+
+  if (!initializeConfig()) {
+    return EXIT_CODES.CONFIG;
+  }
+
+  try {
+    return await COMMANDS[parsed.command].run(parsed.options);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`✗ ${error.message}`);
+      return EXIT_CODES.USAGE;
+    }
+    console.error(`✗ ${parsed.command} failed:`, error.message);
+    return EXIT_CODES.FAILURE;
+  }
+}
+
+// Run when executed directly (not when imported by tests)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().then(code => {
+    process.exitCode = code;
+  });
+}
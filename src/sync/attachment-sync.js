@@ -0,0 +1,220 @@
+import * as fs from 'fs';
+import { config } from '../config.js';
+import { db } from '../utils/database.js';
+import { getAttachmentMimeType, getAttachmentSize } from '../confluence/attachments.js';
+
+/**
+ * Attachment Sync
+ * Downloads supported page attachments, stores them next to the page markdown
+ * and uploads them to the File Search store
+ */
+export class AttachmentSync {
+  /**
+   * @param {ConfluenceClient} confluenceClient - Shared Confluence client
+   * @param {PageStorage} storage - Page storage
+   * @param {UploadManager} uploadManager - Upload manager
+   */
+  constructor(confluenceClient, storage, uploadManager) {
+    this.confluenceClient = confluenceClient;
+    this.storage = storage;
+    this.uploadManager = uploadManager;
+    this.maxSizeBytes = config.sync.attachments.maxSizeMb * 1024 * 1024;
+  }
+
+  /**
+   * Sync the attachments of a space
+   * Full runs list every attachment in the space and remove ones that are gone.
+   * Incremental runs only list attachments modified since the cut-off, plus the
+   * full attachment list of pages that changed, so removals on those pages are
+   * picked up too
+   * @param {string} spaceKey - Space key
+   * @param {string} storeName - File Search store name
+   * @param {Object} options - { since, changedPageIds }
+   * @returns {Promise<Object>} Counts plus errors; `fetchFailures` counts
+   *   attachments that must be fetched again on the next run
+   */
+  async syncSpace(spaceKey, storeName, { since = null, changedPageIds = [] } = {}) {
+    const result = { added: 0, updated: 0, deleted: 0, failed: 0, fetchFailures: 0, errors: [] };
+
+    const attachments = new Map();
+    for (const attachment of await this.confluenceClient.getSpaceAttachments(spaceKey, since)) {
+      attachments.set(attachment.id, attachment);
+    }
+
+    let removed;
+    if (since) {
+      removed = [];
+      for (const pageId of changedPageIds) {
+        const pageAttachments = await this.confluenceClient.getAttachments(pageId);
+        const currentIds = new Set(pageAttachments.map(a => a.id));
+        pageAttachments.forEach(a => attachments.set(a.id, { ...a, container: a.container || { id: pageId } }));
+        removed.push(...db.getAttachmentsByPage(pageId).filter(a => !currentIds.has(a.attachment_id)));
+      }
+    } else {
+      removed = db.getAttachmentsBySpace(spaceKey).filter(a => !attachments.has(a.attachment_id));
+    }
+
+    for (const record of removed) {
+      await this.removeAttachment(record);
+      result.deleted++;
+    }
+
+    const queued = new Set();
+    for (const attachment of attachments.values()) {
+      const file = await this.prepareAttachment(spaceKey, attachment, result);
+      if (file) {
+        queued.add(file.attachmentId);
+        await this.uploadAttachment(file, storeName, result);
+      }
+    }
+
+    // Retry earlier uploads that failed; the file is already on disk
+    for (const record of db.getAttachmentsPendingUpload(spaceKey)) {
+      if (!queued.has(record.attachment_id) && fs.existsSync(record.file_path)) {
+        const page = db.getPage(record.page_id);
+        await this.uploadAttachment(this.buildUploadEntry(record, page, false), storeName, result);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Download and save an attachment if it is new or changed
+   * @param {string} spaceKey - Space key
+   * @param {Object} attachment - Confluence attachment object
+   * @param {Object} result - Result counters, updated in place
+   * @returns {Promise<Object|null>} Upload entry, or null if nothing to upload
+   */
+  async prepareAttachment(spaceKey, attachment, result) {
+    const pageId = attachment.container?.id;
+    const page = pageId ? db.getPage(pageId) : null;
+    if (!page) {
+      return null; // Parent page isn't synced
+    }
+
+    const mimeType = getAttachmentMimeType(attachment);
+    if (!mimeType) {
+      return null;
+    }
+
+    if (getAttachmentSize(attachment) > this.maxSizeBytes) {
+      console.log(`  Skipping large attachment: ${attachment.title}`);
+      return null;
+    }
+
+    const existing = db.getAttachment(attachment.id);
+    if (existing && existing.version >= attachment.version.number) {
+      return null; // Unchanged; pending uploads are retried separately
+    }
+
+    try {
+      const data = await this.confluenceClient.downloadAttachment(attachment);
+      const saveResult = this.storage.saveAttachment(spaceKey, pageId, attachment, data);
+      if (!saveResult.success) {
+        throw new Error(saveResult.error);
+      }
+
+      // Saved without a store name; it is set once the upload succeeds
+      db.upsertAttachment({
+        attachmentId: attachment.id,
+        pageId,
+        spaceKey,
+        title: attachment.title,
+        version: attachment.version.number,
+        mediaType: mimeType,
+        fileSize: data.length,
+        filePath: saveResult.filePath,
+        fileSearchStoreName: null,
+        lastSynced: new Date().toISOString(),
+      });
+
+      return this.buildUploadEntry(db.getAttachment(attachment.id), page, !existing);
+    } catch (error) {
+      console.error(`  ✗ Failed to fetch attachment ${attachment.title}: ${error.message}`);
+      result.failed++;
+      result.fetchFailures++;
+      result.errors.push({ stage: 'attachment', spaceKey, title: attachment.title, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Build the upload entry for a saved attachment
+   * The display name and metadata point back at the parent page for citations
+   * @param {Object} record - synced_attachments row
+   * @param {Object} page - synced_pages row of the parent page
+   * @param {boolean} isNew - True if the attachment wasn't synced before
+   * @returns {Object} Upload entry
+   */
+  buildUploadEntry(record, page, isNew) {
+    const customMetadata = [
+      { key: 'page_id', stringValue: record.page_id },
+      { key: 'attachment_id', stringValue: record.attachment_id },
+    ];
+    if (page?.title) customMetadata.push({ key: 'page_title', stringValue: page.title });
+    if (page?.url) customMetadata.push({ key: 'page_url', stringValue: page.url });
+
+    return {
+      attachmentId: record.attachment_id,
+      filePath: record.file_path,
+      displayName: `${record.space_key}/${page?.title || record.page_id}/${record.title}`,
+      mimeType: record.media_type,
+      customMetadata,
+      isNew,
+      previousDocument: record.document_name,
+    };
+  }
+
+  /**
+   * Upload a saved attachment and record the result
+   * The new document replaces the attachment's previous one in the store
+   * @param {Object} file - Upload entry
+   * @param {string} storeName - File Search store name
+   * @param {Object} result - Result counters, updated in place
+   */
+  async uploadAttachment(file, storeName, result) {
+    try {
+      const operation = await this.uploadManager.uploadFile(file.filePath, storeName, {
+        displayName: file.displayName,
+        mimeType: file.mimeType,
+        customMetadata: file.customMetadata,
+      });
+      const documentName = this.uploadManager.getDocumentName(operation);
+      db.markAttachmentUploaded(file.attachmentId, storeName, documentName);
+      if (file.previousDocument && file.previousDocument !== documentName) {
+        await this.uploadManager.deleteDocuments([file.previousDocument]);
+      }
+      file.isNew ? result.added++ : result.updated++;
+    } catch (error) {
+      result.failed++;
+      result.errors.push({ stage: 'upload', file: file.displayName, error: error.message });
+    }
+  }
+
+  /**
+   * Remove all attachments of a page (used when the page is deleted)
+   * @param {string} pageId - Page ID
+   * @returns {Promise<number>} Number of attachments removed
+   */
+  async removePageAttachments(pageId) {
+    const records = db.getAttachmentsByPage(pageId);
+    for (const record of records) {
+      await this.removeAttachment(record);
+    }
+    return records.length;
+  }
+
+  /**
+   * Remove an attachment from the store, disk and the database
+   * @param {Object} record - synced_attachments row
+   */
+  async removeAttachment(record) {
+    if (record.document_name) {
+      await this.uploadManager.deleteDocuments([record.document_name]);
+    }
+    this.storage.deleteAttachment(record.file_path);
+    db.deleteAttachment(record.attachment_id);
+    console.log(`  ✓ Removed attachment: ${record.title}`);
+  }
+}
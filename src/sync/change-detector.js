@@ -1,4 +1,5 @@
 import { db } from '../utils/database.js';
+import { CONVERTER_VERSION } from '../confluence/converter.js';
 import * as fs from 'fs';
 import * as path from 'path';
 
@@ -7,6 +8,14 @@ import * as path from 'path';
  * Detects changes between Confluence pages and locally synced pages
  */
 export class ChangeDetector {
+  /**
+   * @param {ConfluenceConverter|null} converter - Converter whose plugins pages
+   *   must have been converted with
+   */
+  constructor(converter = null) {
+    this.converter = converter;
+  }
+
   /**
    * Detect which pages have changed since last sync
    * @param {Array<Object>} confluencePages - Pages from Confluence API
@@ -65,7 +74,13 @@ export class ChangeDetector {
       return true;
     }
 
-    // Version numbers match and title matches - no changes
+    // Converted by an older converter or other plugins, whose output may have changed since
+    if (syncedPage.converter_version !== CONVERTER_VERSION ||
+      (syncedPage.converter_plugins || '') !== (this.converter?.getPluginVersion() || '')) {
+      return true;
+    }
+
+    // Version numbers, title and converter match - no changes
     return false;
   }
 
@@ -110,15 +125,21 @@ export class ChangeDetector {
 
   /**
    * Detect pages deleted from a specific space
+   * Pass a scope when confluencePages only lists part of the space, so synced
+   * pages outside that listing aren't mistaken for deletions
    * @param {string} spaceKey - Space key to check
    * @param {Array<Object>} confluencePages - Current pages from Confluence for this space
+   * @param {Object} scope - What the listing covers
+   * @param {string} scope.contentType - Content type listed (all types if omitted)
+   * @param {Array<string>} scope.rootPageIds - Page trees listed (whole space if empty)
    * @returns {Array<Object>} Pages that were deleted from this space
    */
-  detectDeletedPagesInSpace(spaceKey, confluencePages) {
+  detectDeletedPagesInSpace(spaceKey, confluencePages, { contentType = null, rootPageIds = [] } = {}) {
     const deletedPages = [];
     
-    // Get synced pages for this space
-    const syncedPages = db.getPagesBySpace(spaceKey);
+    // Get synced pages for this space, limited to the listed trees
+    const syncedPages = db.getPagesBySpace(spaceKey, contentType)
+      .filter(page => rootPageIds.length === 0 || this.isInPageTree(page, rootPageIds));
     
     // Create a Set of current Confluence page IDs for fast lookup
     const confluencePageIds = new Set(confluencePages.map(p => p.id));
@@ -133,6 +154,21 @@ export class ChangeDetector {
     return deletedPages;
   }
 
+  /**
+   * Check if a synced page is one of the root pages or beneath one
+   * @param {Object} syncedPage - Page from database
+   * @param {Array<string>} rootPageIds - Tree root page IDs
+   * @returns {boolean} True if the page is in one of the trees
+   */
+  isInPageTree(syncedPage, rootPageIds) {
+    if (rootPageIds.includes(syncedPage.page_id)) {
+      return true;
+    }
+
+    const ancestorIds = syncedPage.ancestor_ids ? JSON.parse(syncedPage.ancestor_ids) : [];
+    return ancestorIds.some(id => rootPageIds.includes(id));
+  }
+
   /**
    * Check if a local file exists for a synced page
    * @param {Object} syncedPage - Page from database
@@ -157,9 +193,13 @@ export class ChangeDetector {
       return orphanedFiles;
     }
 
-    // Get all synced page file paths from database
+    // Get all synced page, section and attachment file paths from database
     const syncedPages = db.getAllPages();
-    const syncedFilePaths = new Set(syncedPages.map(p => p.file_path));
+    const syncedFilePaths = new Set([
+      ...syncedPages.map(p => p.file_path),
+      ...db.getAllPageSections().map(s => s.file_path),
+      ...db.getAllAttachments().map(a => a.file_path)
+    ]);
 
     // Recursively find all markdown files in content directory
     const findMarkdownFiles = (dir) => {
@@ -0,0 +1,87 @@
+/**
+ * Page Filter
+ * Applies a space's include/exclude rules (labels, title pattern, ancestors)
+ * to Confluence pages before change detection.
+ *
+ * Each kind of include rule that is set must match (e.g. a required label and
+ * a required ancestor); within one kind any value matches. Any exclude rule
+ * that matches removes the page.
+ */
+export class PageFilter {
+  /**
+   * @param {Object} settings - Space settings from getSpaceSettings()
+   */
+  constructor(settings = {}) {
+    this.includeLabels = settings.includeLabels || [];
+    this.excludeLabels = settings.excludeLabels || [];
+    this.includeTitle = settings.includeTitlePattern ? new RegExp(settings.includeTitlePattern) : null;
+    this.excludeTitle = settings.excludeTitlePattern ? new RegExp(settings.excludeTitlePattern) : null;
+    this.includeAncestorIds = settings.includeAncestorIds || [];
+    this.excludeAncestorIds = settings.excludeAncestorIds || [];
+  }
+
+  /**
+   * Check whether any rules are configured
+   * @returns {boolean} True if the filter can exclude pages
+   */
+  isActive() {
+    return Boolean(
+      this.includeLabels.length || this.excludeLabels.length ||
+      this.includeTitle || this.excludeTitle ||
+      this.includeAncestorIds.length || this.excludeAncestorIds.length
+    );
+  }
+
+  /**
+   * Work out why a page is excluded
+   * @param {Object} page - Confluence page with metadata.labels and ancestors expanded
+   * @returns {string|null} Reason, or null if the page is included
+   */
+  getExclusionReason(page) {
+    const labels = getPageLabels(page);
+    // Blog posts have no page tree, so ancestor rules only apply to pages
+    const inTree = page.type !== 'blogpost';
+    const treeIds = [page.id, ...(page.ancestors || []).map(ancestor => ancestor.id)];
+
+    const excludedLabel = labels.find(label => this.excludeLabels.includes(label));
+    if (excludedLabel) {
+      return `label "${excludedLabel}"`;
+    }
+    if (this.excludeTitle?.test(page.title)) {
+      return 'title';
+    }
+    if (inTree && treeIds.some(id => this.excludeAncestorIds.includes(id))) {
+      return 'ancestor';
+    }
+
+    if (this.includeLabels.length && !labels.some(label => this.includeLabels.includes(label))) {
+      return 'missing required label';
+    }
+    if (this.includeTitle && !this.includeTitle.test(page.title)) {
+      return 'title not included';
+    }
+    if (inTree && this.includeAncestorIds.length && !treeIds.some(id => this.includeAncestorIds.includes(id))) {
+      return 'outside included ancestors';
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a page passes the filter
+   * @param {Object} page - Confluence page
+   * @returns {boolean} True if the page should be synced
+   */
+  includes(page) {
+    return this.getExclusionReason(page) === null;
+  }
+}
+
+/**
+ * Get a page's label names
+ * @param {Object} page - Confluence page with metadata.labels expanded
+ * @returns {Array<string>} Lowercase label names
+ */
+export function getPageLabels(page) {
+  return (page.metadata?.labels?.results || []).map(label => label.name.toLowerCase());
+}
@@ -0,0 +1,91 @@
+import { config } from '../config.js';
+
+/**
+ * Space Resolver
+ * Expands configured space keys containing wildcards (e.g. `*` or `ENG*`)
+ * into the spaces the account can see. Plain keys are passed through as-is.
+ */
+export class SpaceResolver {
+  /**
+   * @param {ConfluenceClient} confluenceClient - Shared Confluence client
+   */
+  constructor(confluenceClient) {
+    this.confluenceClient = confluenceClient;
+  }
+
+  /**
+   * Check whether any space key is a pattern
+   * @param {Array<string>} patterns - Configured space keys
+   * @returns {boolean} True if spaces need to be discovered
+   */
+  hasWildcards(patterns) {
+    return patterns.some(isPattern);
+  }
+
+  /**
+   * Resolve configured space keys into concrete keys
+   * @param {Array<string>} patterns - Space keys and/or wildcard patterns
+   * @returns {Promise<Array<string>>} Space keys in configured order, without duplicates
+   */
+  async resolve(patterns) {
+    const { excludePatterns, types, statuses } = config.confluence.spaceDiscovery;
+    const excluded = excludePatterns.map(toRegExp);
+    const isExcluded = key => excluded.some(regex => regex.test(key));
+
+    if (!this.hasWildcards(patterns)) {
+      return patterns.filter(key => !isExcluded(key));
+    }
+
+    // Only filter on type/status when one of them is wanted, since the API
+    // returns both when the parameter is left out
+    const spaces = await this.confluenceClient.getSpaces({
+      type: types.length === 1 ? types[0] : undefined,
+      status: statuses.length === 1 ? statuses[0] : undefined,
+    });
+    const available = spaces.map(space => space.key);
+
+    const keys = new Set();
+    for (const pattern of patterns) {
+      if (isPattern(pattern)) {
+        const regex = toRegExp(pattern);
+        available.filter(key => regex.test(key)).forEach(key => keys.add(key));
+      } else {
+        keys.add(pattern);
+      }
+    }
+
+    return [...keys].filter(key => !isExcluded(key));
+  }
+}
+
+/**
+ * Check whether a space key matches a configured key or pattern
+ * @param {string} spaceKey - Space key
+ * @param {string} pattern - Space key or glob pattern
+ * @returns {boolean} True if the space matches
+ */
+export function matchesSpaceKey(spaceKey, pattern) {
+  return toRegExp(pattern).test(spaceKey);
+}
+
+/**
+ * Check whether a space key contains glob characters
+ * @param {string} key - Space key or pattern
+ * @returns {boolean} True for patterns
+ */
+function isPattern(key) {
+  return /[*?]/.test(key);
+}
+
+/**
+ * Convert a glob pattern (`*` and `?`) into a case-insensitive regex
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Anchored regex
+ */
+function toRegExp(pattern) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
@@ -1,10 +1,13 @@
 import { GoogleGenAI } from '@google/genai';
 import { config } from '../config.js';
 import { db } from '../utils/database.js';
+import { matchesSpaceKey } from './space-resolver.js';
 
 /**
  * File Search Store Manager
- * Manages Gemini File Search store lifecycle
+ * Manages the lifecycle of the Gemini File Search stores. Stores are known by
+ * their display name: FILE_SEARCH_STORE_NAME by default, plus any that
+ * FILE_SEARCH_STORES routes spaces to
  */
 export class StoreManager {
   constructor() {
@@ -12,32 +15,57 @@ export class StoreManager {
     this.storeName = config.gemini.fileSearchStoreName;
   }
 
+  /**
+   * Get the display name of the store a space is uploaded to
+   * @param {string} spaceKey - Space key
+   * @returns {string} Store display name
+   */
+  getStoreNameForSpace(spaceKey) {
+    const mapping = config.gemini.storeMappings.find(({ spaceKeys }) =>
+      spaceKeys.some(pattern => matchesSpaceKey(spaceKey, pattern)));
+    return mapping ? mapping.storeName : this.storeName;
+  }
+
+  /**
+   * Get the display names of all configured stores, the default first
+   * @returns {Array<string>} Store display names
+   */
+  getConfiguredStoreNames() {
+    return [...new Set([this.storeName, ...config.gemini.storeMappings.map(mapping => mapping.storeName)])];
+  }
+
   /**
    * Get existing store or create a new one
+   * The cached store is checked remotely; if it was deleted (e.g. in AI
+   * Studio), a new one is created and all content is queued for upload again
+   * @param {string} displayName - Store display name (defaults to FILE_SEARCH_STORE_NAME)
    * @returns {Promise<Object>} Store object with name and metadata
    */
-  async getOrCreateStore() {
+  async getOrCreateStore(displayName = this.storeName) {
     try {
       // Check if we have a store in the database
-      const existingStore = await this.getStoreFromDatabase();
+      const existingStore = await this.getStoreFromDatabase(displayName);
       
       if (existingStore) {
-        // Return the cached store reference
-        // Note: We trust the database cache since store deletion is rare
-        console.log(`✓ Using existing File Search store: ${existingStore.name}`);
-        return existingStore;
+        if (await this.storeExists(existingStore.name)) {
+          console.log(`✓ Using existing File Search store: ${existingStore.name}`);
+          return existingStore;
+        }
+
+        console.warn(`⚠ File Search store ${existingStore.name} no longer exists; recreating it and re-uploading all content`);
+        db.forgetFileSearchStore(existingStore.name);
       }
 
       // Create a new store
-      console.log('Creating new File Search store...');
+      console.log(`Creating new File Search store ${displayName}...`);
       const store = await this.ai.fileSearchStores.create({
-        config: { displayName: this.storeName }
+        config: { displayName }
       });
 
       console.log(`✓ Created File Search store: ${store.name}`);
 
       // Save to database
-      await this.saveStoreToDatabase(store);
+      await this.saveStoreToDatabase(store, displayName);
 
       return store;
     } catch (error) {
@@ -47,51 +75,75 @@ export class StoreManager {
   }
 
   /**
-   * Get store information from database
+   * Check that a store still exists
+   * @param {string} storeName - Name of the store
+   * @returns {Promise<boolean>} False if the API reports the store as not found
+   */
+  async storeExists(storeName) {
+    try {
+      await this.ai.fileSearchStores.get({ name: storeName });
+      return true;
+    } catch (error) {
+      if (error.status === 404) {
+        return false;
+      }
+      throw new Error(`Failed to check File Search store ${storeName}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get information on a configured store from the database
+   * @param {string} displayName - Store display name (defaults to FILE_SEARCH_STORE_NAME)
    * @returns {Promise<Object|null>} Store record or null
    */
-  async getStoreFromDatabase() {
-    return db.getFileSearchStore() || null;
+  async getStoreFromDatabase(displayName = this.storeName) {
+    return db.getFileSearchStore(displayName) || null;
   }
 
   /**
    * Save store information to database
    * @param {Object} store - Store object from Gemini API
+   * @param {string} displayName - Display name the store was created with
    */
-  async saveStoreToDatabase(store) {
+  async saveStoreToDatabase(store, displayName = this.storeName) {
     db.upsertFileSearchStore({
       name: store.name,
-      displayName: store.displayName || this.storeName,
+      displayName: store.displayName || displayName,
       createdAt: store.createTime || new Date().toISOString()
     });
   }
 
   /**
    * Get store metadata from database
-   * Note: The API doesn't support getting store details directly,
-   * so we return the cached database record
+   * Returns the cached record without calling the API; use storeExists() to
+   * check that the store is still there
    * @param {string} storeName - Name of the store
    * @returns {Promise<Object>} Store metadata from database
    */
   async getStoreMetadata(storeName) {
-    const store = await this.getStoreFromDatabase();
-    if (!store || store.name !== storeName) {
+    const store = db.getFileSearchStoreByName(storeName);
+    if (!store) {
       throw new Error(`Store ${storeName} not found in database`);
     }
     return store;
   }
 
   /**
-   * List all files in a store
-   * Note: This may not be supported by the current @google/genai version
+   * List all documents in a store
+   * The pager fetches the next page of documents as iteration reaches it
    * @param {string} storeName - Name of the store
-   * @returns {Promise<Array>} List of files
+   * @returns {Promise<Array>} Documents ({ name, displayName, customMetadata, ... })
    */
   async listStoreFiles(storeName) {
-    // The @google/genai package may not expose listFiles for stores
-    // This is a placeholder for future API support
-    console.warn('listStoreFiles: API may not support this operation yet');
-    return [];
+    const documents = [];
+    const pager = await this.ai.fileSearchStores.documents.list({
+      parent: storeName,
+      config: { pageSize: 20 } // API maximum
+    });
+    for await (const document of pager) {
+      documents.push(document);
+    }
+    return documents;
   }
 
   /**
@@ -0,0 +1,954 @@
+import { ConfluenceClient } from '../confluence/client.js';
+import { ConfluenceConverter, CONVERTER_VERSION } from '../confluence/converter.js';
+import { PageStorage } from '../confluence/storage.js';
+import { StoreManager } from './store-manager.js';
+import { UploadManager } from './upload-manager.js';
+import { ChangeDetector } from './change-detector.js';
+import { AttachmentSync } from './attachment-sync.js';
+import { PageFilter } from './page-filter.js';
+import { SpaceResolver } from './space-resolver.js';
+import { loadPlugins } from '../confluence/plugins.js';
+import { findUserReferences, getUserKey } from '../confluence/links.js';
+import { createFidelityReport, countLosses } from '../confluence/fidelity.js';
+import { contentHash } from '../confluence/content-hash.js';
+import { db } from '../utils/database.js';
+import { config, getSpaceSettings } from '../config.js';
+
+/**
+ * Sync Service
+ * Orchestrates the Confluence → markdown → File Search workflow
+ */
+export class SyncService {
+  constructor() {
+    this.confluenceClient = new ConfluenceClient();
+    this.converter = new ConfluenceConverter();
+    this.storage = new PageStorage();
+    this.storeManager = new StoreManager();
+    this.uploadManager = new UploadManager();
+    this.changeDetector = new ChangeDetector(this.converter);
+    this.attachmentSync = new AttachmentSync(this.confluenceClient, this.storage, this.uploadManager);
+    this.spaceResolver = new SpaceResolver(this.confluenceClient);
+  }
+
+  /**
+   * Run a sync across one or more spaces
+   * Each space is fetched, converted, uploaded and checked for deletions on its
+   * own, so a failing space or page is recorded without abandoning the others
+   * @param {Object} options - Sync options
+   * @param {boolean} options.forceFullSync - Re-process pages even if unchanged
+   * @param {Array<string>} options.spaceKeys - Space keys or patterns to sync (defaults to configured spaces)
+   * @returns {Promise<Object>} Sync result with statistics
+   */
+  async sync(options = {}) {
+    const startTime = Date.now();
+    const patterns = options.spaceKeys || config.confluence.spaceKeys;
+    const stats = this.createStats();
+
+    const syncId = db.startSync();
+    this.confluenceClient.resetRequestStats();
+
+    try {
+      await this.loadConverterPlugins();
+      const spaceKeys = await this.spaceResolver.resolve(patterns);
+      const storeNames = await this.getSpaceStores(spaceKeys);
+
+      // Spaces found by discovery can disappear (deleted, archived or access
+      // revoked); retire them, unless the run was limited with --space
+      if (!options.spaceKeys && this.spaceResolver.hasWildcards(patterns) && spaceKeys.length > 0) {
+        await this.retireMissingSpaces(spaceKeys, stats);
+      }
+
+      console.log(`\nSyncing ${spaceKeys.length} space(s): ${spaceKeys.join(', ')}`);
+
+      for (const spaceKey of spaceKeys) {
+        await this.syncSpace(spaceKey, storeNames.get(spaceKey), options, stats);
+      }
+
+      // Full runs also sweep the stores for documents no page owns
+      if (options.forceFullSync) {
+        for (const storeName of new Set(storeNames.values())) {
+          const garbage = await this.collectGarbage(storeName);
+          if (garbage.deleted > 0) {
+            console.log(`\n✓ Deleted ${garbage.deleted} orphaned document(s) from ${storeName}`);
+          }
+        }
+      }
+
+      stats.http = this.confluenceClient.getRequestStats();
+      stats.error = this.summariseErrors(stats.errors);
+      db.completeSync(syncId, stats);
+
+      const duration = Math.round((Date.now() - startTime) / 1000);
+      this.logSyncSummary(stats, duration);
+
+      return { success: true, stats, duration };
+    } catch (error) {
+      console.error('\n✗ Sync failed:', error.message);
+      db.failSync(syncId, error.message);
+
+      return {
+        success: false,
+        error: error.message,
+        stats,
+        duration: Math.round((Date.now() - startTime) / 1000)
+      };
+    }
+  }
+
+  /**
+   * Get or create the store each space is uploaded to
+   * @param {Array<string>} spaceKeys - Space keys
+   * @returns {Promise<Map>} Store resource name keyed by space key
+   */
+  async getSpaceStores(spaceKeys) {
+    const stores = new Map();
+    const storeNames = new Map();
+
+    for (const spaceKey of spaceKeys) {
+      const displayName = this.storeManager.getStoreNameForSpace(spaceKey);
+      if (!stores.has(displayName)) {
+        stores.set(displayName, await this.storeManager.getOrCreateStore(displayName));
+      }
+      storeNames.set(spaceKey, stores.get(displayName).name);
+    }
+
+    return storeNames;
+  }
+
+  /**
+   * Create an empty statistics object
+   * @returns {Object} Sync statistics
+   */
+  createStats() {
+    return {
+      added: 0,
+      updated: 0,
+      deleted: 0,
+      skipped: 0,
+      failed: 0,
+      processed: 0,
+      attachments: { added: 0, updated: 0, deleted: 0, failed: 0 },
+      spaces: {},
+      retiredSpaces: [],
+      errors: []
+    };
+  }
+
+  /**
+   * Sync a single space
+   * @param {string} spaceKey - Space key
+   * @param {string} storeName - File Search store name
+   * @param {Object} options - Sync options
+   * @param {Object} stats - Run statistics, updated in place
+   */
+  async syncSpace(spaceKey, storeName, options, stats) {
+    const spaceStats = { added: 0, updated: 0, deleted: 0, skipped: 0, failed: 0 };
+    stats.spaces[spaceKey] = spaceStats;
+    const spaceStartedAt = new Date();
+
+    console.log(`\n[${spaceKey}]`);
+
+    // Content uploaded to another store (the space was mapped to a new one) is
+    // uploaded again, which needs a full listing of the space
+    const moved = db.markSpacePendingUpload(spaceKey, storeName);
+    if (moved > 0) {
+      console.log(`  Moving ${moved} page(s) and attachment(s) to ${storeName}`);
+      db.deleteSpaceSyncState(spaceKey);
+    }
+
+    let fetched;
+    try {
+      fetched = await this.fetchSpacePages(spaceKey, options, Math.max(config.sync.maxPagesPerSync - stats.processed, 0));
+    } catch (error) {
+      console.error(`  ✗ Failed to fetch pages: ${error.message}`);
+      spaceStats.error = error.message;
+      stats.errors.push({ stage: 'fetch', spaceKey, error: error.message });
+
+      // Keep whatever was fetched before the failure, but without a complete
+      // listing we can't tell which pages were deleted
+      if (!error.partialResults?.length) {
+        return;
+      }
+      console.log(`  Continuing with ${error.partialResults.length} page(s) fetched before the error`);
+      fetched = { pages: error.partialResults, currentPages: null, commentActivity: new Map(), deferred: 0 };
+    }
+
+    const { since, commentActivity } = fetched;
+
+    // Filtered-out pages are dropped before change detection; any that were
+    // synced before are removed like deleted pages
+    const { pages, currentPages, excluded } = this.applyPageFilter(spaceKey, fetched);
+    if (excluded.length > 0) {
+      spaceStats.deleted += await this.handleDeletedPages(excluded);
+    }
+
+    const selectedPages = this.selectPagesToProcess(spaceKey, pages, options, commentActivity);
+    spaceStats.skipped = (currentPages || pages).length - selectedPages.length;
+
+    // MAX_PAGES_PER_SYNC caps the work done per run; the rest is picked up next time
+    const budget = Math.max(config.sync.maxPagesPerSync - stats.processed, 0);
+    const pagesToProcess = selectedPages.slice(0, budget);
+    const deferred = selectedPages.length - pagesToProcess.length + fetched.deferred;
+    stats.processed += pagesToProcess.length;
+    if (deferred > 0) {
+      console.warn(`  ⚠ MAX_PAGES_PER_SYNC reached; ${deferred} page(s) deferred to the next sync`);
+    }
+
+    const filesToUpload = [];
+    let processFailures = 0;
+    for (const page of pagesToProcess) {
+      const files = await this.processPage(page, spaceKey, storeName, stats, commentActivity);
+      if (!files) {
+        processFailures++;
+      } else if (files.length === 0) {
+        spaceStats.skipped++;
+      } else {
+        filesToUpload.push(...files);
+      }
+    }
+    spaceStats.failed = processFailures;
+
+    if (filesToUpload.length > 0) {
+      const uploadResults = await this.uploadPageFiles(filesToUpload, storeName);
+      spaceStats.added += uploadResults.added;
+      spaceStats.updated += uploadResults.updated;
+      spaceStats.failed += uploadResults.failed.length;
+      stats.errors.push(...uploadResults.errors.map(e => ({ stage: 'upload', spaceKey, ...e })));
+    }
+
+    if (currentPages) {
+      // Each content type is listed separately, and pages may only be listed
+      // under the root pages, so only compare like with like
+      const { contentTypes, rootPageIds } = getSpaceSettings(spaceKey);
+      for (const contentType of contentTypes) {
+        const currentOfType = currentPages.filter(p => (p.type || 'page') === contentType);
+        const deletedPages = this.changeDetector.detectDeletedPagesInSpace(spaceKey, currentOfType, {
+          contentType,
+          rootPageIds: contentType === 'page' ? rootPageIds : [],
+        });
+        if (deletedPages.length > 0) {
+          spaceStats.deleted += await this.handleDeletedPages(deletedPages);
+        }
+      }
+    }
+
+    // Attachments need their parent pages in the database, so they go last.
+    // Skipped after a partial page fetch, when deletions can't be trusted
+    let attachmentFetchFailures = 0;
+    if (config.sync.attachments.enabled && currentPages) {
+      attachmentFetchFailures = await this.syncSpaceAttachments(spaceKey, storeName, {
+        since,
+        changedPageIds: pagesToProcess.map(p => p.id),
+      }, stats);
+    }
+
+    // Failed uploads are retried from the pending list, but pages and
+    // attachments that failed to fetch or were deferred must be fetched again,
+    // so keep the old watermark
+    if (currentPages && processFailures === 0 && deferred === 0 && attachmentFetchFailures === 0) {
+      db.updateSpaceSyncState(spaceKey, spaceStartedAt.toISOString());
+    }
+
+    for (const key of ['added', 'updated', 'deleted', 'skipped', 'failed']) {
+      stats[key] += spaceStats[key];
+    }
+
+    console.log(
+      `  ✓ ${spaceKey}: ${spaceStats.added} added, ${spaceStats.updated} updated, ` +
+      `${spaceStats.deleted} deleted, ${spaceStats.skipped} unchanged, ${spaceStats.failed} failed`
+    );
+  }
+
+  /**
+   * Sync the attachments of a space
+   * @param {string} spaceKey - Space key
+   * @param {string} storeName - File Search store name
+   * @param {Object} options - { since, changedPageIds }
+   * @param {Object} stats - Run statistics, updated in place
+   * @returns {Promise<number>} Attachments that failed to fetch (1 if the listing failed)
+   */
+  async syncSpaceAttachments(spaceKey, storeName, options, stats) {
+    try {
+      const result = await this.attachmentSync.syncSpace(spaceKey, storeName, options);
+
+      for (const key of ['added', 'updated', 'deleted', 'failed']) {
+        stats.attachments[key] += result[key];
+      }
+      stats.errors.push(...result.errors.map(e => ({ spaceKey, ...e })));
+
+      if (result.added + result.updated + result.deleted + result.failed > 0) {
+        console.log(
+          `  ✓ ${spaceKey} attachments: ${result.added} added, ${result.updated} updated, ` +
+          `${result.deleted} deleted, ${result.failed} failed`
+        );
+      }
+      return result.fetchFailures;
+    } catch (error) {
+      console.error(`  ✗ Failed to sync attachments: ${error.message}`);
+      stats.errors.push({ stage: 'attachment', spaceKey, error: error.message });
+      return 1;
+    }
+  }
+
+  /**
+   * Fetch the pages and blog posts of a space that may need syncing
+   * Incremental runs only fetch bodies for content modified since the space was
+   * last synced, plus a lightweight ID listing for deletion detection. When root
+   * pages are configured, only those page trees are fetched
+   * @param {string} spaceKey - Space key
+   * @param {Object} options - Sync options
+   * @param {number} budget - Pages this run may still process (MAX_PAGES_PER_SYNC)
+   * @returns {Promise<Object>} { pages, currentPages, incremental, since, commentActivity,
+   *   deferred }, where `deferred` counts pages left to refetch in a later run
+   */
+  async fetchSpacePages(spaceKey, options, budget = Infinity) {
+    const since = options.forceFullSync ? null : this.getIncrementalSince(spaceKey);
+    const { contentTypes, syncComments, rootPageIds } = getSpaceSettings(spaceKey);
+    const pages = [];
+    const currentPages = [];
+    let commentActivity = new Map();
+
+    try {
+      for (const contentType of contentTypes) {
+        if (contentType === 'page' && rootPageIds.length > 0) {
+          const treePages = await this.confluenceClient.getPageTree(spaceKey, rootPageIds, since);
+          pages.push(...treePages);
+          currentPages.push(...(since ? await this.confluenceClient.getPageTreeIds(spaceKey, rootPageIds) : treePages));
+        } else if (since) {
+          pages.push(...await this.confluenceClient.getChangedPages(spaceKey, since, contentType));
+          currentPages.push(...await this.confluenceClient.getPageIds(spaceKey, contentType));
+        } else {
+          const typePages = await this.confluenceClient.getAllPages(spaceKey, contentType);
+          pages.push(...typePages);
+          currentPages.push(...typePages);
+        }
+      }
+
+      if (syncComments) {
+        commentActivity = await this.getCommentActivity(spaceKey, since);
+      }
+    } catch (error) {
+      // Keep content of the types fetched before the failure as well
+      error.partialResults = [...pages, ...(error.partialResults || [])];
+      throw error;
+    }
+
+    if (!since) {
+      return { pages, currentPages, incremental: false, since: null, commentActivity, deferred: 0 };
+    }
+
+    // Pages whose upload failed last time, with new comments, never synced
+    // (they only now pass the page filters, or a root page was added) or
+    // converted by an older converter are unchanged in Confluence, so fetch
+    // them individually
+    const filter = new PageFilter(getSpaceSettings(spaceKey));
+    const fetchedIds = new Set(pages.map(p => p.id));
+    const currentIds = new Set(currentPages.map(p => p.id));
+    const refetchIds = [...new Set([
+      ...db.getPagesPendingUpload(spaceKey).map(p => p.page_id),
+      ...this.findPagesWithNewComments(commentActivity),
+      ...currentPages.filter(p => !filter.getExclusionReason(p) && !db.getPage(p.id)).map(p => p.id),
+      ...db.getPagesWithOutdatedConverter(spaceKey, CONVERTER_VERSION, this.converter.getPluginVersion())
+        .map(p => p.page_id),
+    ])].filter(pageId => !fetchedIds.has(pageId) && currentIds.has(pageId));
+
+    // Only fetch what fits in this run's MAX_PAGES_PER_SYNC budget; the rest
+    // stays flagged and is fetched by later runs
+    const refetchLimit = Math.max(budget - pages.length, 0);
+    for (const pageId of refetchIds.slice(0, refetchLimit)) {
+      pages.push(await this.confluenceClient.getPageById(pageId, spaceKey));
+    }
+    const deferred = Math.max(refetchIds.length - refetchLimit, 0);
+
+    return { pages, currentPages, incremental: true, since, commentActivity, deferred };
+  }
+
+  /**
+   * Find the newest comment on each page of a space
+   * Comments don't change the page version, so this is how new discussion is
+   * noticed. Deleted comments are only dropped when the page is next converted
+   * @param {string} spaceKey - Space key
+   * @param {Date|null} since - Only consider comments modified after this time
+   * @returns {Promise<Map>} Newest comment time (ISO string) keyed by page ID
+   */
+  async getCommentActivity(spaceKey, since) {
+    const activity = new Map();
+
+    for (const comment of await this.confluenceClient.getSpaceComments(spaceKey, since)) {
+      const pageId = comment.container?.id;
+      const when = comment.version?.when;
+      if (pageId && when && (!activity.has(pageId) || new Date(when) > new Date(activity.get(pageId)))) {
+        activity.set(pageId, when);
+      }
+    }
+
+    return activity;
+  }
+
+  /**
+   * Find synced pages with comments newer than their converted file
+   * @param {Map} commentActivity - Newest comment time keyed by page ID
+   * @returns {Array<string>} Page IDs
+   */
+  findPagesWithNewComments(commentActivity) {
+    const pageIds = [];
+
+    for (const [pageId, when] of commentActivity) {
+      const synced = db.getPage(pageId);
+      if (synced && (!synced.last_comment_at || new Date(when) > new Date(synced.last_comment_at))) {
+        pageIds.push(pageId);
+      }
+    }
+
+    return pageIds;
+  }
+
+  /**
+   * Apply the space's include/exclude rules to fetched pages
+   * @param {string} spaceKey - Space key
+   * @param {Object} fetched - { pages, currentPages } from fetchSpacePages
+   * @returns {Object} { pages, currentPages, excluded } where `excluded` holds
+   *   the synced page records that no longer pass the filter
+   */
+  applyPageFilter(spaceKey, { pages, currentPages }) {
+    const filter = new PageFilter(getSpaceSettings(spaceKey));
+    if (!filter.isActive()) {
+      return { pages, currentPages, excluded: [] };
+    }
+
+    const excluded = new Map();
+    const keep = page => {
+      const reason = filter.getExclusionReason(page);
+      if (reason && !excluded.has(page.id)) {
+        const synced = db.getPage(page.id);
+        if (synced) {
+          console.log(`  Excluding ${page.title} (${reason})`);
+          excluded.set(page.id, synced);
+        }
+      }
+      return !reason;
+    };
+
+    return {
+      pages: pages.filter(keep),
+      currentPages: currentPages ? currentPages.filter(keep) : null,
+      excluded: [...excluded.values()],
+    };
+  }
+
+  /**
+   * Get the cut-off time for an incremental fetch of a space
+   * @param {string} spaceKey - Space key
+   * @returns {Date|null} Cut-off time, or null if the space needs a full fetch
+   */
+  getIncrementalSince(spaceKey) {
+    const state = db.getSpaceSyncState(spaceKey);
+    if (!state) {
+      return null;
+    }
+
+    const overlapMs = config.sync.incrementalOverlapMinutes * 60 * 1000;
+    return new Date(new Date(state.last_synced).getTime() - overlapMs);
+  }
+
+  /**
+   * Choose which fetched pages need converting and uploading
+   * Pages saved by an earlier run whose upload failed are always retried, as
+   * are pages with comments added since they were last converted
+   * @param {string} spaceKey - Space key
+   * @param {Array<Object>} pages - Pages fetched from Confluence
+   * @param {Object} options - Sync options
+   * @param {Map} commentActivity - Newest comment time keyed by page ID
+   * @returns {Array<Object>} Pages to process
+   */
+  selectPagesToProcess(spaceKey, pages, options, commentActivity = new Map()) {
+    if (options.forceFullSync) {
+      return pages;
+    }
+
+    const changed = new Set(this.changeDetector.detectChanges(pages).map(p => p.id));
+    const pending = new Set(db.getPagesPendingUpload(spaceKey).map(p => p.page_id));
+    const commented = new Set(this.findPagesWithNewComments(commentActivity));
+
+    return pages.filter(page => changed.has(page.id) || pending.has(page.id) || commented.has(page.id));
+  }
+
+  /**
+   * Convert and save a page, returning the file to upload
+   * @param {Object} page - Confluence page
+   * @param {string} spaceKey - Space key
+   * @param {string} storeName - File Search store name
+   * @param {Object} stats - Run statistics for error recording
+   * @param {Map} commentActivity - Newest comment time keyed by page ID
+   * @returns {Promise<Array<Object>|null>} Upload entries (one per section when
+   *   the page is split; none if its content is unchanged), or null if the page failed
+   */
+  async processPage(page, spaceKey, storeName, stats, commentActivity = new Map()) {
+    try {
+      const existing = db.getPage(page.id);
+      const { syncComments, openTasks, bodyFormat, splitSections } = getSpaceSettings(spaceKey);
+      const comments = syncComments ? await this.confluenceClient.getComments(page.id) : null;
+      const users = await this.lookupMentionedUsers([
+        page.body?.storage?.value,
+        ...(comments || []).map(comment => comment.body?.storage?.value),
+      ]);
+      const fidelity = createFidelityReport();
+      const options = {
+        comments,
+        users,
+        openTasks,
+        bodyFormat,
+        metadataFormat: config.confluence.metadataFormat,
+        fidelity,
+      };
+
+      const sections = splitSections
+        ? this.converter.convertSections(page, config.confluence.wikiUrl, {
+          ...options,
+          minLength: config.confluence.sectionMinChars,
+        })
+        : [{ title: null, markdown: this.converter.convert(page, config.confluence.wikiUrl, options) }];
+
+      // A version bump without edits, or a re-conversion that produces the same
+      // markdown, keeps the uploaded document
+      const hash = contentHash(sections.map(section => section.markdown));
+      const unchanged = existing?.content_hash === hash && existing.file_search_store_name === storeName;
+
+      // Otherwise saved without a store name; it is set once the upload succeeds
+      const saveResult = splitSections
+        ? this.storage.savePageSections(page, sections, unchanged ? storeName : null)
+        : this.storage.savePageWithMetadata(page, sections[0].markdown, unchanged ? storeName : null);
+      if (!saveResult.success) {
+        throw new Error(saveResult.error);
+      }
+      db.setPageFidelity(page.id, countLosses(fidelity).total, fidelity);
+      db.setPageContentHash(page.id, hash, CONVERTER_VERSION, this.converter.getPluginVersion());
+
+      if (comments) {
+        // Include the space listing so comments left out of the file (open
+        // inline comments) don't trigger a re-conversion every run
+        const times = [...comments.map(c => c.version?.when), commentActivity.get(page.id)].filter(Boolean);
+        const latest = times.reduce((a, b) => (new Date(b) > new Date(a) ? b : a), null);
+        db.setPageLastCommentAt(page.id, latest);
+      }
+
+      if (unchanged) {
+        return [];
+      }
+
+      const filePaths = splitSections ? saveResult.filePaths : [saveResult.filePath];
+      return this.buildPageUploads(
+        { pageId: page.id, spaceKey: page.space.key, title: page.title, version: page.version?.number },
+        filePaths.map((filePath, index) => ({ filePath, sectionTitle: sections[index].title })),
+        { isNew: !existing, previousDocuments: getPageDocumentNames(existing) }
+      );
+    } catch (error) {
+      console.error(`  ✗ Failed to process ${page.title}: ${error.message}`);
+      stats.errors.push({
+        stage: 'process',
+        spaceKey,
+        pageId: page.id,
+        title: page.title,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Build the upload entries for the files of a page
+   * Split pages get one entry per section, named after the section. The
+   * metadata lets reconciliation match store documents back to the page
+   * @param {Object} page - { pageId, spaceKey, title, version }
+   * @param {Array<Object>} files - { filePath, sectionTitle } per document
+   * @param {Object} options - { isNew, previousDocuments } for the upload results
+   * @returns {Array<Object>} Upload entries
+   */
+  buildPageUploads({ pageId, spaceKey, title, version }, files, { isNew = false, previousDocuments = [] } = {}) {
+    const displayName = `${spaceKey}/${title}`;
+    const customMetadata = [
+      { key: 'page_id', stringValue: pageId },
+      { key: 'space_key', stringValue: spaceKey },
+    ];
+    if (version) customMetadata.push({ key: 'version', numericValue: version });
+
+    return files.map(({ filePath, sectionTitle }) => ({
+      filePath,
+      displayName: files.length > 1 ? `${displayName} › ${sectionTitle || 'Introduction'}` : displayName,
+      mimeType: 'text/markdown',
+      customMetadata,
+      pageId,
+      version,
+      isNew,
+      previousDocuments
+    }));
+  }
+
+  /**
+   * Upload page files and record the pages that finished uploading
+   * A split page is uploaded once all of its sections are; its new documents
+   * then replace the previous ones in the store
+   * @param {Array<Object>} files - Upload entries from buildPageUploads()
+   * @param {string} storeName - File Search store name
+   * @returns {Promise<Object>} { added, updated, failed, errors }; failed lists
+   *   the IDs of pages with files left to upload
+   */
+  async uploadPageFiles(files, storeName) {
+    const uploadResults = await this.uploadManager.uploadFilesWithRetry(files, storeName);
+    const result = { added: 0, updated: 0, failed: [], errors: uploadResults.errors };
+
+    const remaining = new Map();
+    const uploadedDocuments = new Map();
+    for (const file of files) {
+      remaining.set(file.pageId, (remaining.get(file.pageId) || 0) + 1);
+      uploadedDocuments.set(file.pageId, []);
+    }
+    for (const file of uploadResults.uploaded) {
+      remaining.set(file.pageId, remaining.get(file.pageId) - 1);
+      if (file.documentName) {
+        uploadedDocuments.get(file.pageId).push(file.documentName);
+      }
+      if (remaining.get(file.pageId) === 0) {
+        const documentNames = uploadedDocuments.get(file.pageId);
+        db.markPageUploaded(file.pageId, storeName, documentNames, file.version ?? null);
+        await this.uploadManager.deleteDocuments(file.previousDocuments.filter(name => !documentNames.includes(name)));
+        file.isNew ? result.added++ : result.updated++;
+      }
+    }
+
+    // Pages with sections left to upload keep their previous documents and
+    // are uploaded whole next time, so drop the sections that did upload
+    result.failed = [...remaining].filter(([, count]) => count > 0).map(([pageId]) => pageId);
+    await this.uploadManager.deleteDocuments(result.failed.flatMap(pageId => uploadedDocuments.get(pageId)));
+
+    return result;
+  }
+
+  /**
+   * Look up the display names of users mentioned in a page and its comments
+   * @param {Array<string>} storageValues - Storage format markup
+   * @returns {Promise<Map<string, string>>} Display names by user key
+   */
+  async lookupMentionedUsers(storageValues) {
+    const users = new Map();
+
+    for (const reference of findUserReferences(storageValues.filter(Boolean).join('\n'))) {
+      const name = await this.confluenceClient.getUserDisplayName(reference);
+      if (name) {
+        users.set(getUserKey(reference), name);
+      }
+    }
+
+    return users;
+  }
+
+  /**
+   * Remove pages that no longer exist in Confluence
+   * @param {Array<Object>} deletedPages - Synced page records to remove
+   * @returns {Promise<number>} Number of pages removed
+   */
+  async handleDeletedPages(deletedPages) {
+    let removed = 0;
+
+    for (const page of deletedPages) {
+      try {
+        await this.attachmentSync.removePageAttachments(page.page_id);
+        await this.uploadManager.deleteDocuments(getPageDocumentNames(page));
+        const sections = db.getPageSections(page.page_id);
+        db.deletePage(page.page_id);
+        for (const filePath of new Set([page.file_path, ...sections.map(s => s.file_path)])) {
+          if (filePath) {
+            this.storage.deletePage(filePath);
+          }
+        }
+        removed++;
+        console.log(`  ✓ Removed: ${page.title}`);
+      } catch (error) {
+        console.error(`  ✗ Failed to remove page ${page.page_id}:`, error.message);
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Delete documents in the store that no longer belong to a synced page or
+   * attachment, e.g. left by an upload that succeeded after its page failed
+   * Skipped while pages uploaded before document names were recorded remain,
+   * as their documents can't be told apart from orphans
+   * @param {string} storeName - File Search store name
+   * @param {Object} options - { dryRun } to only report the orphans
+   * @returns {Promise<Object>} { orphaned, deleted, skipped }
+   */
+  async collectGarbage(storeName, { dryRun = false } = {}) {
+    const untracked = db.countUntrackedUploads();
+    if (untracked > 0) {
+      console.log(`Garbage collection skipped: ${untracked} upload(s) have no recorded document yet`);
+      return { orphaned: [], deleted: 0, skipped: true };
+    }
+
+    const known = new Set(db.getDocumentNames());
+    const documents = await this.storeManager.listStoreFiles(storeName);
+    const orphaned = documents.filter(document => !known.has(document.name));
+    const deleted = dryRun ? 0 : await this.uploadManager.deleteDocuments(orphaned.map(document => document.name));
+
+    return { orphaned, deleted, skipped: false };
+  }
+
+  /**
+   * Compare the store's documents with the synced pages and attachments
+   * Reports pages and attachments whose documents are missing from the store,
+   * store documents no page or attachment owns, and documents whose version
+   * metadata differs from the synced page. With `fix`, missing and outdated
+   * documents are re-uploaded from their saved files and orphans are deleted;
+   * pages and attachments that fail to upload are left for the next sync
+   * @param {string} storeName - File Search store name
+   * @param {Object} options - { fix }
+   * @returns {Promise<Object>} { missing, missingAttachments, orphaned, outdated,
+   *   reuploaded, deleted, failed, failedAttachments }
+   */
+  async reconcile(storeName, { fix = false } = {}) {
+    const documents = await this.storeManager.listStoreFiles(storeName);
+    const remote = new Map(documents.map(document => [document.name, document]));
+    const known = new Set(db.getDocumentNames());
+
+    const result = {
+      missing: [],
+      missingAttachments: [],
+      orphaned: documents.filter(document => !known.has(document.name)),
+      outdated: [],
+      reuploaded: 0,
+      deleted: 0,
+      failed: [],
+      failedAttachments: [],
+    };
+
+    for (const page of db.getAllPages().filter(p => p.file_search_store_name === storeName)) {
+      const pageDocuments = getPageDocumentNames(page).map(name => remote.get(name));
+      if (pageDocuments.length === 0 || pageDocuments.includes(undefined)) {
+        result.missing.push(page);
+        continue;
+      }
+
+      // Uploads of unchanged content are skipped, so compare with the version
+      // last uploaded rather than the version last synced
+      const uploadedVersion = page.uploaded_version ?? page.version;
+      const versions = pageDocuments.map(getDocumentVersion).filter(version => version !== null);
+      const documentVersion = versions.find(version => version !== uploadedVersion);
+      if (documentVersion !== undefined) {
+        result.outdated.push({ page, documentVersion });
+      }
+    }
+
+    // Attachment documents carry no version, so they can only be missing
+    result.missingAttachments = db.getAllAttachments().filter(attachment =>
+      attachment.file_search_store_name === storeName && !remote.has(attachment.document_name)
+    );
+
+    if (!fix) {
+      return result;
+    }
+
+    const pages = [...result.missing, ...result.outdated.map(({ page }) => page)];
+    if (pages.length > 0) {
+      const files = pages.flatMap(page => {
+        const sections = db.getPageSections(page.page_id);
+        return this.buildPageUploads(
+          { pageId: page.page_id, spaceKey: page.space_key, title: page.title, version: page.version },
+          sections.length > 0
+            ? sections.map(section => ({ filePath: section.file_path, sectionTitle: section.title }))
+            : [{ filePath: page.file_path }],
+          { previousDocuments: getPageDocumentNames(page) }
+        );
+      });
+
+      const uploadResults = await this.uploadPageFiles(files, storeName);
+      result.reuploaded = uploadResults.updated;
+      result.failed = uploadResults.failed;
+      result.failed.forEach(pageId => db.markPagePendingUpload(pageId));
+    }
+
+    for (const record of result.missingAttachments) {
+      const counts = { added: 0, updated: 0, failed: 0, errors: [] };
+      const file = this.attachmentSync.buildUploadEntry(record, db.getPage(record.page_id), false);
+      await this.attachmentSync.uploadAttachment(file, storeName, counts);
+      if (counts.failed > 0) {
+        result.failedAttachments.push(record.attachment_id);
+        db.markAttachmentPendingUpload(record.attachment_id);
+      } else {
+        result.reuploaded++;
+      }
+    }
+
+    result.deleted = await this.uploadManager.deleteDocuments(result.orphaned.map(document => document.name));
+    return result;
+  }
+
+  /**
+   * Register the converter plugins in the configured plugin directory
+   * Plugins are loaded once per service, as scheduled syncs reuse it
+   */
+  async loadConverterPlugins() {
+    const pluginDir = config.confluence.pluginDir;
+    if (!pluginDir || this.pluginsLoaded) {
+      return;
+    }
+
+    for (const plugin of await loadPlugins(pluginDir)) {
+      this.converter.use(plugin);
+    }
+    this.pluginsLoaded = true;
+
+    if (this.converter.plugins.length > 0) {
+      console.log(`Loaded converter plugins: ${this.converter.plugins.join(', ')}`);
+    }
+  }
+
+  /**
+   * Remove synced spaces that are no longer in the discovered space list
+   * @param {Array<string>} spaceKeys - Discovered space keys
+   * @param {Object} stats - Run statistics, updated in place
+   */
+  async retireMissingSpaces(spaceKeys, stats) {
+    const current = new Set(spaceKeys);
+    const missing = db.getSyncedSpaceKeys().filter(key => !current.has(key));
+
+    for (const spaceKey of missing) {
+      console.log(`\n[${spaceKey}] No longer available; removing its pages`);
+      stats.deleted += await this.handleDeletedPages(db.getPagesBySpace(spaceKey));
+      db.deleteSpaceSyncState(spaceKey);
+      stats.retiredSpaces.push(spaceKey);
+    }
+  }
+
+  /**
+   * Build a short error summary for the sync history record
+   * @param {Array<Object>} errors - Collected errors
+   * @returns {string|null} Summary, or null when there were no errors
+   */
+  summariseErrors(errors) {
+    if (errors.length === 0) {
+      return null;
+    }
+
+    const first = errors[0];
+    const target = first.title || first.file || first.spaceKey;
+    const more = errors.length > 1 ? ` (+${errors.length - 1} more)` : '';
+    return `[${first.stage}] ${target}: ${first.error}${more}`;
+  }
+
+  /**
+   * Log sync summary
+   * @param {Object} stats - Sync statistics
+   * @param {number} duration - Duration in seconds
+   */
+  logSyncSummary(stats, duration) {
+    console.log('\nSync summary');
+    console.log(`  Added:    ${stats.added}`);
+    console.log(`  Updated:  ${stats.updated}`);
+    console.log(`  Deleted:  ${stats.deleted}`);
+    console.log(`  Skipped:  ${stats.skipped}`);
+    console.log(`  Failed:   ${stats.failed}`);
+    console.log(`  Duration: ${duration}s`);
+
+    if (stats.retiredSpaces?.length > 0) {
+      console.log(`  Retired spaces: ${stats.retiredSpaces.join(', ')}`);
+    }
+
+    const attachments = stats.attachments;
+    if (attachments && Object.values(attachments).some(count => count > 0)) {
+      console.log(
+        `  Attachments: ${attachments.added} added, ${attachments.updated} updated, ` +
+        `${attachments.deleted} deleted, ${attachments.failed} failed`
+      );
+    }
+
+    if (stats.http) {
+      const { requests, retries, throttled, waitedMs } = stats.http;
+      console.log(
+        `  Confluence requests: ${requests} (${retries} retried, ${throttled} throttled, ` +
+        `${Math.round(waitedMs / 1000)}s waiting)`
+      );
+    }
+
+    if (stats.errors.length > 0) {
+      console.log(`\nErrors (${stats.errors.length}):`);
+      stats.errors.slice(0, 10).forEach(err => {
+        console.log(`  [${err.stage}] ${err.title || err.file || err.spaceKey}: ${err.error}`);
+      });
+      if (stats.errors.length > 10) {
+        console.log(`  ... and ${stats.errors.length - 10} more`);
+      }
+    }
+  }
+
+  /**
+   * Get sync status
+   * @returns {Object} Database statistics including last sync
+   */
+  getSyncStatus() {
+    return db.getStats();
+  }
+
+  /**
+   * Get the conversion fidelity report: spaces and pages ranked by what their
+   * conversion lost, and the macros and elements lost most often
+   * @param {Object} options - Report options
+   * @param {string} options.spaceKey - Limit the report to one space
+   * @param {number} options.limit - Number of pages to list
+   * @returns {Object} { spaces, pages, unknownMacros, unhandledElements }
+   */
+  getFidelityReport({ spaceKey = null, limit = 20 } = {}) {
+    const spaces = db.getFidelityBySpace().filter(space => !spaceKey || space.space_key === spaceKey);
+    const unknownMacros = {};
+    const unhandledElements = {};
+    const addCounts = (totals, counts) => {
+      for (const [name, count] of Object.entries(counts || {})) {
+        totals[name] = (totals[name] || 0) + count;
+      }
+    };
+
+    const pages = db.getPagesWithLoss(spaceKey).map(page => {
+      const report = JSON.parse(page.fidelity_report || 'null') || createFidelityReport();
+      addCounts(unknownMacros, report.unknownMacros);
+      addCounts(unhandledElements, report.unhandledElements);
+      return {
+        pageId: page.page_id,
+        spaceKey: page.space_key,
+        title: page.title,
+        url: page.url,
+        ...countLosses(report),
+      };
+    });
+
+    const ranked = totals => Object.entries(totals)
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+    return {
+      spaces,
+      pages: pages.slice(0, limit),
+      unknownMacros: ranked(unknownMacros),
+      unhandledElements: ranked(unhandledElements),
+    };
+  }
+}
+
+/**
+ * Get the File Search documents recorded for a synced page
+ * @param {Object} page - synced_pages row
+ * @returns {Array<string>} Document names
+ */
+function getPageDocumentNames(page) {
+  return page?.document_names ? JSON.parse(page.document_names) : [];
+}
+
+/**
+ * Get the page version a store document was uploaded with
+ * @param {Object} document - File Search document
+ * @returns {number|null} Version, or null if the document has no version metadata
+ */
+function getDocumentVersion(document) {
+  const entry = document.customMetadata?.find(metadata => metadata.key === 'version');
+  return entry?.numericValue ?? null;
+}
@@ -17,7 +17,7 @@ export class UploadManager {
    * Upload a file to File Search store
    * @param {string} filePath - Local file path
    * @param {string} storeName - File Search store name
-   * @param {Object} options - Upload options (displayName, mimeType)
+   * @param {Object} options - Upload options (displayName, mimeType, customMetadata)
    * @returns {Promise<Object>} Completed operation result
    */
   async uploadFile(filePath, storeName, options = {}) {
@@ -36,6 +36,7 @@ export class UploadManager {
         config: {
           displayName: options.displayName || filePath,
           mimeType: options.mimeType || 'text/markdown',
+          ...(options.customMetadata && { customMetadata: options.customMetadata }),
         }
       });
 
@@ -53,7 +54,7 @@ export class UploadManager {
 
   /**
    * Upload multiple files with progress tracking
-   * @param {Array<Object>} files - Array of {filePath, displayName, mimeType}
+   * @param {Array<Object>} files - Array of {filePath, displayName, mimeType, customMetadata}
    * @param {string} storeName - File Search store name
    * @returns {Promise<Object>} Upload results with counts
    */
@@ -73,7 +74,8 @@ export class UploadManager {
         console.log(`[${i + 1}/${files.length}]`, '');
         await this.uploadFile(file.filePath, storeName, {
           displayName: file.displayName,
-          mimeType: file.mimeType || 'text/markdown'
+          mimeType: file.mimeType || 'text/markdown',
+          customMetadata: file.customMetadata
         });
         results.successful++;
       } catch (error) {
@@ -137,8 +139,46 @@ export class UploadManager {
     }
   }
 
+  /**
+   * Get the File Search document created by a completed upload
+   * @param {Object} operation - Completed upload operation
+   * @returns {string|null} Document name, e.g. fileSearchStores/abc/documents/def
+   */
+  getDocumentName(operation) {
+    return operation?.response?.documentName || null;
+  }
+
+  /**
+   * Delete documents from their File Search store
+   * Documents that are already gone count as deleted. Other failures are
+   * logged and left for garbage collection to retry
+   * @param {Array<string>} documentNames - Document names
+   * @returns {Promise<number>} Number of documents deleted
+   */
+  async deleteDocuments(documentNames) {
+    let deleted = 0;
+
+    for (const name of documentNames) {
+      try {
+        await this.ai.fileSearchStores.documents.delete({ name, config: { force: true } });
+        deleted++;
+      } catch (error) {
+        if (error.status === 404) {
+          deleted++;
+        } else {
+          console.error(`  ✗ Failed to delete document ${name}:`, error.message);
+        }
+      }
+    }
+
+    return deleted;
+  }
+
   /**
    * Upload a batch of files with retry logic
+   * Successfully uploaded entries are returned in `uploaded`, with the
+   * `documentName` they were stored as, so callers can match results back to
+   * their own records
    * @param {Array<Object>} files - Files to upload
    * @param {string} storeName - Store name
    * @param {number} maxRetries - Max retries per file (default 3)
@@ -149,7 +189,8 @@ export class UploadManager {
       total: files.length,
       successful: 0,
       failed: 0,
-      errors: []
+      errors: [],
+      uploaded: []
     };
 
     console.log(`\nUploading ${files.length} files with retry (max ${maxRetries} attempts)...`);
@@ -168,13 +209,15 @@ export class UploadManager {
             console.log(`[${i + 1}/${files.length}]`, '');
           }
 
-          await this.uploadFile(file.filePath, storeName, {
+          const operation = await this.uploadFile(file.filePath, storeName, {
             displayName: file.displayName,
-            mimeType: file.mimeType || 'text/markdown'
+            mimeType: file.mimeType || 'text/markdown',
+            customMetadata: file.customMetadata
           });
           
           success = true;
           results.successful++;
+          results.uploaded.push({ ...file, documentName: this.getDocumentName(operation) });
         } catch (error) {
           if (attempt >= maxRetries) {
             results.failed++;
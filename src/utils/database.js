@@ -28,12 +28,22 @@ export class DatabaseManager {
       CREATE TABLE IF NOT EXISTS synced_pages (
         page_id TEXT PRIMARY KEY,
         space_key TEXT NOT NULL,
+        content_type TEXT NOT NULL DEFAULT 'page', -- 'page' or 'blogpost'
         title TEXT NOT NULL,
         version INTEGER NOT NULL,
         last_synced TEXT NOT NULL,
         file_path TEXT NOT NULL,
         file_search_store_name TEXT,
         url TEXT,
+        ancestor_ids TEXT, -- JSON array of ancestor page IDs, root first
+        last_comment_at TEXT, -- newest comment seen when the page was last converted
+        fidelity_loss INTEGER DEFAULT 0, -- elements lost when the page was last converted
+        fidelity_report TEXT, -- JSON fidelity report (see src/confluence/fidelity.js)
+        content_hash TEXT, -- SHA-256 of the converted markdown (see src/confluence/content-hash.js)
+        converter_version INTEGER, -- CONVERTER_VERSION the page was converted with
+        converter_plugins TEXT, -- converter plugins (name@hash) the page was converted with
+        document_names TEXT, -- JSON array of the page's File Search documents (one per section)
+        uploaded_version INTEGER, -- page version in the metadata of those documents
         created_at TEXT DEFAULT (datetime('now')),
         updated_at TEXT DEFAULT (datetime('now'))
       );
@@ -44,6 +54,16 @@ export class DatabaseManager {
       CREATE INDEX IF NOT EXISTS idx_synced_pages_title 
         ON synced_pages(title);
 
+      -- Section documents of pages stored split at their H1/H2 headings
+      CREATE TABLE IF NOT EXISTS page_sections (
+        page_id TEXT NOT NULL,
+        section_index INTEGER NOT NULL, -- 0-based, in page order
+        title TEXT, -- heading text; NULL for the introduction
+        url TEXT, -- page URL with the section anchor
+        file_path TEXT NOT NULL,
+        PRIMARY KEY (page_id, section_index)
+      );
+
       -- Sync history audit log
       CREATE TABLE IF NOT EXISTS sync_history (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -53,11 +73,44 @@ export class DatabaseManager {
         pages_updated INTEGER DEFAULT 0,
         pages_deleted INTEGER DEFAULT 0,
         pages_skipped INTEGER DEFAULT 0,
+        pages_failed INTEGER DEFAULT 0,
+        api_requests INTEGER DEFAULT 0,
+        api_retries INTEGER DEFAULT 0,
+        api_throttled INTEGER DEFAULT 0,
         status TEXT NOT NULL, -- 'running', 'completed', 'failed'
         error TEXT,
         created_at TEXT DEFAULT (datetime('now'))
       );
 
+      -- Synced page attachments
+      CREATE TABLE IF NOT EXISTS synced_attachments (
+        attachment_id TEXT PRIMARY KEY,
+        page_id TEXT NOT NULL,
+        space_key TEXT NOT NULL,
+        title TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        media_type TEXT NOT NULL,
+        file_size INTEGER,
+        file_path TEXT NOT NULL,
+        file_search_store_name TEXT,
+        document_name TEXT, -- File Search document of the uploaded file
+        last_synced TEXT NOT NULL,
+        created_at TEXT DEFAULT (datetime('now')),
+        updated_at TEXT DEFAULT (datetime('now'))
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_synced_attachments_page
+        ON synced_attachments(page_id);
+      CREATE INDEX IF NOT EXISTS idx_synced_attachments_space
+        ON synced_attachments(space_key);
+
+      -- Per-space incremental sync watermark
+      CREATE TABLE IF NOT EXISTS space_sync_state (
+        space_key TEXT PRIMARY KEY,
+        last_synced TEXT NOT NULL,
+        updated_at TEXT DEFAULT (datetime('now'))
+      );
+
       -- File search stores
       CREATE TABLE IF NOT EXISTS file_search_stores (
         name TEXT PRIMARY KEY,
@@ -66,6 +119,42 @@ export class DatabaseManager {
         last_used TEXT
       );
     `);
+
+    this.migrateSchema();
+  }
+
+  /**
+   * Apply additive schema changes to databases created by older versions
+   */
+  migrateSchema() {
+    this.addColumnIfMissing('sync_history', 'pages_failed', 'INTEGER DEFAULT 0');
+    this.addColumnIfMissing('sync_history', 'api_requests', 'INTEGER DEFAULT 0');
+    this.addColumnIfMissing('sync_history', 'api_retries', 'INTEGER DEFAULT 0');
+    this.addColumnIfMissing('sync_history', 'api_throttled', 'INTEGER DEFAULT 0');
+    this.addColumnIfMissing('synced_pages', 'content_type', "TEXT NOT NULL DEFAULT 'page'");
+    this.addColumnIfMissing('synced_pages', 'last_comment_at', 'TEXT');
+    this.addColumnIfMissing('synced_pages', 'ancestor_ids', 'TEXT');
+    this.addColumnIfMissing('synced_pages', 'fidelity_loss', 'INTEGER DEFAULT 0');
+    this.addColumnIfMissing('synced_pages', 'fidelity_report', 'TEXT');
+    this.addColumnIfMissing('synced_pages', 'content_hash', 'TEXT');
+    this.addColumnIfMissing('synced_pages', 'converter_version', 'INTEGER');
+    this.addColumnIfMissing('synced_pages', 'converter_plugins', 'TEXT');
+    this.addColumnIfMissing('synced_pages', 'document_names', 'TEXT');
+    this.addColumnIfMissing('synced_pages', 'uploaded_version', 'INTEGER');
+    this.addColumnIfMissing('synced_attachments', 'document_name', 'TEXT');
+  }
+
+  /**
+   * Add a column to an existing table if it is not already present
+   * @param {string} table - Table name
+   * @param {string} column - Column name
+   * @param {string} definition - Column type and constraints
+   */
+  addColumnIfMissing(table, column, definition) {
+    const columns = this.db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+      this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
   }
 
   /**
@@ -87,9 +176,15 @@ export class DatabaseManager {
   }
 
   /**
-   * Get pages by space key
+   * Get pages by space key, optionally limited to one content type
    */
-  getPagesBySpace(spaceKey) {
+  getPagesBySpace(spaceKey, contentType = null) {
+    if (contentType) {
+      return this.db.prepare(`
+        SELECT * FROM synced_pages WHERE space_key = ? AND content_type = ?
+      `).all(spaceKey, contentType);
+    }
+
     return this.db.prepare(`
       SELECT * FROM synced_pages WHERE space_key = ?
     `).all(spaceKey);
@@ -101,36 +196,329 @@ export class DatabaseManager {
   upsertPage(page) {
     return this.db.prepare(`
       INSERT INTO synced_pages 
-        (page_id, space_key, title, version, last_synced, file_path, file_search_store_name, url, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+        (page_id, space_key, content_type, title, version, last_synced, file_path, file_search_store_name, url, ancestor_ids, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
       ON CONFLICT(page_id) DO UPDATE SET
         space_key = excluded.space_key,
+        content_type = excluded.content_type,
         title = excluded.title,
         version = excluded.version,
         last_synced = excluded.last_synced,
         file_path = excluded.file_path,
         file_search_store_name = excluded.file_search_store_name,
         url = excluded.url,
+        ancestor_ids = excluded.ancestor_ids,
         updated_at = datetime('now')
     `).run(
       page.pageId,
       page.spaceKey,
+      page.contentType || 'page',
       page.title,
       page.version,
       page.lastSynced,
       page.filePath,
       page.fileSearchStoreName,
-      page.url
+      page.url,
+      page.ancestorIds ? JSON.stringify(page.ancestorIds) : null
     );
   }
 
+  /**
+   * Record the newest comment included in a page's converted file
+   */
+  setPageLastCommentAt(pageId, lastCommentAt) {
+    return this.db.prepare(`
+      UPDATE synced_pages
+      SET last_comment_at = ?, updated_at = datetime('now')
+      WHERE page_id = ?
+    `).run(lastCommentAt, pageId);
+  }
+
+  /**
+   * Record the content hash, converter version and converter plugins of a
+   * page's current file
+   */
+  setPageContentHash(pageId, contentHash, converterVersion, converterPlugins = '') {
+    return this.db.prepare(`
+      UPDATE synced_pages
+      SET content_hash = ?, converter_version = ?, converter_plugins = ?, updated_at = datetime('now')
+      WHERE page_id = ?
+    `).run(contentHash, converterVersion, converterPlugins, pageId);
+  }
+
+  /**
+   * Get pages in a space converted by another converter version or other plugins
+   */
+  getPagesWithOutdatedConverter(spaceKey, converterVersion, converterPlugins = '') {
+    return this.db.prepare(`
+      SELECT * FROM synced_pages
+      WHERE space_key = ?
+        AND (converter_version IS NULL OR converter_version != ? OR COALESCE(converter_plugins, '') != ?)
+    `).all(spaceKey, converterVersion, converterPlugins);
+  }
+
+  /**
+   * Record what was lost converting a page's current file
+   */
+  setPageFidelity(pageId, loss, report) {
+    return this.db.prepare(`
+      UPDATE synced_pages
+      SET fidelity_loss = ?, fidelity_report = ?, updated_at = datetime('now')
+      WHERE page_id = ?
+    `).run(loss, JSON.stringify(report), pageId);
+  }
+
+  /**
+   * Get conversion losses per space, most lost first
+   */
+  getFidelityBySpace() {
+    return this.db.prepare(`
+      SELECT space_key,
+        COUNT(*) AS pages,
+        SUM(CASE WHEN fidelity_loss > 0 THEN 1 ELSE 0 END) AS pages_with_loss,
+        COALESCE(SUM(fidelity_loss), 0) AS loss
+      FROM synced_pages
+      GROUP BY space_key
+      ORDER BY loss DESC, space_key
+    `).all();
+  }
+
+  /**
+   * Get pages that lost content in conversion, most lost first
+   */
+  getPagesWithLoss(spaceKey = null) {
+    if (spaceKey) {
+      return this.db.prepare(`
+        SELECT * FROM synced_pages
+        WHERE space_key = ? AND fidelity_loss > 0
+        ORDER BY fidelity_loss DESC, title
+      `).all(spaceKey);
+    }
+
+    return this.db.prepare(`
+      SELECT * FROM synced_pages
+      WHERE fidelity_loss > 0
+      ORDER BY fidelity_loss DESC, title
+    `).all();
+  }
+
+  /**
+   * Record that a page's current file has been uploaded to a store, replacing
+   * its previous documents. The uploaded version can lag the synced version,
+   * as uploads of unchanged content are skipped
+   */
+  markPageUploaded(pageId, fileSearchStoreName, documentNames = [], uploadedVersion = null) {
+    return this.db.prepare(`
+      UPDATE synced_pages
+      SET file_search_store_name = ?, document_names = ?, uploaded_version = ?, updated_at = datetime('now')
+      WHERE page_id = ?
+    `).run(fileSearchStoreName, JSON.stringify(documentNames), uploadedVersion, pageId);
+  }
+
+  /**
+   * Mark a page as not uploaded, so the next sync fetches and uploads it again
+   * Its recorded documents are kept until the new upload replaces them
+   */
+  markPagePendingUpload(pageId) {
+    return this.db.prepare(`
+      UPDATE synced_pages
+      SET file_search_store_name = NULL, updated_at = datetime('now')
+      WHERE page_id = ?
+    `).run(pageId);
+  }
+
+  /**
+   * Get the File Search documents of every synced page and attachment
+   */
+  getDocumentNames() {
+    const pageDocuments = this.db.prepare(`
+      SELECT document_names FROM synced_pages WHERE document_names IS NOT NULL
+    `).all().flatMap(row => JSON.parse(row.document_names));
+    const attachmentDocuments = this.db.prepare(`
+      SELECT document_name FROM synced_attachments WHERE document_name IS NOT NULL
+    `).all().map(row => row.document_name);
+    return [...pageDocuments, ...attachmentDocuments];
+  }
+
+  /**
+   * Count pages and attachments uploaded before document names were recorded
+   */
+  countUntrackedUploads() {
+    return this.db.prepare(`
+      SELECT
+        (SELECT COUNT(*) FROM synced_pages
+          WHERE file_search_store_name IS NOT NULL AND document_names IS NULL) +
+        (SELECT COUNT(*) FROM synced_attachments
+          WHERE file_search_store_name IS NOT NULL AND document_name IS NULL) AS count
+    `).get().count;
+  }
+
+  /**
+   * Get pages in a space that were saved but never uploaded
+   */
+  getPagesPendingUpload(spaceKey) {
+    return this.db.prepare(`
+      SELECT * FROM synced_pages
+      WHERE space_key = ? AND file_search_store_name IS NULL
+    `).all(spaceKey);
+  }
+
   /**
    * Delete a synced page
    */
   deletePage(pageId) {
+    return this.db.transaction(() => {
+      this.db.prepare('DELETE FROM page_sections WHERE page_id = ?').run(pageId);
+      return this.db.prepare(`
+        DELETE FROM synced_pages WHERE page_id = ?
+      `).run(pageId);
+    })();
+  }
+
+  /**
+   * Get the section documents of a page, in page order
+   */
+  getPageSections(pageId) {
     return this.db.prepare(`
-      DELETE FROM synced_pages WHERE page_id = ?
-    `).run(pageId);
+      SELECT * FROM page_sections WHERE page_id = ? ORDER BY section_index
+    `).all(pageId);
+  }
+
+  /**
+   * Get the section documents of all pages
+   */
+  getAllPageSections() {
+    return this.db.prepare(`
+      SELECT * FROM page_sections ORDER BY page_id, section_index
+    `).all();
+  }
+
+  /**
+   * Replace the section documents of a page (none for an unsplit page)
+   */
+  replacePageSections(pageId, sections) {
+    const insert = this.db.prepare(`
+      INSERT INTO page_sections (page_id, section_index, title, url, file_path)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM page_sections WHERE page_id = ?').run(pageId);
+      sections.forEach((section, index) => {
+        insert.run(pageId, index, section.title, section.url, section.filePath);
+      });
+    })();
+  }
+
+  /**
+   * Get synced attachment by ID
+   */
+  getAttachment(attachmentId) {
+    return this.db.prepare(`
+      SELECT * FROM synced_attachments WHERE attachment_id = ?
+    `).get(attachmentId);
+  }
+
+  /**
+   * Get synced attachments of a page
+   */
+  getAttachmentsByPage(pageId) {
+    return this.db.prepare(`
+      SELECT * FROM synced_attachments WHERE page_id = ?
+    `).all(pageId);
+  }
+
+  /**
+   * Get synced attachments in a space
+   */
+  getAttachmentsBySpace(spaceKey) {
+    return this.db.prepare(`
+      SELECT * FROM synced_attachments WHERE space_key = ?
+    `).all(spaceKey);
+  }
+
+  /**
+   * Get all synced attachments
+   */
+  getAllAttachments() {
+    return this.db.prepare(`
+      SELECT * FROM synced_attachments
+    `).all();
+  }
+
+  /**
+   * Get attachments in a space that were saved but never uploaded
+   */
+  getAttachmentsPendingUpload(spaceKey) {
+    return this.db.prepare(`
+      SELECT * FROM synced_attachments
+      WHERE space_key = ? AND file_search_store_name IS NULL
+    `).all(spaceKey);
+  }
+
+  /**
+   * Upsert (insert or update) a synced attachment
+   */
+  upsertAttachment(attachment) {
+    return this.db.prepare(`
+      INSERT INTO synced_attachments
+        (attachment_id, page_id, space_key, title, version, media_type, file_size,
+         file_path, file_search_store_name, last_synced, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+      ON CONFLICT(attachment_id) DO UPDATE SET
+        page_id = excluded.page_id,
+        space_key = excluded.space_key,
+        title = excluded.title,
+        version = excluded.version,
+        media_type = excluded.media_type,
+        file_size = excluded.file_size,
+        file_path = excluded.file_path,
+        file_search_store_name = excluded.file_search_store_name,
+        last_synced = excluded.last_synced,
+        updated_at = datetime('now')
+    `).run(
+      attachment.attachmentId,
+      attachment.pageId,
+      attachment.spaceKey,
+      attachment.title,
+      attachment.version,
+      attachment.mediaType,
+      attachment.fileSize,
+      attachment.filePath,
+      attachment.fileSearchStoreName,
+      attachment.lastSynced
+    );
+  }
+
+  /**
+   * Mark an attachment as not uploaded, so the next sync uploads it again
+   */
+  markAttachmentPendingUpload(attachmentId) {
+    return this.db.prepare(`
+      UPDATE synced_attachments
+      SET file_search_store_name = NULL, updated_at = datetime('now')
+      WHERE attachment_id = ?
+    `).run(attachmentId);
+  }
+
+  /**
+   * Record that an attachment's current file has been uploaded to a store
+   */
+  markAttachmentUploaded(attachmentId, fileSearchStoreName, documentName = null) {
+    return this.db.prepare(`
+      UPDATE synced_attachments
+      SET file_search_store_name = ?, document_name = ?, updated_at = datetime('now')
+      WHERE attachment_id = ?
+    `).run(fileSearchStoreName, documentName, attachmentId);
+  }
+
+  /**
+   * Delete a synced attachment
+   */
+  deleteAttachment(attachmentId) {
+    return this.db.prepare(`
+      DELETE FROM synced_attachments WHERE attachment_id = ?
+    `).run(attachmentId);
   }
 
   /**
@@ -155,13 +543,23 @@ export class DatabaseManager {
           pages_updated = ?,
           pages_deleted = ?,
           pages_skipped = ?,
-          status = 'completed'
+          pages_failed = ?,
+          api_requests = ?,
+          api_retries = ?,
+          api_throttled = ?,
+          status = 'completed',
+          error = ?
       WHERE id = ?
     `).run(
       stats.added || 0,
       stats.updated || 0,
       stats.deleted || 0,
       stats.skipped || 0,
+      stats.failed || 0,
+      stats.http?.requests || 0,
+      stats.http?.retries || 0,
+      stats.http?.throttled || 0,
+      stats.error || null,
       syncId
     );
   }
@@ -200,6 +598,48 @@ export class DatabaseManager {
     `).all(limit);
   }
 
+  /**
+   * Get the incremental sync state for a space
+   */
+  getSpaceSyncState(spaceKey) {
+    return this.db.prepare(`
+      SELECT * FROM space_sync_state WHERE space_key = ?
+    `).get(spaceKey);
+  }
+
+  /**
+   * Record the start time of the last successful sync of a space
+   */
+  updateSpaceSyncState(spaceKey, lastSynced) {
+    return this.db.prepare(`
+      INSERT INTO space_sync_state (space_key, last_synced, updated_at)
+      VALUES (?, ?, datetime('now'))
+      ON CONFLICT(space_key) DO UPDATE SET
+        last_synced = excluded.last_synced,
+        updated_at = datetime('now')
+    `).run(spaceKey, lastSynced);
+  }
+
+  /**
+   * Clear the incremental sync state of a space
+   */
+  deleteSpaceSyncState(spaceKey) {
+    return this.db.prepare(`
+      DELETE FROM space_sync_state WHERE space_key = ?
+    `).run(spaceKey);
+  }
+
+  /**
+   * Get the keys of all spaces with synced pages or a sync watermark
+   */
+  getSyncedSpaceKeys() {
+    return this.db.prepare(`
+      SELECT space_key FROM synced_pages
+      UNION
+      SELECT space_key FROM space_sync_state
+    `).all().map(row => row.space_key);
+  }
+
   /**
    * Upsert file search store
    */
@@ -213,12 +653,73 @@ export class DatabaseManager {
   }
 
   /**
-   * Get file search store
+   * Get the file search store with a display name, most recently used first
    */
-  getFileSearchStore() {
+  getFileSearchStore(displayName) {
     return this.db.prepare(`
-      SELECT * FROM file_search_stores LIMIT 1
-    `).get();
+      SELECT * FROM file_search_stores
+      WHERE display_name = ?
+      ORDER BY last_used DESC
+      LIMIT 1
+    `).get(displayName);
+  }
+
+  /**
+   * Get a file search store by its resource name
+   */
+  getFileSearchStoreByName(storeName) {
+    return this.db.prepare('SELECT * FROM file_search_stores WHERE name = ?').get(storeName);
+  }
+
+  /**
+   * Forget a file search store that no longer exists
+   * Pages and attachments uploaded to it become pending again, and their spaces
+   * are fully listed on the next sync, so all their content is uploaded again
+   */
+  forgetFileSearchStore(storeName) {
+    this.db.transaction(() => {
+      this.db.prepare(`
+        DELETE FROM space_sync_state WHERE space_key IN (
+          SELECT space_key FROM synced_pages WHERE file_search_store_name = ?
+          UNION
+          SELECT space_key FROM synced_attachments WHERE file_search_store_name = ?
+        )
+      `).run(storeName, storeName);
+      this.db.prepare(`
+        UPDATE synced_pages
+        SET file_search_store_name = NULL, document_names = NULL, updated_at = datetime('now')
+        WHERE file_search_store_name = ?
+      `).run(storeName);
+      this.db.prepare(`
+        UPDATE synced_attachments
+        SET file_search_store_name = NULL, document_name = NULL, updated_at = datetime('now')
+        WHERE file_search_store_name = ?
+      `).run(storeName);
+      this.db.prepare('DELETE FROM file_search_stores WHERE name = ?').run(storeName);
+    })();
+  }
+
+  /**
+   * Mark the pages and attachments of a space that were uploaded to a store
+   * other than the given one as pending, e.g. after the space was mapped to
+   * another store. Their previous documents are kept until the new uploads
+   * replace them
+   * @returns {number} Number of pages and attachments marked
+   */
+  markSpacePendingUpload(spaceKey, fileSearchStoreName) {
+    return this.db.transaction(() => {
+      const pages = this.db.prepare(`
+        UPDATE synced_pages
+        SET file_search_store_name = NULL, updated_at = datetime('now')
+        WHERE space_key = ? AND file_search_store_name != ?
+      `).run(spaceKey, fileSearchStoreName);
+      const attachments = this.db.prepare(`
+        UPDATE synced_attachments
+        SET file_search_store_name = NULL, updated_at = datetime('now')
+        WHERE space_key = ? AND file_search_store_name != ?
+      `).run(spaceKey, fileSearchStoreName);
+      return pages.changes + attachments.changes;
+    })();
   }
 
   /**
@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest';
+import { ConfluenceConverter } from '../src/confluence/converter.js';
+
+const text = (value, marks) => ({ type: 'text', text: value, ...(marks && { marks }) });
+const paragraph = (...content) => ({ type: 'paragraph', content });
+const doc = (...content) => ({ type: 'doc', version: 1, content });
+
+describe('AdfConverter', () => {
+  const converter = new ConfluenceConverter();
+  const adf = converter.adfConverter;
+  const context = { wikiUrl: 'https://test.atlassian.net/wiki', pageId: '42', users: new Map(), tasks: [] };
+
+  it('should convert headings, marks and links', () => {
+    const markdown = adf.convert(doc(
+      { type: 'heading', attrs: { level: 2 }, content: [text('Deploy')] },
+      paragraph(
+        text('Run '),
+        text('make deploy', [{ type: 'code' }]),
+        text(' with '),
+        text('care', [{ type: 'strong' }]),
+        text(', see '),
+        text('the guide', [{ type: 'link', attrs: { href: 'https://example.com/guide' } }]),
+        text(' *now*')
+      )
+    ), context);
+
+    expect(markdown).toBe(
+      '## Deploy\n\nRun `make deploy` with **care**, see [the guide](https://example.com/guide) \\*now\\*'
+    );
+  });
+
+  it('should convert panels, expands and code blocks', () => {
+    const markdown = adf.convert(doc(
+      { type: 'panel', attrs: { panelType: 'warning' }, content: [paragraph(text('Drain the node first.'))] },
+      { type: 'expand', attrs: { title: 'Rollback' }, content: [paragraph(text('Revert the deploy.'))] },
+      { type: 'codeBlock', attrs: { language: 'bash' }, content: [text('kubectl drain node-1\nkubectl uncordon node-1')] }
+    ), context);
+
+    expect(markdown).toBe(
+      '> **Warning**\n>\n> Drain the node first.\n\n' +
+      '### Rollback\n\nRevert the deploy.\n\n' +
+      '```bash\nkubectl drain node-1\nkubectl uncordon node-1\n```'
+    );
+  });
+
+  it('should convert lists, mentions, dates and status lozenges', () => {
+    const markdown = adf.convert(doc({
+      type: 'bulletList',
+      content: [
+        { type: 'listItem', content: [paragraph(
+          { type: 'mention', attrs: { id: '557058:abc', text: '@Aroha Ngata' } },
+          text(' owns it')
+        )] },
+        { type: 'listItem', content: [
+          paragraph(text('Due '), { type: 'date', attrs: { timestamp: '1719705600000' } }, text(' '),
+            { type: 'status', attrs: { text: 'IN PROGRESS', color: 'yellow' } }),
+          { type: 'orderedList', attrs: { order: 1 }, content: [
+            { type: 'listItem', content: [paragraph(text('Nested'))] }
+          ] }
+        ] }
+      ]
+    }), context);
+
+    expect(markdown).toBe('- @Aroha Ngata owns it\n- Due 2024-06-30 [IN PROGRESS]\n  1. Nested');
+  });
+
+  it('should convert tables through the shared table renderer', () => {
+    const cell = (type, value, attrs) => ({ type, ...(attrs && { attrs }), content: [paragraph(text(value))] });
+    const markdown = adf.convert(doc({
+      type: 'table',
+      content: [
+        { type: 'tableRow', content: [cell('tableHeader', 'Service'), cell('tableHeader', 'Owner')] },
+        { type: 'tableRow', content: [cell('tableCell', 'billing-api'), cell('tableCell', 'Payments')] },
+      ]
+    }), context);
+
+    expect(markdown).toBe('| Service | Owner |\n| --- | --- |\n| billing-api | Payments |');
+  });
+
+  it('should link media to attachment downloads', () => {
+    const markdown = adf.convert(doc({
+      type: 'mediaSingle',
+      content: [{ type: 'media', attrs: { type: 'file', id: 'f1', collection: 'c', alt: 'arch diagram.png' } }]
+    }), context);
+
+    expect(markdown).toBe('[Image: arch diagram.png](https://test.atlassian.net/wiki/download/attachments/42/arch%20diagram.png)');
+  });
+
+  it('should convert tasks and decisions and record open tasks', () => {
+    const tasks = [];
+    const markdown = adf.convert(doc(
+      { type: 'taskList', content: [
+        { type: 'taskItem', attrs: { state: 'TODO' }, content: [
+          { type: 'mention', attrs: { id: 'abc', text: '@Aroha Ngata' } },
+          text(' Rotate the keys by '),
+          { type: 'date', attrs: { timestamp: '1719705600000' } }
+        ] },
+        { type: 'taskItem', attrs: { state: 'DONE' }, content: [text('Write the postmortem')] },
+      ] },
+      { type: 'decisionList', content: [
+        { type: 'decisionItem', attrs: { state: 'DECIDED' }, content: [text('Use Postgres')] }
+      ] }
+    ), { ...context, tasks });
+
+    expect(markdown).toBe(
+      '- [ ] @Aroha Ngata Rotate the keys by 2024-06-30\n- [x] Write the postmortem\n\n- **Decision:** Use Postgres'
+    );
+    expect(tasks[0]).toEqual({ text: 'Rotate the keys by', complete: false, assignee: 'Aroha Ngata', due: '2024-06-30' });
+  });
+
+  it('should be used for pages when the body format is adf', () => {
+    const page = {
+      id: '42',
+      title: 'ADF page',
+      space: { key: 'ENG', name: 'Engineering' },
+      version: { number: 1, when: '2024-01-01T00:00:00.000Z' },
+      body: {
+        storage: { value: '<p>From storage</p>' },
+        atlas_doc_format: { value: JSON.stringify(doc(paragraph(text('From ADF')))) },
+      },
+      _links: { webui: '/spaces/ENG/pages/42' },
+    };
+
+    expect(converter.convert(page, 'https://test.atlassian.net/wiki', { bodyFormat: 'adf' })).toContain('From ADF');
+    expect(converter.convert(page, 'https://test.atlassian.net/wiki')).toContain('From storage');
+  });
+});
@@ -0,0 +1,210 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import * as fs from 'fs';
+import * as path from 'path';
+import { AttachmentSync } from '../src/sync/attachment-sync.js';
+import { db } from '../src/utils/database.js';
+import { TEST_CONTENT_DIR } from './setup.js';
+
+function mockAttachment(id, title = `file-${id}.pdf`, overrides = {}) {
+  return {
+    id,
+    title,
+    version: { number: 1 },
+    container: { id: 'p1' },
+    extensions: { mediaType: 'application/pdf', fileSize: 1024 },
+    _links: { download: `/download/attachments/p1/${title}` },
+    ...overrides,
+  };
+}
+
+function attachmentRecord(id, overrides = {}) {
+  return {
+    attachment_id: id,
+    page_id: 'p1',
+    space_key: 'DEV',
+    title: `file-${id}.pdf`,
+    version: 1,
+    media_type: 'application/pdf',
+    file_path: `/content/dev_p1_attachments/${id}.pdf`,
+    file_search_store_name: 'fileSearchStores/store',
+    ...overrides,
+  };
+}
+
+describe('AttachmentSync', () => {
+  let client;
+  let storage;
+  let uploadManager;
+  let attachmentSync;
+
+  beforeEach(() => {
+    vi.restoreAllMocks();
+
+    client = {
+      getSpaceAttachments: vi.fn().mockResolvedValue([]),
+      getAttachments: vi.fn().mockResolvedValue([]),
+      downloadAttachment: vi.fn().mockResolvedValue(Buffer.from('%PDF')),
+    };
+    storage = {
+      saveAttachment: vi.fn((spaceKey, pageId, attachment) => ({
+        success: true,
+        filePath: `/content/${attachment.id}.pdf`,
+      })),
+      deleteAttachment: vi.fn().mockReturnValue(true),
+    };
+    uploadManager = {
+      uploadFile: vi.fn().mockResolvedValue({ done: true, response: { documentName: 'fileSearchStores/store/documents/new' } }),
+      getDocumentName: operation => operation?.response?.documentName || null,
+      deleteDocuments: vi.fn(async names => names.length),
+    };
+    attachmentSync = new AttachmentSync(client, storage, uploadManager);
+
+    const saved = new Map();
+    vi.spyOn(db, 'getPage').mockReturnValue({ page_id: 'p1', title: 'Design', url: 'https://wiki/p1' });
+    vi.spyOn(db, 'getAttachment').mockImplementation(id => saved.get(id));
+    vi.spyOn(db, 'upsertAttachment').mockImplementation(a => {
+      saved.set(a.attachmentId, attachmentRecord(a.attachmentId, {
+        title: a.title,
+        version: a.version,
+        file_path: a.filePath,
+        file_search_store_name: null,
+      }));
+    });
+    vi.spyOn(db, 'getAttachmentsByPage').mockReturnValue([]);
+    vi.spyOn(db, 'getAttachmentsBySpace').mockReturnValue([]);
+    vi.spyOn(db, 'getAttachmentsPendingUpload').mockReturnValue([]);
+    vi.spyOn(db, 'markAttachmentUploaded').mockReturnValue({});
+    vi.spyOn(db, 'deleteAttachment').mockReturnValue({});
+  });
+
+  it('should download, save and upload new attachments with page metadata', async () => {
+    client.getSpaceAttachments.mockResolvedValue([mockAttachment('a1', 'spec.pdf')]);
+
+    const result = await attachmentSync.syncSpace('DEV', 'fileSearchStores/store');
+
+    expect(result.added).toBe(1);
+    expect(storage.saveAttachment).toHaveBeenCalledWith('DEV', 'p1', expect.objectContaining({ id: 'a1' }), expect.any(Buffer));
+    expect(uploadManager.uploadFile).toHaveBeenCalledWith('/content/a1.pdf', 'fileSearchStores/store', {
+      displayName: 'DEV/Design/spec.pdf',
+      mimeType: 'application/pdf',
+      customMetadata: expect.arrayContaining([
+        { key: 'page_id', stringValue: 'p1' },
+        { key: 'page_url', stringValue: 'https://wiki/p1' },
+      ]),
+    });
+    expect(db.markAttachmentUploaded).toHaveBeenCalledWith('a1', 'fileSearchStores/store', 'fileSearchStores/store/documents/new');
+  });
+
+  it('should skip unsupported, oversized and orphaned attachments', async () => {
+    client.getSpaceAttachments.mockResolvedValue([
+      mockAttachment('a1', 'photo.png', { extensions: { mediaType: 'image/png' } }),
+      mockAttachment('a2', 'huge.pdf', { extensions: { fileSize: 500 * 1024 * 1024 } }),
+      mockAttachment('a3', 'other.pdf', { container: { id: 'unsynced' } }),
+    ]);
+    db.getPage.mockImplementation(id => (id === 'p1' ? { page_id: 'p1', title: 'Design' } : undefined));
+
+    const result = await attachmentSync.syncSpace('DEV', 'fileSearchStores/store');
+
+    expect(client.downloadAttachment).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ added: 0, failed: 0 });
+  });
+
+  it('should skip attachments whose version is unchanged', async () => {
+    client.getSpaceAttachments.mockResolvedValue([mockAttachment('a1')]);
+    db.getAttachment.mockReturnValue(attachmentRecord('a1'));
+
+    await attachmentSync.syncSpace('DEV', 'fileSearchStores/store');
+
+    expect(client.downloadAttachment).not.toHaveBeenCalled();
+  });
+
+  it('should re-upload changed attachments as updates', async () => {
+    client.getSpaceAttachments.mockResolvedValue([mockAttachment('a1', 'file-a1.pdf', { version: { number: 2 } })]);
+    db.getAttachment.mockReturnValueOnce(attachmentRecord('a1'));
+
+    const result = await attachmentSync.syncSpace('DEV', 'fileSearchStores/store');
+
+    expect(result.updated).toBe(1);
+  });
+
+  it('should delete the previous document of a re-uploaded attachment', async () => {
+    client.getSpaceAttachments.mockResolvedValue([mockAttachment('a1', 'file-a1.pdf', { version: { number: 2 } })]);
+    db.getAttachment.mockReturnValue(attachmentRecord('a1', { document_name: 'fileSearchStores/store/documents/old' }));
+
+    await attachmentSync.syncSpace('DEV', 'fileSearchStores/store');
+
+    expect(uploadManager.deleteDocuments).toHaveBeenCalledWith(['fileSearchStores/store/documents/old']);
+  });
+
+  it('should count download failures so the space is fetched again', async () => {
+    client.getSpaceAttachments.mockResolvedValue([mockAttachment('a1')]);
+    client.downloadAttachment.mockRejectedValue(new Error('Failed to download attachment'));
+
+    const result = await attachmentSync.syncSpace('DEV', 'fileSearchStores/store');
+
+    expect(result.fetchFailures).toBe(1);
+    expect(result.errors[0]).toMatchObject({ stage: 'attachment', title: 'file-a1.pdf' });
+    expect(uploadManager.uploadFile).not.toHaveBeenCalled();
+  });
+
+  it('should leave failed uploads pending and retry them from disk', async () => {
+    client.getSpaceAttachments.mockResolvedValue([mockAttachment('a1')]);
+    uploadManager.uploadFile.mockRejectedValueOnce(new Error('Upload failed'));
+
+    const first = await attachmentSync.syncSpace('DEV', 'fileSearchStores/store');
+    expect(first).toMatchObject({ failed: 1, fetchFailures: 0 });
+    expect(db.markAttachmentUploaded).not.toHaveBeenCalled();
+
+    const filePath = path.join(TEST_CONTENT_DIR, 'a1.pdf');
+    fs.mkdirSync(TEST_CONTENT_DIR, { recursive: true });
+    fs.writeFileSync(filePath, '%PDF');
+    client.getSpaceAttachments.mockResolvedValue([]);
+    db.getAttachmentsPendingUpload.mockReturnValue([
+      attachmentRecord('a1', { file_path: filePath, file_search_store_name: null })
+    ]);
+
+    const second = await attachmentSync.syncSpace('DEV', 'fileSearchStores/store', { since: new Date() });
+
+    expect(second.updated).toBe(1);
+    expect(db.markAttachmentUploaded).toHaveBeenCalledWith('a1', 'fileSearchStores/store', 'fileSearchStores/store/documents/new');
+  });
+
+  it('should remove attachments missing from a full listing', async () => {
+    db.getAttachmentsBySpace.mockReturnValue([attachmentRecord('gone')]);
+
+    const result = await attachmentSync.syncSpace('DEV', 'fileSearchStores/store');
+
+    expect(result.deleted).toBe(1);
+    expect(storage.deleteAttachment).toHaveBeenCalledWith('/content/dev_p1_attachments/gone.pdf');
+    expect(db.deleteAttachment).toHaveBeenCalledWith('gone');
+  });
+
+  it('should only reconcile removals on changed pages during incremental runs', async () => {
+    client.getAttachments.mockResolvedValue([mockAttachment('kept', 'file-kept.pdf', { container: undefined })]);
+    db.getAttachmentsByPage.mockReturnValue([attachmentRecord('kept'), attachmentRecord('gone')]);
+    db.getAttachment.mockImplementation(id => attachmentRecord(id));
+
+    const result = await attachmentSync.syncSpace('DEV', 'fileSearchStores/store', {
+      since: new Date(),
+      changedPageIds: ['p1'],
+    });
+
+    expect(client.getAttachments).toHaveBeenCalledWith('p1');
+    expect(db.getAttachmentsBySpace).not.toHaveBeenCalled();
+    expect(db.deleteAttachment).toHaveBeenCalledTimes(1);
+    expect(db.deleteAttachment).toHaveBeenCalledWith('gone');
+    expect(result.deleted).toBe(1);
+  });
+
+  it('should remove all attachments of a deleted page', async () => {
+    db.getAttachmentsByPage.mockReturnValue([
+      attachmentRecord('a1', { document_name: 'fileSearchStores/store/documents/a1' }),
+      attachmentRecord('a2')
+    ]);
+
+    expect(await attachmentSync.removePageAttachments('p1')).toBe(2);
+    expect(storage.deleteAttachment).toHaveBeenCalledTimes(2);
+    expect(uploadManager.deleteDocuments).toHaveBeenCalledTimes(1);
+    expect(uploadManager.deleteDocuments).toHaveBeenCalledWith(['fileSearchStores/store/documents/a1']);
+  });
+});
@@ -1,6 +1,7 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { ChangeDetector } from '../src/sync/change-detector.js';
 import { db } from '../src/utils/database.js';
+import { ConfluenceConverter, CONVERTER_VERSION } from '../src/confluence/converter.js';
 
 // Mock fs module with all methods used in the codebase
 vi.mock('fs', () => ({
@@ -67,11 +68,41 @@ describe('ChangeDetector', () => {
       const syncedPage = {
         page_id: '123',
         title: 'Test Page',
-        version: 3
+        version: 3,
+        converter_version: CONVERTER_VERSION
       };
 
       expect(detector.hasPageChanged(confluencePage, syncedPage)).toBe(false);
     });
+
+    it('should detect pages converted by an older converter', () => {
+      const confluencePage = {
+        id: '123',
+        title: 'Test Page',
+        version: { number: 3 }
+      };
+
+      const syncedPage = {
+        page_id: '123',
+        title: 'Test Page',
+        version: 3,
+        converter_version: CONVERTER_VERSION - 1
+      };
+
+      expect(detector.hasPageChanged(confluencePage, syncedPage)).toBe(true);
+    });
+
+    it('should detect pages converted with other converter plugins', () => {
+      const converter = new ConfluenceConverter();
+      converter.use({ name: 'roadmap', version: 'abc123', register: () => {} });
+      detector = new ChangeDetector(converter);
+      const confluencePage = { id: '123', title: 'Test Page', version: { number: 3 } };
+      const syncedPage = { page_id: '123', title: 'Test Page', version: 3, converter_version: CONVERTER_VERSION };
+
+      expect(detector.hasPageChanged(confluencePage, syncedPage)).toBe(true);
+      expect(detector.hasPageChanged(confluencePage, { ...syncedPage, converter_plugins: 'roadmap@abc123' })).toBe(false);
+      expect(detector.hasPageChanged(confluencePage, { ...syncedPage, converter_plugins: 'roadmap@def456' })).toBe(true);
+    });
   });
 
   describe('detectChanges', () => {
@@ -125,7 +156,8 @@ describe('ChangeDetector', () => {
       vi.spyOn(db, 'getPage').mockReturnValue({
         page_id: '123',
         title: 'Unchanged Page',
-        version: 3
+        version: 3,
+        converter_version: CONVERTER_VERSION
       });
 
       const changes = detector.detectChanges(confluencePages);
@@ -143,7 +175,7 @@ describe('ChangeDetector', () => {
       vi.spyOn(db, 'getPage').mockImplementation((id) => {
         if (id === '1') return null; // New page
         if (id === '2') return { page_id: '2', title: 'Updated', version: 3 }; // Updated
-        if (id === '3') return { page_id: '3', title: 'Unchanged', version: 2 }; // Unchanged
+        if (id === '3') return { page_id: '3', title: 'Unchanged', version: 2, converter_version: CONVERTER_VERSION }; // Unchanged
       });
 
       const changes = detector.detectChanges(confluencePages);
@@ -251,6 +283,27 @@ describe('ChangeDetector', () => {
       expect(deleted).toHaveLength(1);
       expect(deleted[0].page_id).toBe('2');
     });
+
+    it('should only consider pages inside the listed page trees', () => {
+      const confluencePages = [
+        { id: '10', title: 'Runbooks' }
+      ];
+
+      vi.spyOn(db, 'getPagesBySpace').mockReturnValue([
+        { page_id: '10', title: 'Runbooks', ancestor_ids: '["1"]' },
+        { page_id: '11', title: 'Deleted runbook', ancestor_ids: '["1","10"]' },
+        { page_id: '20', title: 'Outside the tree', ancestor_ids: '["1"]' },
+        { page_id: '30', title: 'Legacy row', ancestor_ids: null }
+      ]);
+
+      const deleted = detector.detectDeletedPagesInSpace('TEST', confluencePages, {
+        contentType: 'page',
+        rootPageIds: ['10']
+      });
+
+      expect(db.getPagesBySpace).toHaveBeenCalledWith('TEST', 'page');
+      expect(deleted.map(p => p.page_id)).toEqual(['11']);
+    });
   });
 
   describe('fileExists', () => {
@@ -342,6 +395,25 @@ describe('ChangeDetector', () => {
       expect(fs.unlinkSync).toHaveBeenCalledWith('/deleted.md');
     });
 
+    it('should keep the section files of split pages', async () => {
+      const sectionPath = index => `/content/DEV_1_guide_section-0${index}.md`;
+      vi.spyOn(db, 'getAllPages').mockReturnValue([{ page_id: '1', file_path: sectionPath(1) }]);
+      vi.spyOn(db, 'getAllPageSections').mockReturnValue([
+        { page_id: '1', file_path: sectionPath(1) },
+        { page_id: '1', file_path: sectionPath(2) }
+      ]);
+      vi.spyOn(db, 'getAllAttachments').mockReturnValue([]);
+      fs.existsSync.mockReturnValue(true);
+      fs.readdirSync.mockReturnValueOnce(['DEV_1_guide_section-01.md', 'DEV_1_guide_section-02.md', 'DEV_9_old.md']);
+      fs.statSync.mockReturnValue({ isDirectory: () => false });
+
+      const results = await detector.cleanup([], '/content');
+
+      expect(results.orphanedFiles).toBe(1);
+      expect(fs.unlinkSync).toHaveBeenCalledTimes(1);
+      expect(fs.unlinkSync).toHaveBeenCalledWith('/content/DEV_9_old.md');
+    });
+
     it('should handle cleanup errors', async () => {
       const deletedPages = [
         { page_id: '1', title: 'Deleted', file_path: '/deleted.md' }
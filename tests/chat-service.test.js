@@ -0,0 +1,37 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ChatService } from '../src/chatbot/chat-service.js';
+
+describe('ChatService', () => {
+  let chatService;
+
+  beforeEach(() => {
+    chatService = new ChatService();
+    vi.spyOn(chatService, 'getStoreNames').mockResolvedValue(['fileSearchStores/test-store-123']);
+  });
+
+  it('should keep the question and answer for follow-up questions', async () => {
+    const generateSpy = vi.spyOn(chatService.ai.models, 'generateContent').mockResolvedValue({ text: 'Forty-two' });
+
+    await chatService.ask('What is the answer?');
+    await chatService.ask('Why?');
+
+    expect(generateSpy.mock.calls[1][0].contents.map(turn => turn.role)).toEqual(['user', 'model', 'user']);
+    expect(generateSpy.mock.calls[1][0].config.tools).toEqual([
+      { fileSearch: { fileSearchStoreNames: ['fileSearchStores/test-store-123'] } }
+    ]);
+  });
+
+  it('should leave the history alone when a question fails', async () => {
+    const generateSpy = vi.spyOn(chatService.ai.models, 'generateContent')
+      .mockRejectedValueOnce(new Error('503 Service Unavailable'))
+      .mockResolvedValue({ text: 'Forty-two' });
+
+    await expect(chatService.ask('What is the answer?')).rejects.toThrow('503');
+    await chatService.ask('What is the answer?');
+
+    expect(generateSpy.mock.calls[1][0].contents).toEqual([
+      { role: 'user', parts: [{ text: 'What is the answer?' }] }
+    ]);
+    expect(chatService.history).toHaveLength(2);
+  });
+});
@@ -0,0 +1,239 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { main, parseCommandLine, formatHelp, buildCronExpression, EXIT_CODES, UsageError } from '../src/index.js';
+import { SyncService } from '../src/sync/sync-service.js';
+import { StoreManager } from '../src/sync/store-manager.js';
+import { ChatService } from '../src/chatbot/chat-service.js';
+
+describe('CLI', () => {
+  beforeEach(() => {
+    process.env.CONFLUENCE_BASE_URL = 'https://test.atlassian.net';
+    process.env.CONFLUENCE_EMAIL = 'test@example.com';
+    process.env.CONFLUENCE_API_TOKEN = 'test-token';
+    process.env.CONFLUENCE_SPACE_KEYS = 'TEST';
+    process.env.GOOGLE_API_KEY = 'test-google-key';
+    vi.restoreAllMocks();
+  });
+
+  describe('parseCommandLine', () => {
+    it('should treat no arguments as a help request', () => {
+      expect(parseCommandLine([])).toEqual({ command: null, options: {}, help: true });
+    });
+
+    it('should parse command flags', () => {
+      const parsed = parseCommandLine(['sync', '--full', '--space', 'DEV', '-s', 'OPS']);
+
+      expect(parsed.command).toBe('sync');
+      expect(parsed.options.full).toBe(true);
+      expect(parsed.options.space).toEqual(['DEV', 'OPS']);
+    });
+
+    it('should parse per-command help', () => {
+      expect(parseCommandLine(['chat', '--help']).help).toBe(true);
+      expect(parseCommandLine(['help', 'sync'])).toMatchObject({ command: 'sync', help: true });
+    });
+
+    it('should reject unknown commands and flags', () => {
+      expect(() => parseCommandLine(['deploy'])).toThrow(UsageError);
+      expect(() => parseCommandLine(['sync', '--bogus'])).toThrow(UsageError);
+    });
+  });
+
+  describe('formatHelp', () => {
+    it('should list all commands', () => {
+      const help = formatHelp();
+      ['sync', 'chat', 'schedule', 'status', 'report', 'gc', 'reconcile'].forEach(command => {
+        expect(help).toContain(command);
+      });
+    });
+
+    it('should list command options', () => {
+      expect(formatHelp('sync')).toContain('--space');
+    });
+  });
+
+  describe('buildCronExpression', () => {
+    it('should build hourly and daily schedules', () => {
+      expect(buildCronExpression(6)).toBe('0 */6 * * *');
+      expect(buildCronExpression(24)).toBe('0 0 * * *');
+      expect(buildCronExpression(48)).toBe('0 0 */2 * *');
+    });
+
+    it('should reject intervals that cannot be scheduled', () => {
+      expect(() => buildCronExpression(0)).toThrow(UsageError);
+      expect(() => buildCronExpression(30)).toThrow(UsageError);
+    });
+  });
+
+  describe('main', () => {
+    it('should return usage exit code for unknown commands', async () => {
+      expect(await main(['deploy'])).toBe(EXIT_CODES.USAGE);
+    });
+
+    it('should return config exit code when configuration is invalid', async () => {
+      delete process.env.GOOGLE_API_KEY;
+
+      expect(await main(['status'])).toBe(EXIT_CODES.CONFIG);
+    });
+
+    it('should dispatch sync with parsed options', async () => {
+      const syncSpy = vi.spyOn(SyncService.prototype, 'sync').mockResolvedValue({
+        success: true,
+        stats: { errors: [] }
+      });
+
+      const code = await main(['sync', '--full', '--space', 'DEV,OPS']);
+
+      expect(code).toBe(EXIT_CODES.SUCCESS);
+      expect(syncSpy).toHaveBeenCalledWith({ forceFullSync: true, spaceKeys: ['DEV', 'OPS'] });
+    });
+
+    it('should return partial exit code when sync has errors', async () => {
+      vi.spyOn(SyncService.prototype, 'sync').mockResolvedValue({
+        success: true,
+        stats: { errors: [{ error: 'Upload failed' }] }
+      });
+
+      expect(await main(['sync'])).toBe(EXIT_CODES.PARTIAL);
+    });
+
+    it('should return failure exit code when sync fails', async () => {
+      vi.spyOn(SyncService.prototype, 'sync').mockResolvedValue({
+        success: false,
+        error: 'Store unavailable',
+        stats: { errors: [] }
+      });
+
+      expect(await main(['sync'])).toBe(EXIT_CODES.FAILURE);
+    });
+
+    it('should print the fidelity report for a space', async () => {
+      const reportSpy = vi.spyOn(SyncService.prototype, 'getFidelityReport').mockReturnValue({
+        spaces: [{ space_key: 'DEV', pages: 10, pages_with_loss: 1, loss: 2 }],
+        pages: [{ pageId: '1', spaceKey: 'DEV', title: 'Roadmap', unknownMacros: 2, unhandledElements: 0, imagesWithoutAlt: 0, emptyOutput: 0, total: 2 }],
+        unknownMacros: [{ name: 'roadmap', count: 2 }],
+        unhandledElements: [],
+      });
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+
+      const code = await main(['report', '--space', 'DEV', '-n', '5']);
+
+      expect(code).toBe(EXIT_CODES.SUCCESS);
+      expect(reportSpy).toHaveBeenCalledWith({ spaceKey: 'DEV', limit: 5 });
+      expect(console.log).toHaveBeenCalledWith('  2  DEV/Roadmap (2 unknown macro(s))');
+    });
+
+    it('should reject an invalid report page limit', async () => {
+      expect(await main(['report', '--limit', 'all'])).toBe(EXIT_CODES.USAGE);
+    });
+
+    it('should list orphaned documents without deleting them in a dry run', async () => {
+      vi.spyOn(StoreManager.prototype, 'getStoreFromDatabase').mockResolvedValue({ name: 'fileSearchStores/store' });
+      vi.spyOn(StoreManager.prototype, 'storeExists').mockResolvedValue(true);
+      const gcSpy = vi.spyOn(SyncService.prototype, 'collectGarbage').mockResolvedValue({
+        orphaned: [{ name: 'fileSearchStores/store/documents/old', displayName: 'DEV/Old page' }],
+        deleted: 0,
+        skipped: false,
+      });
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+
+      const code = await main(['gc', '--dry-run']);
+
+      expect(code).toBe(EXIT_CODES.SUCCESS);
+      expect(gcSpy).toHaveBeenCalledWith('fileSearchStores/store', { dryRun: true });
+      expect(console.log).toHaveBeenCalledWith('  DEV/Old page  fileSearchStores/store/documents/old');
+    });
+
+    it('should report store differences without fixing them', async () => {
+      vi.spyOn(StoreManager.prototype, 'getStoreFromDatabase').mockResolvedValue({ name: 'fileSearchStores/store' });
+      vi.spyOn(StoreManager.prototype, 'storeExists').mockResolvedValue(true);
+      const reconcileSpy = vi.spyOn(SyncService.prototype, 'reconcile').mockResolvedValue({
+        missing: [{ space_key: 'DEV', title: 'Roadmap', version: 3 }],
+        missingAttachments: [{ space_key: 'DEV', title: 'diagram.pdf' }],
+        orphaned: [],
+        outdated: [{ page: { space_key: 'DEV', title: 'Runbook', version: 5 }, documentVersion: 4 }],
+        reuploaded: 0,
+        deleted: 0,
+        failed: [],
+        failedAttachments: [],
+      });
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+
+      const code = await main(['reconcile']);
+
+      expect(code).toBe(EXIT_CODES.SUCCESS);
+      expect(reconcileSpy).toHaveBeenCalledWith('fileSearchStores/store', { fix: false });
+      expect(console.log).toHaveBeenCalledWith('  DEV/Roadmap');
+      expect(console.log).toHaveBeenCalledWith('  DEV/diagram.pdf');
+      expect(console.log).toHaveBeenCalledWith('  DEV/Runbook (store v4, uploaded v5)');
+    });
+
+    it('should skip stores that were never synced or no longer exist without changing them', async () => {
+      vi.spyOn(StoreManager.prototype, 'getStoreFromDatabase').mockResolvedValue({ name: 'fileSearchStores/deleted' });
+      vi.spyOn(StoreManager.prototype, 'storeExists').mockResolvedValue(false);
+      const createSpy = vi.spyOn(StoreManager.prototype, 'getOrCreateStore');
+      const reconcileSpy = vi.spyOn(SyncService.prototype, 'reconcile');
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+
+      expect(await main(['reconcile'])).toBe(EXIT_CODES.SUCCESS);
+
+      StoreManager.prototype.getStoreFromDatabase.mockResolvedValue(null);
+      expect(await main(['gc', '--dry-run'])).toBe(EXIT_CODES.SUCCESS);
+
+      expect(createSpy).not.toHaveBeenCalled();
+      expect(reconcileSpy).not.toHaveBeenCalled();
+    });
+
+    it('should exit with a partial status when a fix fails', async () => {
+      vi.spyOn(StoreManager.prototype, 'getStoreFromDatabase').mockResolvedValue({ name: 'fileSearchStores/store' });
+      vi.spyOn(StoreManager.prototype, 'storeExists').mockResolvedValue(true);
+      vi.spyOn(SyncService.prototype, 'reconcile').mockResolvedValue({
+        missing: [{ space_key: 'DEV', title: 'Roadmap', version: 3 }],
+        missingAttachments: [],
+        orphaned: [],
+        outdated: [],
+        reuploaded: 0,
+        deleted: 0,
+        failed: ['1'],
+        failedAttachments: [],
+      });
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+
+      expect(await main(['reconcile', '--fix'])).toBe(EXIT_CODES.PARTIAL);
+    });
+
+    it('should answer a single chat question', async () => {
+      const askSpy = vi.spyOn(ChatService.prototype, 'ask').mockResolvedValue({
+        answer: 'Forty-two',
+        sources: ['DEV/Answers']
+      });
+
+      const code = await main(['chat', '--question', 'What is the answer?']);
+
+      expect(code).toBe(EXIT_CODES.SUCCESS);
+      expect(askSpy).toHaveBeenCalledWith('What is the answer?');
+    });
+
+    it('should search the stores given with --store', async () => {
+      vi.spyOn(StoreManager.prototype, 'getStoreFromDatabase').mockImplementation(async displayName => ({
+        name: `fileSearchStores/${displayName}`
+      }));
+      vi.spyOn(StoreManager.prototype, 'storeExists').mockResolvedValue(true);
+      let storeNames;
+      vi.spyOn(ChatService.prototype, 'ask').mockImplementation(async function () {
+        storeNames = await this.getStoreNames();
+        return { answer: 'Forty-two', sources: [] };
+      });
+
+      const code = await main(['chat', '--store', 'engineering,hr-restricted', '-q', 'What is the answer?']);
+
+      expect(code).toBe(EXIT_CODES.SUCCESS);
+      expect(storeNames).toEqual(['fileSearchStores/engineering', 'fileSearchStores/hr-restricted']);
+    });
+
+    it('should return failure exit code when a command throws', async () => {
+      vi.spyOn(ChatService.prototype, 'ask').mockRejectedValue(new Error('No File Search store found'));
+
+      expect(await main(['chat', '-q', 'Hello?'])).toBe(EXIT_CODES.FAILURE);
+    });
+  });
+});
@@ -0,0 +1,320 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ConfluenceClient, formatCqlDate } from '../src/confluence/client.js';
+import { config } from '../src/config.js';
+
+describe('ConfluenceClient', () => {
+  let client;
+
+  beforeEach(() => {
+    client = new ConfluenceClient();
+    client.timeZone = 'UTC';
+  });
+
+  describe('Authentication', () => {
+    let original;
+
+    beforeEach(() => {
+      original = { ...config.confluence };
+    });
+
+    afterEach(() => {
+      Object.assign(config.confluence, original);
+    });
+
+    it('should use basic auth against /wiki on Cloud', () => {
+      Object.assign(config.confluence, {
+        deployment: 'cloud',
+        wikiUrl: 'https://test.atlassian.net/wiki',
+        email: 'test@example.com',
+        apiToken: 'token',
+      });
+
+      const { defaults } = new ConfluenceClient().client.axios;
+
+      expect(defaults.baseURL).toBe('https://test.atlassian.net/wiki/rest/api');
+      expect(defaults.auth).toEqual({ username: 'test@example.com', password: 'token' });
+    });
+
+    it('should use a bearer personal access token on Data Center / Server', () => {
+      Object.assign(config.confluence, {
+        deployment: 'server',
+        wikiUrl: 'https://confluence.example.com/confluence',
+        personalAccessToken: 'pat-123',
+      });
+
+      const dcClient = new ConfluenceClient();
+      const { defaults } = dcClient.client.axios;
+
+      expect(defaults.baseURL).toBe('https://confluence.example.com/confluence/rest/api');
+      expect(defaults.auth).toBeUndefined();
+      expect(defaults.headers.Authorization).toBe('Bearer pat-123');
+      expect(dcClient.getPageUrl({ _links: { webui: '/display/DEV/Home' } }))
+        .toBe('https://confluence.example.com/confluence/display/DEV/Home');
+    });
+  });
+
+  describe('formatCqlDate', () => {
+    it('should format dates as yyyy-MM-dd HH:mm in UTC', () => {
+      expect(formatCqlDate(new Date('2024-06-01T09:05:59.000Z'))).toBe('2024-06-01 09:05');
+    });
+
+    it('should format dates in the given time zone', () => {
+      expect(formatCqlDate(new Date('2024-06-01T02:30:00.000Z'), 'America/New_York')).toBe('2024-05-31 22:30');
+      expect(formatCqlDate(new Date('2024-06-01T12:00:00.000Z'), 'Pacific/Auckland')).toBe('2024-06-02 00:00');
+    });
+  });
+
+  describe('getTimeZone', () => {
+    it("should write CQL dates in the API user's time zone", async () => {
+      client.timeZone = null;
+      vi.spyOn(client.client, 'get')
+        .mockResolvedValueOnce({ data: { accountId: 'abc', timeZone: 'America/Chicago' } })
+        .mockResolvedValue({ data: { results: [], _links: {} } });
+
+      await client.getChangedPages('DEV', new Date('2024-06-01T12:00:00.000Z'));
+      await client.getChangedPages('DEV', new Date('2024-06-01T12:00:00.000Z'));
+
+      expect(client.client.get).toHaveBeenNthCalledWith(1, '/user/current');
+      expect(client.client.get.mock.calls.filter(([url]) => url === '/user/current')).toHaveLength(1);
+      expect(client.client.get.mock.calls[1][1].params.cql).toContain('lastmodified > "2024-06-01 07:00"');
+    });
+
+    it('should fall back to UTC when the user has no time zone', async () => {
+      client.timeZone = null;
+      vi.spyOn(client.client, 'get').mockResolvedValue({ data: {} });
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(await client.getTimeZone()).toBe('UTC');
+    });
+  });
+
+  describe('getChangedPages', () => {
+    it('should query CQL search with a lastmodified filter', async () => {
+      vi.spyOn(client.client, 'get').mockResolvedValue({
+        data: { results: [{ id: '1' }], _links: {} }
+      });
+
+      const pages = await client.getChangedPages('DEV', new Date('2024-06-01T12:00:00.000Z'));
+
+      expect(pages).toEqual([{ id: '1' }]);
+      expect(client.client.get).toHaveBeenCalledWith('/content/search', {
+        params: expect.objectContaining({
+          cql: 'space = "DEV" and type = page and lastmodified > "2024-06-01 12:00"',
+          expand: expect.stringContaining('body.storage'),
+        }),
+      });
+    });
+
+    it('should follow next links across result pages', async () => {
+      vi.spyOn(client.client, 'get')
+        .mockResolvedValueOnce({
+          data: {
+            results: [{ id: '1' }],
+            _links: { next: '/rest/api/content/search?cursor=abc&limit=1' },
+          },
+        })
+        .mockResolvedValueOnce({ data: { results: [{ id: '2' }], _links: {} } });
+
+      const pages = await client.getChangedPages('DEV', new Date(), 'page', 1);
+
+      expect(pages.map(p => p.id)).toEqual(['1', '2']);
+      expect(client.client.get).toHaveBeenLastCalledWith('/content/search?cursor=abc&limit=1', { params: undefined });
+    });
+
+    it('should wrap request errors with the space key', async () => {
+      vi.spyOn(client.client, 'get').mockRejectedValue(new Error('Request failed'));
+
+      await expect(client.getChangedPages('DEV', new Date())).rejects.toThrow(
+        'Failed to fetch changed pages from space DEV: Request failed'
+      );
+    });
+  });
+
+  describe('getAllPages', () => {
+    it('should fetch the requested content type', async () => {
+      vi.spyOn(client.client, 'get').mockResolvedValue({ data: { results: [{ id: 'b1', type: 'blogpost' }] } });
+
+      const posts = await client.getAllPages('DEV', 'blogpost');
+
+      expect(posts).toEqual([{ id: 'b1', type: 'blogpost' }]);
+      expect(client.client.get.mock.calls[0][1].params.type).toBe('blogpost');
+    });
+
+    it('should follow next links when the server returns short result pages', async () => {
+      vi.spyOn(client.client, 'get')
+        .mockResolvedValueOnce({
+          data: { results: [{ id: '1' }, { id: '2' }], _links: { next: '/rest/api/content?spaceKey=DEV&start=2' } },
+        })
+        .mockResolvedValueOnce({ data: { results: [{ id: '3' }], _links: {} } });
+
+      const pages = await client.getAllPages('DEV', 'page', 100);
+
+      expect(pages.map(p => p.id)).toEqual(['1', '2', '3']);
+      expect(client.client.get).toHaveBeenLastCalledWith('/content?spaceKey=DEV&start=2', { params: undefined });
+    });
+
+    it('should keep the pages fetched before a failure', async () => {
+      vi.spyOn(client.client, 'get')
+        .mockResolvedValueOnce({ data: { results: [{ id: '1' }], _links: { next: '/rest/api/content?start=1' } } })
+        .mockRejectedValueOnce(new Error('Request failed'));
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(client.getAllPages('DEV')).rejects.toMatchObject({ partialResults: [{ id: '1' }] });
+    });
+  });
+
+  describe('getPageIds', () => {
+    it('should list pages without expanding bodies', async () => {
+      vi.spyOn(client.client, 'get').mockResolvedValue({
+        data: { results: [{ id: '1', title: 'One', body: {} }], _links: {} },
+      });
+
+      const pages = await client.getPageIds('DEV');
+
+      expect(pages).toEqual([{ id: '1', title: 'One', type: 'page', ancestors: undefined, metadata: undefined }]);
+      expect(client.client.get.mock.calls[0][1].params.expand).not.toContain('body');
+      expect(client.client.get.mock.calls[0][1].params.expand).toContain('metadata.labels');
+    });
+
+    it('should page through full result sets by offset', async () => {
+      vi.spyOn(client.client, 'get')
+        .mockResolvedValueOnce({ data: { results: [{ id: '1' }, { id: '2' }] } })
+        .mockResolvedValueOnce({ data: { results: [{ id: '3' }] } });
+
+      const pages = await client.getPageIds('DEV', 'page', 2);
+
+      expect(pages.map(p => p.id)).toEqual(['1', '2', '3']);
+      expect(client.client.get.mock.calls[1][1].params.start).toBe(2);
+    });
+  });
+
+  describe('getPageTree', () => {
+    it('should query the root pages and their descendants with CQL', async () => {
+      vi.spyOn(client.client, 'get').mockResolvedValue({ data: { results: [{ id: '10' }], _links: {} } });
+
+      await client.getPageTree('ENG', ['10', '20'], new Date('2024-06-01T12:00:00.000Z'));
+
+      expect(client.client.get.mock.calls[0][1].params.cql).toBe(
+        'space = "ENG" and type = page and (id in (10, 20) or ancestor in (10, 20)) ' +
+        'and lastmodified > "2024-06-01 12:00"'
+      );
+    });
+  });
+
+  describe('getPageById', () => {
+    afterEach(() => {
+      delete config.confluence.spaces.ENG;
+    });
+
+    it('should expand the ADF body for spaces converted from ADF', async () => {
+      config.confluence.spaces.ENG = { bodyFormat: 'adf' };
+      vi.spyOn(client.client, 'get').mockResolvedValue({ data: { id: '1' } });
+
+      await client.getPageById('1', 'ENG');
+      await client.getPageById('2');
+
+      expect(client.client.get.mock.calls[0][1].params.expand).toContain('body.atlas_doc_format');
+      expect(client.client.get.mock.calls[1][1].params.expand).not.toContain('body.atlas_doc_format');
+    });
+  });
+
+  describe('getPageChildren', () => {
+    it('should page through all children', async () => {
+      vi.spyOn(client.client, 'get')
+        .mockResolvedValueOnce({ data: { results: [{ id: '1' }, { id: '2' }] } })
+        .mockResolvedValueOnce({ data: { results: [{ id: '3' }] } });
+
+      const children = await client.getPageChildren('10', 2);
+
+      expect(children.map(p => p.id)).toEqual(['1', '2', '3']);
+    });
+  });
+
+  describe('getSpaces', () => {
+    it('should page through every space with the requested filters', async () => {
+      vi.spyOn(client.client, 'get')
+        .mockResolvedValueOnce({ data: { results: [{ key: 'DOCS' }], _links: { next: '/space?start=1' } } })
+        .mockResolvedValueOnce({ data: { results: [{ key: 'ENG' }], _links: {} } });
+
+      const spaces = await client.getSpaces({ type: 'global' });
+
+      expect(spaces.map(space => space.key)).toEqual(['DOCS', 'ENG']);
+      expect(client.client.get.mock.calls[0][1].params).toMatchObject({ type: 'global' });
+      expect(client.client.get.mock.calls[0][1].params).not.toHaveProperty('status');
+    });
+  });
+
+  describe('getUserDisplayName', () => {
+    it('should look users up by account ID once', async () => {
+      vi.spyOn(client.client, 'get').mockResolvedValue({ data: { displayName: 'Aroha Ngata' } });
+
+      expect(await client.getUserDisplayName({ accountId: 'abc' })).toBe('Aroha Ngata');
+      expect(await client.getUserDisplayName({ accountId: 'abc' })).toBe('Aroha Ngata');
+
+      expect(client.client.get).toHaveBeenCalledTimes(1);
+      expect(client.client.get).toHaveBeenCalledWith('/user', { params: { accountId: 'abc' } });
+    });
+
+    it('should remember users that cannot be found', async () => {
+      const notFound = Object.assign(new Error('Not Found'), { response: { status: 404 } });
+      vi.spyOn(client.client, 'get').mockRejectedValue(notFound);
+
+      expect(await client.getUserDisplayName({ userKey: 'ff80' })).toBeNull();
+      expect(await client.getUserDisplayName({ userKey: 'ff80' })).toBeNull();
+
+      expect(client.client.get).toHaveBeenCalledTimes(1);
+      expect(client.client.get).toHaveBeenCalledWith('/user', { params: { key: 'ff80' } });
+    });
+  });
+
+  describe('getComments', () => {
+    it('should fetch footer and resolved inline comments with replies', async () => {
+      vi.spyOn(client.client, 'get')
+        .mockResolvedValueOnce({ data: { results: [{ id: 'c1' }] } })
+        .mockResolvedValueOnce({ data: { results: [{ id: 'c2' }] } });
+
+      const comments = await client.getComments('123');
+
+      expect(comments.map(c => c.id)).toEqual(['c1', 'c2']);
+      expect(client.client.get.mock.calls.map(call => call[1].params.location)).toEqual(['footer', 'resolved']);
+      expect(client.client.get).toHaveBeenCalledWith('/content/123/child/comment', {
+        params: expect.objectContaining({ depth: 'all', expand: expect.stringContaining('history') }),
+      });
+    });
+  });
+
+  describe('getSpaceAttachments', () => {
+    it('should query attachments modified since a time with their container', async () => {
+      vi.spyOn(client.client, 'get').mockResolvedValue({ data: { results: [{ id: 'att1' }], _links: {} } });
+
+      const attachments = await client.getSpaceAttachments('DEV', new Date('2024-06-01T12:00:00.000Z'));
+
+      expect(attachments).toEqual([{ id: 'att1' }]);
+      expect(client.client.get).toHaveBeenCalledWith('/content/search', {
+        params: expect.objectContaining({
+          cql: 'space = "DEV" and type = attachment and lastmodified > "2024-06-01 12:00"',
+          expand: expect.stringContaining('container'),
+        }),
+      });
+    });
+  });
+
+  describe('downloadAttachment', () => {
+    it('should download relative to the wiki root as a buffer', async () => {
+      client.wikiUrl = 'https://test.atlassian.net/wiki';
+      vi.spyOn(client.client, 'get').mockResolvedValue({ data: new Uint8Array([1, 2]).buffer });
+
+      const data = await client.downloadAttachment({
+        title: 'spec.pdf',
+        _links: { download: '/download/attachments/1/spec.pdf' },
+      });
+
+      expect(Buffer.isBuffer(data)).toBe(true);
+      expect(data.length).toBe(2);
+      expect(client.client.get).toHaveBeenCalledWith('/download/attachments/1/spec.pdf', expect.objectContaining({
+        baseURL: 'https://test.atlassian.net/wiki',
+        responseType: 'arraybuffer',
+      }));
+    });
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach } from 'vitest';
-import { config, initializeConfig } from '../src/config.js';
+import { config, initializeConfig, getSpaceSettings } from '../src/config.js';
 
 describe('Configuration', () => {
   beforeEach(() => {
@@ -10,6 +10,16 @@ describe('Configuration', () => {
     delete process.env.CONFLUENCE_SPACE_KEYS;
     delete process.env.SYNC_INTERVAL_HOURS;
     delete process.env.GOOGLE_API_KEY;
+    delete process.env.CONFLUENCE_CONTENT_TYPES;
+    delete process.env.CONFLUENCE_CONTENT_TYPES_TEAM;
+    delete process.env.CONFLUENCE_DEPLOYMENT;
+    delete process.env.CONFLUENCE_CONTEXT_PATH;
+    delete process.env.CONFLUENCE_PAT;
+    delete process.env.CONFLUENCE_SPACE_TYPES;
+    delete process.env.CONFLUENCE_SPACE_STATUSES;
+    delete process.env.CONFLUENCE_METADATA_FORMAT;
+    delete process.env.FILE_SEARCH_STORES;
+    delete process.env.CONFLUENCE_TIMEZONE;
   });
 
   it('should load configuration from environment variables', () => {
@@ -52,4 +62,175 @@ describe('Configuration', () => {
     expect(config.sync.intervalHours).toBe(24);
     expect(config.storage.contentDir).toBeDefined();
   });
+
+  describe('Content types', () => {
+    beforeEach(() => {
+      process.env.CONFLUENCE_BASE_URL = 'https://test.atlassian.net';
+      process.env.CONFLUENCE_EMAIL = 'test@example.com';
+      process.env.CONFLUENCE_API_TOKEN = 'test-token';
+      process.env.CONFLUENCE_SPACE_KEYS = 'DOCS,TEAM';
+      process.env.GOOGLE_API_KEY = 'test-google-key';
+    });
+
+    it('should sync pages only by default', () => {
+      initializeConfig();
+      expect(getSpaceSettings('DOCS').contentTypes).toEqual(['page']);
+    });
+
+    it('should apply per-space content type overrides', () => {
+      process.env.CONFLUENCE_CONTENT_TYPES = 'page';
+      process.env.CONFLUENCE_CONTENT_TYPES_TEAM = 'page, BlogPost';
+
+      initializeConfig();
+      expect(getSpaceSettings('DOCS').contentTypes).toEqual(['page']);
+      expect(getSpaceSettings('TEAM').contentTypes).toEqual(['page', 'blogpost']);
+    });
+
+    it('should parse per-space root pages and reject non-numeric IDs', () => {
+      process.env.CONFLUENCE_ROOT_PAGES_TEAM = '123, 456';
+      initializeConfig();
+      expect(getSpaceSettings('TEAM').rootPageIds).toEqual(['123', '456']);
+      expect(getSpaceSettings('DOCS').rootPageIds).toEqual([]);
+
+      process.env.CONFLUENCE_ROOT_PAGES_TEAM = '123) or (type = page';
+      expect(initializeConfig()).toBe(false);
+      delete process.env.CONFLUENCE_ROOT_PAGES_TEAM;
+    });
+
+    it('should reject unknown metadata formats', () => {
+      process.env.CONFLUENCE_METADATA_FORMAT = 'FrontMatter';
+      expect(initializeConfig()).toBe(true);
+      expect(config.confluence.metadataFormat).toBe('frontmatter');
+
+      process.env.CONFLUENCE_METADATA_FORMAT = 'json';
+      expect(initializeConfig()).toBe(false);
+    });
+
+    it('should reject unknown content types', () => {
+      process.env.CONFLUENCE_CONTENT_TYPES = 'page,whiteboard';
+      expect(initializeConfig()).toBe(false);
+    });
+  });
+
+  describe('Space discovery', () => {
+    beforeEach(() => {
+      process.env.CONFLUENCE_BASE_URL = 'https://test.atlassian.net';
+      process.env.CONFLUENCE_EMAIL = 'test@example.com';
+      process.env.CONFLUENCE_API_TOKEN = 'test-token';
+      process.env.CONFLUENCE_SPACE_KEYS = '*';
+      process.env.GOOGLE_API_KEY = 'test-google-key';
+    });
+
+    it('should discover current global spaces by default', () => {
+      expect(initializeConfig()).toBe(true);
+      expect(config.confluence.spaceDiscovery).toMatchObject({ types: ['global'], statuses: ['current'] });
+    });
+
+    it('should reject unknown space types and statuses', () => {
+      process.env.CONFLUENCE_SPACE_TYPES = 'global,team';
+      expect(initializeConfig()).toBe(false);
+
+      process.env.CONFLUENCE_SPACE_TYPES = 'personal';
+      process.env.CONFLUENCE_SPACE_STATUSES = 'deleted';
+      expect(initializeConfig()).toBe(false);
+    });
+  });
+
+  describe('File Search stores', () => {
+    beforeEach(() => {
+      process.env.CONFLUENCE_BASE_URL = 'https://test.atlassian.net';
+      process.env.CONFLUENCE_EMAIL = 'test@example.com';
+      process.env.CONFLUENCE_API_TOKEN = 'test-token';
+      process.env.CONFLUENCE_SPACE_KEYS = 'DEV,HR';
+      process.env.GOOGLE_API_KEY = 'test-google-key';
+    });
+
+    it('should map spaces to stores', () => {
+      process.env.FILE_SEARCH_STORES = 'hr-restricted: HR, PEOPLE ; engineering:ENG*';
+
+      expect(initializeConfig()).toBe(true);
+      expect(config.gemini.storeMappings).toEqual([
+        { storeName: 'hr-restricted', spaceKeys: ['HR', 'PEOPLE'] },
+        { storeName: 'engineering', spaceKeys: ['ENG*'] },
+      ]);
+    });
+
+    it('should reject entries without a store name or spaces', () => {
+      process.env.FILE_SEARCH_STORES = 'hr-restricted';
+      expect(initializeConfig()).toBe(false);
+
+      process.env.FILE_SEARCH_STORES = ':HR';
+      expect(initializeConfig()).toBe(false);
+    });
+  });
+
+  describe('Deployment mode', () => {
+    beforeEach(() => {
+      process.env.CONFLUENCE_BASE_URL = 'https://confluence.example.com/';
+      process.env.CONFLUENCE_SPACE_KEYS = 'DOCS';
+      process.env.GOOGLE_API_KEY = 'test-google-key';
+    });
+
+    it('should default to Cloud with the /wiki context path', () => {
+      process.env.CONFLUENCE_EMAIL = 'test@example.com';
+      process.env.CONFLUENCE_API_TOKEN = 'test-token';
+
+      expect(initializeConfig()).toBe(true);
+      expect(config.confluence.deployment).toBe('cloud');
+      expect(config.confluence.wikiUrl).toBe('https://confluence.example.com/wiki');
+    });
+
+    it('should require a personal access token for Data Center / Server', () => {
+      process.env.CONFLUENCE_DEPLOYMENT = 'server';
+
+      expect(initializeConfig()).toBe(false);
+
+      process.env.CONFLUENCE_PAT = 'test-pat';
+      expect(initializeConfig()).toBe(true);
+    });
+
+    it('should only allow the ADF body format on Cloud', () => {
+      process.env.CONFLUENCE_DEPLOYMENT = 'server';
+      process.env.CONFLUENCE_PAT = 'test-pat';
+      process.env.CONFLUENCE_BODY_FORMAT_DOCS = 'adf';
+
+      expect(initializeConfig()).toBe(false);
+      delete process.env.CONFLUENCE_BODY_FORMAT_DOCS;
+    });
+
+    it('should reject unknown time zones', () => {
+      process.env.CONFLUENCE_DEPLOYMENT = 'server';
+      process.env.CONFLUENCE_PAT = 'test-pat';
+      process.env.CONFLUENCE_TIMEZONE = 'Australia/Sydney';
+      expect(initializeConfig()).toBe(true);
+      expect(config.confluence.timeZone).toBe('Australia/Sydney');
+
+      process.env.CONFLUENCE_TIMEZONE = 'Mars/Olympus';
+      expect(initializeConfig()).toBe(false);
+    });
+
+    it('should not need Cloud credentials in server mode', () => {
+      process.env.CONFLUENCE_DEPLOYMENT = 'server';
+      process.env.CONFLUENCE_PAT = 'test-pat';
+      process.env.CONFLUENCE_CONTEXT_PATH = 'confluence/';
+
+      expect(initializeConfig()).toBe(true);
+      expect(config.confluence.wikiUrl).toBe('https://confluence.example.com/confluence');
+    });
+
+    it('should serve from the root by default in server mode', () => {
+      process.env.CONFLUENCE_DEPLOYMENT = 'server';
+      process.env.CONFLUENCE_PAT = 'test-pat';
+
+      initializeConfig();
+      expect(config.confluence.wikiUrl).toBe('https://confluence.example.com');
+    });
+
+    it('should reject unknown deployment modes', () => {
+      process.env.CONFLUENCE_DEPLOYMENT = 'onprem';
+      process.env.CONFLUENCE_PAT = 'test-pat';
+
+      expect(initializeConfig()).toBe(false);
+    });
+  });
 });
@@ -1,5 +1,11 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, afterEach } from 'vitest';
+import * as fs from 'fs';
 import { ConfluenceConverter } from '../src/confluence/converter.js';
+import { parseFrontMatter } from '../src/confluence/front-matter.js';
+import { createFidelityReport, countLosses } from '../src/confluence/fidelity.js';
+import { splitSections } from '../src/confluence/sections.js';
+import { contentHash } from '../src/confluence/content-hash.js';
+import { config } from '../src/config.js';
 
 describe('ConfluenceConverter', () => {
   const converter = new ConfluenceConverter();
@@ -88,6 +94,543 @@ describe('ConfluenceConverter', () => {
       expect(markdown).toContain('Parent Page');
       expect(markdown).toContain('Child Page');
     });
+
+    it('should label blog posts with their publish date', () => {
+      const post = {
+        id: 'post-1',
+        type: 'blogpost',
+        title: 'Release Announcement',
+        space: { key: 'TEST', name: 'Test Space' },
+        version: { number: 2, when: '2024-03-02T00:00:00.000Z' },
+        history: { createdDate: '2024-03-01T09:00:00.000Z' },
+        body: { storage: { value: '<p>We shipped</p>' } },
+        _links: { webui: '/spaces/TEST/blog/2024/03/01/post-1' },
+      };
+
+      const markdown = converter.convert(post, baseUrl);
+
+      expect(markdown).toContain('**Type:** Blog post');
+      expect(markdown).toContain('**Published:** 2024-03-01T09:00:00.000Z');
+    });
+
+    it('should not label pages as blog posts', () => {
+      const page = {
+        id: 'test-6',
+        type: 'page',
+        title: 'Plain Page',
+        space: { key: 'TEST', name: 'Test Space' },
+        version: { number: 1, when: '2024-01-01T00:00:00.000Z' },
+        _links: { webui: '/spaces/TEST/pages/128' },
+      };
+
+      expect(converter.convert(page, baseUrl)).not.toContain('**Type:**');
+    });
+  });
+
+  describe('Front matter', () => {
+    const page = {
+      id: '42',
+      type: 'page',
+      title: 'Deploy: "blue/green"',
+      space: { key: 'ENG', name: 'Engineering' },
+      ancestors: [{ id: '1', title: 'Runbooks' }],
+      metadata: { labels: { results: [{ name: 'runbook' }, { name: 'deploy' }] } },
+      version: { number: 7, when: '2024-06-02T09:00:00.000Z', by: { displayName: 'Aroha Ngata' } },
+      history: {
+        createdDate: '2023-01-10T08:00:00.000Z',
+        createdBy: { displayName: 'Sam Lee' },
+        lastUpdated: { when: '2024-06-02T09:00:00.000Z' },
+        contributors: { publishers: { users: [{ displayName: 'Sam Lee' }, { displayName: 'Aroha Ngata' }] } },
+      },
+      body: { storage: { value: '<p>Steps</p>' } },
+      _links: { webui: '/spaces/ENG/pages/42' },
+    };
+
+    it('should write page metadata as YAML front matter', () => {
+      const markdown = converter.convert(page, baseUrl, { metadataFormat: 'frontmatter' });
+
+      expect(markdown).toMatch(/^---\ntitle: "Deploy: \\"blue\/green\\""\npage_id: "42"\n/);
+      expect(markdown).toContain('labels: ["runbook","deploy"]');
+      expect(markdown).toContain('---\n\n# Deploy: "blue/green"\n\nSteps');
+      expect(markdown).not.toContain('**Page ID:**');
+    });
+
+    it('should read the metadata back from the file', () => {
+      const { metadata, body } = parseFrontMatter(converter.convert(page, baseUrl, { metadataFormat: 'frontmatter' }));
+
+      expect(metadata).toEqual({
+        title: 'Deploy: "blue/green"',
+        page_id: '42',
+        type: 'page',
+        space_key: 'ENG',
+        space_name: 'Engineering',
+        ancestors: [{ id: '1', title: 'Runbooks' }],
+        labels: ['runbook', 'deploy'],
+        version: 7,
+        author: 'Aroha Ngata',
+        creator: 'Sam Lee',
+        contributors: ['Sam Lee', 'Aroha Ngata'],
+        created: '2023-01-10T08:00:00.000Z',
+        last_updated: '2024-06-02T09:00:00.000Z',
+        url: 'https://test.atlassian.net/spaces/ENG/pages/42',
+      });
+      expect(body).toBe('# Deploy: "blue/green"\n\nSteps\n');
+    });
+
+    it('should keep the readable header by default', () => {
+      expect(parseFrontMatter(converter.convert(page, baseUrl)).metadata).toBeNull();
+    });
+  });
+
+  describe('Comments', () => {
+    const page = {
+      id: 'test-7',
+      title: 'Design Review',
+      space: { key: 'TEST', name: 'Test Space' },
+      version: { number: 1, when: '2024-01-01T00:00:00.000Z' },
+      body: { storage: { value: '<p>Proposal</p>' } },
+      _links: { webui: '/spaces/TEST/pages/129' },
+    };
+
+    it('should append comments as a discussion with author and timestamp', () => {
+      const comments = [
+        {
+          id: 'c2',
+          body: { storage: { value: '<p>Agreed, go with Postgres</p>' } },
+          history: { createdBy: { displayName: 'Bob' }, createdDate: '2024-01-03T10:00:00.000Z' },
+          ancestors: [{ id: 'c1', type: 'comment' }],
+          extensions: { location: 'footer' },
+        },
+        {
+          id: 'c1',
+          body: { storage: { value: '<p>Which database?</p>' } },
+          history: { createdBy: { displayName: 'Alice' }, createdDate: '2024-01-02T10:00:00.000Z' },
+          extensions: { location: 'footer' },
+        },
+      ];
+
+      const markdown = converter.convert(page, baseUrl, { comments });
+
+      expect(markdown).toContain('## Discussion');
+      expect(markdown).toContain('**Alice** · 2024-01-02T10:00:00.000Z\n\nWhich database?');
+      expect(markdown).toContain('**Bob** · 2024-01-03T10:00:00.000Z · reply');
+      expect(markdown.indexOf('Alice')).toBeLessThan(markdown.indexOf('Bob'));
+    });
+
+    it('should label resolved inline comments with the highlighted text', () => {
+      const comments = [{
+        id: 'c3',
+        body: { storage: { value: '<p>Fixed the typo</p>' } },
+        history: { createdBy: { displayName: 'Alice' }, createdDate: '2024-01-02T10:00:00.000Z' },
+        extensions: {
+          location: 'inline',
+          inlineProperties: { originalSelection: 'recieve' },
+          resolution: { status: 'resolved' },
+        },
+      }];
+
+      const markdown = converter.convert(page, baseUrl, { comments });
+
+      expect(markdown).toContain('resolved inline comment on "recieve"');
+    });
+
+    it('should omit the discussion when there are no comments', () => {
+      expect(converter.convert(page, baseUrl, { comments: [] })).not.toContain('## Discussion');
+    });
+  });
+
+  describe('Macros', () => {
+    const macro = (name, parameters = {}, body = '') =>
+      `<ac:structured-macro ac:name="${name}">` +
+      Object.entries(parameters).map(([key, value]) => `<ac:parameter ac:name="${key}">${value}</ac:parameter>`).join('') +
+      body +
+      '</ac:structured-macro>';
+
+    it('should convert code macros to fenced blocks with their language', () => {
+      const markdown = converter.toMarkdown(macro('code', { language: 'bash' },
+        '<ac:plain-text-body><![CDATA[if [ -f x ]; then\n  echo "<ok>" && exit 1\nfi]]></ac:plain-text-body>'));
+
+      expect(markdown).toBe('```bash\nif [ -f x ]; then\n  echo "<ok>" && exit 1\nfi\n```');
+    });
+
+    it('should convert panels to labelled blockquotes', () => {
+      const markdown = converter.toMarkdown(macro('warning', { title: 'Before you start' },
+        '<ac:rich-text-body><p>Drain the <strong>node</strong> first.</p></ac:rich-text-body>'));
+
+      expect(markdown).toBe('> **Warning: Before you start**\n>\n> Drain the **node** first.');
+    });
+
+    it('should convert expand macros to a heading and body', () => {
+      const markdown = converter.toMarkdown(macro('expand', { title: 'Rollback steps' },
+        '<ac:rich-text-body><p>Revert the deploy.</p></ac:rich-text-body>'));
+
+      expect(markdown).toBe('### Rollback steps\n\nRevert the deploy.');
+    });
+
+    it('should convert status and Jira macros to inline text', () => {
+      const markdown = converter.toMarkdown(
+        `<p>Status ${macro('status', { title: 'IN PROGRESS', colour: 'Yellow' })} for ` +
+        `${macro('jira', { server: 'Jira', key: 'OPS-42' })}</p>`
+      );
+
+      expect(markdown).toBe('Status [IN PROGRESS] for OPS-42');
+    });
+
+    it('should keep the rich-text body of unknown macros', () => {
+      const markdown = converter.toMarkdown(
+        macro('toc', { maxLevel: '2' }) +
+        macro('excerpt', { hidden: 'false' }, '<ac:rich-text-body><p>Summary text</p></ac:rich-text-body>')
+      );
+
+      expect(markdown).toBe('Summary text');
+    });
+  });
+
+  describe('Links', () => {
+    const context = {
+      wikiUrl: 'https://test.atlassian.net/wiki',
+      spaceKey: 'ENG',
+      pageId: '42',
+      pageUrl: 'https://test.atlassian.net/wiki/spaces/ENG/pages/42',
+      users: new Map([['557058:abc', 'Aroha Ngata']]),
+    };
+
+    it('should resolve page links to absolute URLs', () => {
+      const markdown = converter.toMarkdown(
+        '<p>See <ac:link><ri:page ri:content-title="Deploy Guide" /><ac:plain-text-link-body>' +
+        '<![CDATA[the guide]]></ac:plain-text-link-body></ac:link> and ' +
+        '<ac:link ac:anchor="Rollback"><ri:page ri:space-key="OPS" ri:content-title="DB runbook" /></ac:link></p>',
+        context
+      );
+
+      expect(markdown).toBe(
+        'See [the guide](https://test.atlassian.net/wiki/display/ENG/Deploy+Guide) and ' +
+        '[DB runbook](https://test.atlassian.net/wiki/display/OPS/DB+runbook#Rollback)'
+      );
+    });
+
+    it('should resolve mentions to display names', () => {
+      const markdown = converter.toMarkdown(
+        '<p>Ask <ac:link><ri:user ri:account-id="557058:abc" /></ac:link> or ' +
+        '<ac:link><ri:user ri:account-id="557058:gone" /></ac:link></p>',
+        context
+      );
+
+      expect(markdown).toBe('Ask @Aroha Ngata or @unknown user');
+    });
+
+    it('should link attachments and images to their downloads', () => {
+      const markdown = converter.toMarkdown(
+        '<p><ac:link><ri:attachment ri:filename="spec v2.pdf" /></ac:link></p>' +
+        '<p><ac:image ac:alt="Architecture"><ri:attachment ri:filename="arch.png" /></ac:image></p>',
+        context
+      );
+
+      expect(markdown).toBe(
+        '[Attachment: spec v2.pdf](https://test.atlassian.net/wiki/download/attachments/42/spec%20v2.pdf)\n\n' +
+        '[Image: Architecture](https://test.atlassian.net/wiki/download/attachments/42/arch.png)'
+      );
+    });
+
+    it('should resolve links when converting a page', () => {
+      const page = {
+        id: '42',
+        title: 'Links',
+        space: { key: 'ENG', name: 'Engineering' },
+        version: { number: 1, when: '2024-01-01T00:00:00.000Z' },
+        body: { storage: { value: '<p><ac:link><ri:page ri:content-title="Home" /></ac:link></p>' } },
+        _links: { webui: '/spaces/ENG/pages/42' },
+      };
+
+      expect(converter.convert(page, 'https://test.atlassian.net/wiki'))
+        .toContain('[Home](https://test.atlassian.net/wiki/display/ENG/Home)');
+    });
+  });
+
+  describe('Tasks, decisions and dates', () => {
+    const taskList = '<ac:task-list>' +
+      '<ac:task><ac:task-id>1</ac:task-id><ac:task-status>incomplete</ac:task-status><ac:task-body>' +
+      '<span class="placeholder-inline-tasks"><ac:link><ri:user ri:account-id="557058:abc" /></ac:link> ' +
+      'Rotate the API keys by <time datetime="2024-06-30" /></span></ac:task-body></ac:task>' +
+      '<ac:task><ac:task-id>2</ac:task-id><ac:task-status>complete</ac:task-status><ac:task-body>Write the postmortem' +
+      '<ac:task-list><ac:task><ac:task-id>3</ac:task-id><ac:task-status>incomplete</ac:task-status>' +
+      '<ac:task-body>Share it</ac:task-body></ac:task></ac:task-list></ac:task-body></ac:task>' +
+      '</ac:task-list>';
+    const page = {
+      id: '42',
+      title: 'Actions',
+      space: { key: 'PLAT', name: 'Platform' },
+      version: { number: 1, when: '2024-01-01T00:00:00.000Z' },
+      body: { storage: { value: taskList } },
+      _links: { webui: '/spaces/PLAT/pages/42' },
+    };
+    const users = new Map([['557058:abc', 'Aroha Ngata']]);
+
+    it('should convert tasks to checkboxes keeping assignee and due date', () => {
+      const markdown = converter.convert(page, baseUrl, { users });
+
+      expect(markdown).toContain(
+        '- [ ] @Aroha Ngata Rotate the API keys by 2024-06-30\n' +
+        '- [x] Write the postmortem\n' +
+        '  - [ ] Share it'
+      );
+      expect(markdown).not.toContain('## Open tasks');
+    });
+
+    it('should list open tasks when asked', () => {
+      const markdown = converter.convert(page, baseUrl, { users, openTasks: true });
+
+      expect(markdown).toContain(
+        '## Open tasks\n\n| Task | Assignee | Due |\n| --- | --- | --- |\n' +
+        '| Rotate the API keys by | Aroha Ngata | 2024-06-30 |\n' +
+        '| Share it |  |  |'
+      );
+    });
+
+    it('should add open tasks to front matter', () => {
+      const { metadata } = parseFrontMatter(
+        converter.convert(page, baseUrl, { users, openTasks: true, metadataFormat: 'frontmatter' })
+      );
+
+      expect(metadata.open_tasks).toEqual([
+        { text: 'Rotate the API keys by', assignee: 'Aroha Ngata', due: '2024-06-30' },
+        { text: 'Share it', assignee: null, due: null },
+      ]);
+      expect(parseFrontMatter(converter.convert(page, baseUrl, { users, metadataFormat: 'frontmatter' })).metadata)
+        .not.toHaveProperty('open_tasks');
+    });
+
+    it('should mark decisions and ignore their fallback', () => {
+      const markdown = converter.toMarkdown(
+        '<ac:adf-extension><ac:adf-node type="decision-list"><ac:adf-node type="decision-item">' +
+        '<ac:adf-attribute key="state">DECIDED</ac:adf-attribute>' +
+        '<ac:adf-content>Use <strong>Postgres</strong> for billing</ac:adf-content></ac:adf-node></ac:adf-node>' +
+        '<ac:adf-fallback><div class="decision-list"><ul><li>Use Postgres for billing</li></ul></div></ac:adf-fallback>' +
+        '</ac:adf-extension>'
+      );
+
+      expect(markdown).toBe('- **Decision:** Use **Postgres** for billing');
+    });
+
+    it('should convert dates to ISO dates', () => {
+      expect(converter.toMarkdown('<p>Released on <time datetime="2024-03-01" /> to all users</p>'))
+        .toBe('Released on 2024-03-01 to all users');
+    });
+  });
+
+  describe('Tables', () => {
+    const convertFixture = name => converter.cleanMarkdown(converter.toMarkdown(
+      fs.readFileSync(new URL(`./fixtures/tables/${name}.xml`, import.meta.url), 'utf8')
+    ));
+
+    it('should convert simple tables to GFM tables', () => {
+      expect(convertFixture('simple')).toBe([
+        '| **Service** | **Owner** | **Runbook** |',
+        '| --- | --- | --- |',
+        '| billing-api | Payments | [Billing runbook](https://example.com/runbooks/billing) |',
+        '| search \\| index | Discovery |  |',
+        '',
+      ].join('\n'));
+    });
+
+    it('should convert tables with only a header column to properties', () => {
+      expect(convertFixture('header-column')).toBe('- Region: eu-west-1\n- On-call: Platform team\n');
+    });
+
+    it('should convert merged cells to labelled values per row', () => {
+      expect(convertFixture('merged-cells')).toBe([
+        '**Production**',
+        '',
+        '- Database / Engine: PostgreSQL',
+        '- Database / Version: 15',
+        '- Notes: Upgrade together',
+        '',
+        '**Staging**',
+        '',
+        '- Database / Engine, Database / Version: Shared with production',
+        '- Notes: Upgrade together',
+        '',
+      ].join('\n'));
+    });
+
+    it('should not add rows for a rowspan past the last row', () => {
+      expect(convertFixture('rowspan-overflow')).toBe([
+        '| **A** | **B** |',
+        '| --- | --- |',
+        '| x | y |',
+        '',
+      ].join('\n'));
+      expect(convertFixture('rowspan-overflow-merged')).toBe([
+        '**Row 1**',
+        '',
+        '- A: x',
+        '- B, C: y',
+        '',
+      ].join('\n'));
+    });
+
+    it('should skip rows without cells', () => {
+      expect(convertFixture('empty-row')).toBe([
+        '| **Service** | **Owner** |',
+        '| --- | --- |',
+        '| billing-api | Payments |',
+        '',
+      ].join('\n'));
+    });
+
+    it('should drop tables without cells', () => {
+      expect(convertFixture('empty')).toBe('Before\n\nAfter\n');
+    });
+
+    it('should keep lists and paragraphs in cells under their column', () => {
+      const markdown = convertFixture('nested-list');
+
+      expect(markdown).toContain('- Step: Deploy\n- Checks:\n  -   Pipeline is green\n\n  -   Change approved');
+      expect(markdown).toContain('- Checks:\n  Watch the dashboards.\n\n  Roll back on errors.');
+    });
+  });
+
+  describe('Sections', () => {
+    const page = {
+      id: '42',
+      title: 'Release notes',
+      space: { key: 'ENG', name: 'Engineering' },
+      version: { number: 3, when: '2024-06-02T09:00:00.000Z' },
+      body: {
+        storage: {
+          value: '<p>All releases.</p><h1>Version 2.0</h1><p>New search.</p><h3>Fixes</h3><p>Many.</p>' +
+            '<h2>Version 1.0 &amp; beta</h2><ac:structured-macro ac:name="code"><ac:plain-text-body><![CDATA[# not a heading]]></ac:plain-text-body></ac:structured-macro>'
+        }
+      },
+      _links: { webui: '/spaces/ENG/pages/42' },
+    };
+    const deployment = config.confluence.deployment;
+
+    afterEach(() => {
+      config.confluence.deployment = deployment;
+    });
+
+    it('should split a page at H1 and H2 headings', () => {
+      const sections = converter.convertSections(page, baseUrl);
+
+      expect(sections.map(section => section.title)).toEqual([null, 'Version 2.0', 'Version 1.0 & beta']);
+      expect(sections[1].markdown).toContain('# Version 2.0\n\nNew search.\n\n### Fixes\n\nMany.');
+      expect(sections[2].markdown).toContain('```\n# not a heading\n```');
+    });
+
+    it('should repeat the page metadata with the section anchor URL', () => {
+      const sections = converter.convertSections(page, baseUrl);
+
+      expect(sections[0].url).toBe('https://test.atlassian.net/spaces/ENG/pages/42');
+      expect(sections[1].url).toBe('https://test.atlassian.net/spaces/ENG/pages/42#Version-2.0');
+      expect(sections[1].markdown).toMatch(/^# Release notes\n/);
+      expect(sections[1].markdown).toContain('**Section:** Version 2.0\n**Page ID:** 42');
+      expect(sections[1].markdown).toContain('**URL:** https://test.atlassian.net/spaces/ENG/pages/42#Version-2.0');
+
+      const { metadata } = parseFrontMatter(converter.convertSections(page, baseUrl, { metadataFormat: 'frontmatter' })[2].markdown);
+      expect(metadata).toMatchObject({
+        page_id: '42',
+        section: 'Version 1.0 & beta',
+        url: 'https://test.atlassian.net/spaces/ENG/pages/42#Version-1.0-%26-beta',
+      });
+    });
+
+    it('should use Data Center anchors in server mode', () => {
+      config.confluence.deployment = 'server';
+
+      expect(converter.convertSections(page, baseUrl)[1].anchor).toBe('Releasenotes-Version2.0');
+    });
+
+    it('should keep short or single-section pages whole', () => {
+      const [whole] = converter.convertSections(page, baseUrl, { minLength: 10000 });
+
+      expect(converter.convertSections(page, baseUrl, { minLength: 10000 })).toHaveLength(1);
+      expect(whole).toMatchObject({ title: null, anchor: null, url: 'https://test.atlassian.net/spaces/ENG/pages/42' });
+      expect(whole.markdown).toBe(converter.convert(page, baseUrl));
+      expect(splitSections('Intro only\n\n### Minor heading')).toHaveLength(1);
+    });
+  });
+
+  describe('Fidelity', () => {
+    const convertWithReport = storageValue => {
+      const fidelity = createFidelityReport();
+      const page = {
+        id: '42',
+        title: 'Fidelity',
+        space: { key: 'TEST', name: 'Test Space' },
+        version: { number: 1, when: '2024-01-01T00:00:00.000Z' },
+        body: { storage: { value: storageValue } },
+        _links: { webui: '/spaces/TEST/pages/42' },
+      };
+      converter.convert(page, baseUrl, { fidelity });
+      return fidelity;
+    };
+
+    it('should record unknown macros and unhandled elements', () => {
+      const fidelity = convertWithReport(
+        '<ac:structured-macro ac:name="roadmap" /><ac:structured-macro ac:name="roadmap" />' +
+        '<p>Nice <ac:emoticon ac:name="smile" /></p>' +
+        '<ac:structured-macro ac:name="toc"></ac:structured-macro>' +
+        '<ac:structured-macro ac:name="info"><ac:rich-text-body><p>Known</p></ac:rich-text-body></ac:structured-macro>'
+      );
+
+      expect(fidelity.unknownMacros).toEqual({ roadmap: 2, toc: 1 });
+      expect(fidelity.unhandledElements).toEqual({ 'ac:emoticon': 1 });
+    });
+
+    it('should not record elements read by their parent rule', () => {
+      const fidelity = convertWithReport(
+        '<p><ac:link><ri:page ri:content-title="Runbook" /><ac:plain-text-link-body><![CDATA[the runbook]]></ac:plain-text-link-body></ac:link></p>'
+      );
+
+      expect(countLosses(fidelity).total).toBe(0);
+    });
+
+    it('should record images without alt text and empty pages', () => {
+      expect(convertWithReport('<ac:image><ri:attachment ri:filename="a.png" /></ac:image>').imagesWithoutAlt).toBe(1);
+      expect(convertWithReport('<ac:image ac:alt="Diagram"><ri:attachment ri:filename="a.png" /></ac:image>').imagesWithoutAlt).toBe(0);
+      expect(convertWithReport('').emptyOutput).toBe(true);
+    });
+
+    it('should count losses', () => {
+      expect(countLosses({
+        unknownMacros: { roadmap: 2, toc: 1 },
+        unhandledElements: { 'ac:emoticon': 1 },
+        imagesWithoutAlt: 1,
+        emptyOutput: false,
+      })).toEqual({ unknownMacros: 3, unhandledElements: 1, imagesWithoutAlt: 1, emptyOutput: 0, total: 5 });
+    });
+  });
+
+  describe('Content hash', () => {
+    const page = {
+      id: '7',
+      title: 'Runbook',
+      space: { key: 'OPS', name: 'Operations' },
+      version: { number: 4, when: '2024-06-02T09:00:00.000Z', by: { displayName: 'Aroha Ngata' } },
+      body: { storage: { value: '<p>Restart the service.</p>' } },
+      _links: { webui: '/spaces/OPS/pages/7' },
+    };
+    const edited = { ...page, version: { number: 5, when: '2024-06-03T10:00:00.000Z', by: { displayName: 'Sam Lee' } } };
+
+    it('should ignore version and edit details in the header', () => {
+      expect(contentHash([converter.convert(edited, baseUrl)])).toBe(contentHash([converter.convert(page, baseUrl)]));
+    });
+
+    it('should ignore version and edit details in front matter', () => {
+      const options = { metadataFormat: 'frontmatter' };
+      expect(contentHash([converter.convert(edited, baseUrl, options)]))
+        .toBe(contentHash([converter.convert(page, baseUrl, options)]));
+    });
+
+    it('should change when the body changes', () => {
+      const changed = { ...edited, body: { storage: { value: '<p>Restart both services.</p>' } } };
+      expect(contentHash([converter.convert(changed, baseUrl)])).not.toBe(contentHash([converter.convert(page, baseUrl)]));
+    });
+
+    it('should keep section boundaries in the hash', () => {
+      expect(contentHash(['ab', 'c'])).not.toBe(contentHash(['a', 'bc']));
+    });
   });
 
   describe('HTML sanitization', () => {
@@ -0,0 +1,20 @@
+/**
+ * Example converter plugin: renders the roadmap user macro as a list of its
+ * lanes, and keeps the page's space key on decision-record macros
+ */
+export default function register({ addMacroHandler, addRule, getContext, helpers }) {
+  addMacroHandler('roadmap', (content, node) => {
+    const title = helpers.getMacroParameter(node, 'title') || 'Roadmap';
+    const lanes = helpers.getMacroParameter(node, 'lanes').split(',').map(lane => lane.trim()).filter(Boolean);
+    return `\n\n**${title}**\n\n${lanes.map(lane => `- ${lane}`).join('\n')}\n\n`;
+  });
+
+  addMacroHandler('decision-record', (content, node, context) => {
+    return helpers.renderPanel('Decision record', context.spaceKey, content);
+  });
+
+  addRule('highlight', {
+    filter: node => node.nodeName === 'SPAN' && node.classList.contains('highlight'),
+    replacement: content => `==${content}== (${getContext().pageId})`,
+  });
+}
@@ -0,0 +1,137 @@
+import { describe, it, expect, vi } from 'vitest';
+import { RateLimitedHttpClient, parseRetryAfter } from '../src/confluence/http-client.js';
+
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+}
+
+function networkError(code) {
+  const error = new Error(code);
+  error.code = code;
+  return error;
+}
+
+function createClient(get, options = {}) {
+  return new RateLimitedHttpClient({ get }, { baseDelayMs: 1, maxDelayMs: 50, ...options });
+}
+
+describe('RateLimitedHttpClient', () => {
+  describe('Retries', () => {
+    it('should return the response on success', async () => {
+      const get = vi.fn().mockResolvedValue({ data: 'ok' });
+      const client = createClient(get);
+
+      const response = await client.get('/content', { params: { limit: 1 } });
+
+      expect(response.data).toBe('ok');
+      expect(get).toHaveBeenCalledWith('/content', { params: { limit: 1 } });
+    });
+
+    it('should retry throttled requests and count them', async () => {
+      const get = vi.fn()
+        .mockRejectedValueOnce(httpError(429, { 'retry-after': '0' }))
+        .mockResolvedValueOnce({ data: 'ok' });
+      const client = createClient(get);
+
+      await client.get('/content');
+
+      expect(get).toHaveBeenCalledTimes(2);
+      expect(client.getStats()).toMatchObject({ requests: 2, retries: 1, throttled: 1, failures: 0 });
+    });
+
+    it('should fail without waiting when Retry-After exceeds the limit', async () => {
+      const error = httpError(429, { 'retry-after': '3600' });
+      const get = vi.fn().mockRejectedValue(error);
+      const client = createClient(get, { maxRetryAfterMs: 60000 });
+
+      await expect(client.get('/content')).rejects.toBe(error);
+      expect(get).toHaveBeenCalledTimes(1);
+      expect(client.getStats()).toMatchObject({ retries: 0, throttled: 1, failures: 1, waitedMs: 0 });
+    });
+
+    it('should retry transient 5xx and network errors', async () => {
+      const get = vi.fn()
+        .mockRejectedValueOnce(httpError(503))
+        .mockRejectedValueOnce(networkError('ECONNRESET'))
+        .mockResolvedValueOnce({ data: 'ok' });
+      const client = createClient(get);
+
+      await client.get('/content');
+
+      expect(get).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not retry client errors', async () => {
+      const get = vi.fn().mockRejectedValue(httpError(404));
+      const client = createClient(get);
+
+      await expect(client.get('/content/1')).rejects.toThrow('404');
+      expect(get).toHaveBeenCalledTimes(1);
+      expect(client.getStats().failures).toBe(1);
+    });
+
+    it('should give up after the maximum number of retries', async () => {
+      const get = vi.fn().mockRejectedValue(httpError(502));
+      const client = createClient(get, { maxRetries: 2 });
+
+      await expect(client.get('/content')).rejects.toThrow('502');
+      expect(get).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('should honour Retry-After', () => {
+      const client = createClient(vi.fn(), { maxDelayMs: 60000 });
+
+      expect(client.getRetryDelay(httpError(429, { 'retry-after': '7' }), 0)).toBe(7000);
+    });
+
+    it('should not cap Retry-After at the maximum backoff delay', () => {
+      const client = createClient(vi.fn(), { maxDelayMs: 5000 });
+
+      expect(client.getRetryDelay(httpError(429, { 'retry-after': '120' }), 0)).toBe(120000);
+    });
+
+    it('should use jittered exponential backoff without Retry-After', () => {
+      const client = createClient(vi.fn(), { baseDelayMs: 1000, maxDelayMs: 60000 });
+      vi.spyOn(Math, 'random').mockReturnValue(0.5);
+
+      expect(client.getRetryDelay(httpError(503), 0)).toBe(500);
+      expect(client.getRetryDelay(httpError(503), 3)).toBe(4000);
+    });
+  });
+
+  describe('Concurrency', () => {
+    it('should cap the number of requests in flight', async () => {
+      let inFlight = 0;
+      let peak = 0;
+      const get = vi.fn(async () => {
+        inFlight++;
+        peak = Math.max(peak, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        inFlight--;
+        return { data: 'ok' };
+      });
+      const client = createClient(get, { maxConcurrent: 2 });
+
+      await Promise.all(Array.from({ length: 6 }, () => client.get('/content')));
+
+      expect(get).toHaveBeenCalledTimes(6);
+      expect(peak).toBe(2);
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    it('should parse seconds and HTTP dates', () => {
+      expect(parseRetryAfter('3')).toBe(3000);
+      expect(parseRetryAfter(new Date(Date.now() + 10000).toUTCString())).toBeGreaterThan(8000);
+    });
+
+    it('should return null for missing or invalid values', () => {
+      expect(parseRetryAfter(undefined)).toBeNull();
+      expect(parseRetryAfter('soon')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { PageFilter, getPageLabels } from '../src/sync/page-filter.js';
+
+function mockPage(overrides = {}) {
+  return {
+    id: '100',
+    type: 'page',
+    title: 'Deploy Runbook',
+    ancestors: [{ id: '1' }, { id: '10' }],
+    metadata: { labels: { results: [{ name: 'runbook' }, { name: 'Ops' }] } },
+    ...overrides,
+  };
+}
+
+describe('PageFilter', () => {
+  it('should include everything when no rules are set', () => {
+    const filter = new PageFilter({});
+
+    expect(filter.isActive()).toBe(false);
+    expect(filter.includes(mockPage())).toBe(true);
+  });
+
+  it('should exclude pages with an excluded label', () => {
+    const filter = new PageFilter({ excludeLabels: ['draft', 'ops'] });
+
+    expect(filter.getExclusionReason(mockPage())).toBe('label "ops"');
+  });
+
+  it('should exclude pages matching the exclude title pattern', () => {
+    const filter = new PageFilter({ excludeTitlePattern: '^(DRAFT|DEPRECATED)\\b' });
+
+    expect(filter.includes(mockPage({ title: 'DEPRECATED Old runbook' }))).toBe(false);
+    expect(filter.includes(mockPage())).toBe(true);
+  });
+
+  it('should exclude pages beneath an excluded ancestor', () => {
+    const filter = new PageFilter({ excludeAncestorIds: ['10'] });
+
+    expect(filter.includes(mockPage())).toBe(false);
+    expect(filter.includes(mockPage({ id: '10', ancestors: [{ id: '1' }] }))).toBe(false);
+    expect(filter.includes(mockPage({ ancestors: [{ id: '1' }] }))).toBe(true);
+  });
+
+  it('should require every kind of include rule that is set', () => {
+    const filter = new PageFilter({ includeLabels: ['runbook'], includeAncestorIds: ['20'] });
+
+    expect(filter.getExclusionReason(mockPage())).toBe('outside included ancestors');
+    expect(filter.includes(mockPage({ ancestors: [{ id: '20' }] }))).toBe(true);
+    expect(filter.getExclusionReason(mockPage({ ancestors: [{ id: '20' }], metadata: {} })))
+      .toBe('missing required label');
+  });
+
+  it('should let exclude rules win over include rules', () => {
+    const filter = new PageFilter({ includeLabels: ['runbook'], excludeTitlePattern: 'Deploy' });
+
+    expect(filter.includes(mockPage())).toBe(false);
+  });
+
+  it('should not apply ancestor rules to blog posts', () => {
+    const filter = new PageFilter({ includeAncestorIds: ['20'] });
+
+    expect(filter.includes(mockPage({ type: 'blogpost', ancestors: [] }))).toBe(true);
+  });
+
+  it('should read lowercase label names', () => {
+    expect(getPageLabels(mockPage())).toEqual(['runbook', 'ops']);
+  });
+});
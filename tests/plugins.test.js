@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { fileURLToPath } from 'url';
+import { ConfluenceConverter } from '../src/confluence/converter.js';
+import { loadPlugin, loadPlugins } from '../src/confluence/plugins.js';
+import { runPluginFixtures } from '../src/confluence/plugin-harness.js';
+
+const fixturePath = name => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+describe('Converter plugins', () => {
+  it('should load the plugins in a directory', async () => {
+    const plugins = await loadPlugins(fixturePath('plugins'));
+
+    expect(plugins.map(plugin => plugin.name)).toEqual(['roadmap']);
+    expect(typeof plugins[0].register).toBe('function');
+    expect(plugins[0].version).toMatch(/^[0-9a-f]{12}$/);
+  });
+
+  it('should reject plugins without a register function', async () => {
+    await expect(loadPlugin(fixturePath('invalid-plugins/no-register.js')))
+      .rejects.toThrow('Converter plugin no-register must export a register function');
+  });
+
+  it('should reject a missing plugin directory', async () => {
+    await expect(loadPlugins(fixturePath('no-such-dir'))).rejects.toThrow('Converter plugin directory not found');
+  });
+
+  it('should convert custom macros with page context', async () => {
+    const converter = new ConfluenceConverter();
+    converter.use(await loadPlugin(fixturePath('plugins/roadmap.js')));
+
+    const markdown = converter.toMarkdown(
+      '<ac:structured-macro ac:name="decision-record"><ac:rich-text-body><p>Ship it</p></ac:rich-text-body></ac:structured-macro>',
+      { spaceKey: 'ENG', pageId: '42' }
+    );
+
+    expect(markdown).toBe('> **Decision record: ENG**\n>\n> Ship it');
+    expect(converter.plugins).toEqual(['roadmap']);
+    expect(converter.getPluginVersion()).toMatch(/^roadmap@[0-9a-f]{12}$/);
+  });
+
+  it('should let plugins replace built-in macro handlers', () => {
+    const converter = new ConfluenceConverter();
+    converter.use({
+      name: 'status-text',
+      register: ({ addMacroHandler, helpers }) => {
+        addMacroHandler('status', (content, node) => `Status: ${helpers.getMacroParameter(node, 'title')}`);
+      },
+    });
+
+    const markdown = converter.toMarkdown(
+      '<p><ac:structured-macro ac:name="status"><ac:parameter ac:name="title">DONE</ac:parameter></ac:structured-macro></p>'
+    );
+
+    expect(markdown).toBe('Status: DONE');
+    expect(new ConfluenceConverter().toMarkdown(
+      '<p><ac:structured-macro ac:name="status"><ac:parameter ac:name="title">DONE</ac:parameter></ac:structured-macro></p>'
+    )).toBe('[DONE]');
+  });
+
+  describe('runPluginFixtures', () => {
+    it('should compare each fixture with its expected markdown', async () => {
+      const results = await runPluginFixtures(fixturePath('plugins/roadmap.js'), fixturePath('plugins/roadmap'));
+
+      expect(results.map(result => result.name)).toEqual(['decision', 'lanes']);
+      for (const result of results) {
+        expect(result.actual).toBe(result.expected);
+        expect(result.passed).toBe(true);
+      }
+    });
+
+    it('should report fixtures that do not match', async () => {
+      const plugin = { name: 'noop', register: () => {} };
+
+      const results = await runPluginFixtures(plugin, fixturePath('plugins/roadmap'));
+
+      expect(results.every(result => !result.passed)).toBe(true);
+      expect(results[1].actual).toBe('Plans for the year.');
+    });
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SpaceResolver } from '../src/sync/space-resolver.js';
+import { config } from '../src/config.js';
+
+describe('SpaceResolver', () => {
+  let client;
+  let resolver;
+  let discovery;
+
+  beforeEach(() => {
+    discovery = config.confluence.spaceDiscovery;
+    config.confluence.spaceDiscovery = { excludePatterns: [], types: ['global'], statuses: ['current'] };
+
+    client = {
+      getSpaces: vi.fn().mockResolvedValue([{ key: 'DOCS' }, { key: 'ENG' }, { key: 'ENGOPS' }, { key: 'TEAM' }]),
+    };
+    resolver = new SpaceResolver(client);
+  });
+
+  afterEach(() => {
+    config.confluence.spaceDiscovery = discovery;
+  });
+
+  it('should return plain space keys without listing spaces', async () => {
+    expect(await resolver.resolve(['DOCS', 'TEAM'])).toEqual(['DOCS', 'TEAM']);
+    expect(client.getSpaces).not.toHaveBeenCalled();
+  });
+
+  it('should expand wildcards against the accessible spaces', async () => {
+    expect(await resolver.resolve(['*'])).toEqual(['DOCS', 'ENG', 'ENGOPS', 'TEAM']);
+    expect(await resolver.resolve(['eng*', 'DOCS'])).toEqual(['ENG', 'ENGOPS', 'DOCS']);
+    expect(await resolver.resolve(['EN?'])).toEqual(['ENG']);
+  });
+
+  it('should drop excluded spaces', async () => {
+    config.confluence.spaceDiscovery.excludePatterns = ['ENG*', 'TEAM'];
+
+    expect(await resolver.resolve(['*'])).toEqual(['DOCS']);
+  });
+
+  it('should only filter on type and status when one value is wanted', async () => {
+    await resolver.resolve(['*']);
+    expect(client.getSpaces).toHaveBeenLastCalledWith({ type: 'global', status: 'current' });
+
+    config.confluence.spaceDiscovery.types = ['global', 'personal'];
+    config.confluence.spaceDiscovery.statuses = ['current', 'archived'];
+    await resolver.resolve(['*']);
+    expect(client.getSpaces).toHaveBeenLastCalledWith({ type: undefined, status: undefined });
+  });
+});
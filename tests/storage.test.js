@@ -1,6 +1,7 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { PageStorage } from '../src/confluence/storage.js';
 import { initializeConfig } from '../src/config.js';
+import { db } from '../src/utils/database.js';
 import * as fs from 'fs';
 import * as path from 'path';
 import { TEST_CONTENT_DIR } from './setup.js';
@@ -127,6 +128,75 @@ describe('PageStorage', () => {
     });
   });
 
+  describe('Attachments', () => {
+    const attachment = { id: 'att-1', title: 'Design Spec (v2).PDF' };
+
+    it('should save attachments in a per-page directory', () => {
+      const result = storage.saveAttachment('DOCS', '123', attachment, Buffer.from('%PDF'));
+
+      expect(result.success).toBe(true);
+      expect(result.filePath).toBe(
+        path.join(TEST_CONTENT_DIR, 'docs_123_attachments', 'att-1_design-spec-v2.pdf')
+      );
+      expect(fs.readFileSync(result.filePath, 'utf-8')).toBe('%PDF');
+    });
+
+    it('should remove the directory with the last attachment', () => {
+      const { filePath } = storage.saveAttachment('DOCS', '123', attachment, Buffer.from('%PDF'));
+
+      expect(storage.deleteAttachment(filePath)).toBe(true);
+      expect(fs.existsSync(path.dirname(filePath))).toBe(false);
+    });
+  });
+
+  describe('Sections', () => {
+    const page = {
+      id: '77',
+      title: 'Big Runbook',
+      space: { key: 'OPS', name: 'Operations' },
+      version: { number: 2, when: '2024-01-01T00:00:00.000Z' },
+      _links: { webui: '/spaces/OPS/pages/77' },
+      ancestors: [],
+    };
+    const section = (title, markdown) => ({ title, url: `https://wiki/77#${title}`, markdown });
+
+    beforeEach(() => {
+      vi.restoreAllMocks();
+      vi.spyOn(db, 'getPage').mockReturnValue(undefined);
+      vi.spyOn(db, 'getPageSections').mockReturnValue([]);
+      vi.spyOn(db, 'upsertPage').mockReturnValue({});
+      vi.spyOn(db, 'replacePageSections').mockReturnValue(undefined);
+    });
+
+    it('should save one file per section and record the sections', () => {
+      const result = storage.savePageSections(page, [section(null, 'Intro'), section('Restart', '# Restart')]);
+
+      expect(result.success).toBe(true);
+      expect(result.filePaths).toEqual([
+        path.join(TEST_CONTENT_DIR, 'ops_77_big-runbook_section-01.md'),
+        path.join(TEST_CONTENT_DIR, 'ops_77_big-runbook_section-02.md'),
+      ]);
+      expect(fs.readFileSync(result.filePaths[1], 'utf-8')).toBe('# Restart');
+      expect(db.upsertPage).toHaveBeenCalledWith(expect.objectContaining({ pageId: '77', filePath: result.filePaths[0] }));
+      expect(db.replacePageSections).toHaveBeenCalledWith('77', [
+        { title: null, url: 'https://wiki/77#null', filePath: result.filePaths[0] },
+        { title: 'Restart', url: 'https://wiki/77#Restart', filePath: result.filePaths[1] },
+      ]);
+    });
+
+    it('should replace all earlier section files of the page', () => {
+      const earlier = storage.savePageSections(page, [section(null, 'Intro'), section('A', '# A'), section('B', '# B')]);
+      db.getPage.mockReturnValue({ page_id: '77', file_path: earlier.filePaths[0] });
+      db.getPageSections.mockReturnValue(earlier.filePaths.map(filePath => ({ file_path: filePath })));
+
+      const result = storage.savePageSections(page, [section(null, 'Short now')]);
+
+      expect(result.filePaths).toEqual([storage.getPageFilePath(page)]);
+      earlier.filePaths.forEach(filePath => expect(fs.existsSync(filePath)).toBe(false));
+      expect(db.replacePageSections).toHaveBeenLastCalledWith('77', []);
+    });
+  });
+
   describe('Storage statistics', () => {
     it('should return correct statistics', () => {
       const page1 = {
@@ -1,5 +1,7 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { StoreManager } from '../src/sync/store-manager.js';
+import { config } from '../src/config.js';
+import { db } from '../src/utils/database.js';
 
 describe('StoreManager', () => {
   let manager;
@@ -35,6 +37,7 @@ describe('StoreManager', () => {
       };
 
       vi.spyOn(manager, 'getStoreFromDatabase').mockResolvedValue(mockDbStore);
+      vi.spyOn(manager.ai.fileSearchStores, 'get').mockResolvedValue({ name: mockDbStore.name });
 
       const store = await manager.getOrCreateStore();
 
@@ -49,11 +52,67 @@ describe('StoreManager', () => {
       };
 
       vi.spyOn(manager, 'getStoreFromDatabase').mockResolvedValue(mockDbStore);
+      vi.spyOn(manager.ai.fileSearchStores, 'get').mockResolvedValue({ name: mockDbStore.name });
 
       const store = await manager.getOrCreateStore();
 
       expect(store.name).toBe(mockDbStore.name);
       expect(store.display_name).toBe(mockDbStore.display_name);
+      expect(manager.ai.fileSearchStores.get).toHaveBeenCalledWith({ name: mockDbStore.name });
+    });
+
+    it('should recreate a store deleted remotely and queue all content again', async () => {
+      vi.spyOn(manager, 'getStoreFromDatabase').mockResolvedValue({ name: 'fileSearchStores/deleted-123' });
+      vi.spyOn(manager.ai.fileSearchStores, 'get').mockRejectedValue(
+        Object.assign(new Error('File search store not found'), { status: 404 })
+      );
+      vi.spyOn(manager.ai.fileSearchStores, 'create').mockResolvedValue({ name: 'fileSearchStores/new-456' });
+      vi.spyOn(manager, 'saveStoreToDatabase').mockResolvedValue();
+      const forgetSpy = vi.spyOn(db, 'forgetFileSearchStore').mockReturnValue();
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const store = await manager.getOrCreateStore();
+
+      expect(store.name).toBe('fileSearchStores/new-456');
+      expect(forgetSpy).toHaveBeenCalledWith('fileSearchStores/deleted-123');
+    });
+  });
+
+  describe('Store mappings', () => {
+    let storeMappings;
+
+    beforeEach(() => {
+      storeMappings = config.gemini.storeMappings;
+      config.gemini.storeMappings = [
+        { storeName: 'hr-restricted', spaceKeys: ['HR'] },
+        { storeName: 'engineering', spaceKeys: ['ENG*', 'HR'] },
+      ];
+    });
+
+    afterEach(() => {
+      config.gemini.storeMappings = storeMappings;
+    });
+
+    it('should route spaces to the first matching store', () => {
+      expect(manager.getStoreNameForSpace('HR')).toBe('hr-restricted');
+      expect(manager.getStoreNameForSpace('ENGOPS')).toBe('engineering');
+      expect(manager.getStoreNameForSpace('DEV')).toBe(manager.storeName);
+    });
+
+    it('should list the configured stores with the default first', () => {
+      expect(manager.getConfiguredStoreNames()).toEqual([manager.storeName, 'hr-restricted', 'engineering']);
+    });
+
+    it('should create mapped stores under their own display name', async () => {
+      vi.spyOn(manager, 'getStoreFromDatabase').mockResolvedValue(null);
+      vi.spyOn(manager.ai.fileSearchStores, 'create').mockResolvedValue({ name: 'fileSearchStores/hr-123' });
+      const saveSpy = vi.spyOn(manager, 'saveStoreToDatabase').mockResolvedValue();
+
+      await manager.getOrCreateStore('hr-restricted');
+
+      expect(manager.getStoreFromDatabase).toHaveBeenCalledWith('hr-restricted');
+      expect(manager.ai.fileSearchStores.create).toHaveBeenCalledWith({ config: { displayName: 'hr-restricted' } });
+      expect(saveSpy).toHaveBeenCalledWith({ name: 'fileSearchStores/hr-123' }, 'hr-restricted');
     });
   });
 
@@ -64,18 +123,32 @@ describe('StoreManager', () => {
         display_name: 'Test Store',
       };
 
-      vi.spyOn(manager, 'getStoreFromDatabase').mockResolvedValue(mockDbStore);
+      vi.spyOn(db, 'getFileSearchStoreByName').mockReturnValue(mockDbStore);
 
       const metadata = await manager.getStoreMetadata('fileSearchStores/test-123');
 
       expect(metadata).toBeDefined();
       expect(metadata.name).toBe('fileSearchStores/test-123');
+      expect(db.getFileSearchStoreByName).toHaveBeenCalledWith('fileSearchStores/test-123');
     });
 
-    it('should return empty array for listStoreFiles', async () => {
+    it('should list every document in a store across pages', async () => {
+      async function* pager() {
+        yield { name: 'fileSearchStores/test-123/documents/a' };
+        yield { name: 'fileSearchStores/test-123/documents/b' };
+      }
+      vi.spyOn(manager.ai.fileSearchStores.documents, 'list').mockResolvedValue(pager());
+
       const files = await manager.listStoreFiles('fileSearchStores/test-123');
 
-      expect(files).toHaveLength(0);
+      expect(manager.ai.fileSearchStores.documents.list).toHaveBeenCalledWith({
+        parent: 'fileSearchStores/test-123',
+        config: { pageSize: 20 }
+      });
+      expect(files.map(file => file.name)).toEqual([
+        'fileSearchStores/test-123/documents/a',
+        'fileSearchStores/test-123/documents/b'
+      ]);
     });
   });
 
@@ -89,8 +162,19 @@ describe('StoreManager', () => {
       await expect(manager.getOrCreateStore()).rejects.toThrow('API error');
     });
 
+    it('should not recreate the store when the check fails for another reason', async () => {
+      vi.spyOn(manager, 'getStoreFromDatabase').mockResolvedValue({ name: 'fileSearchStores/existing-123' });
+      vi.spyOn(manager.ai.fileSearchStores, 'get').mockRejectedValue(
+        Object.assign(new Error('Service unavailable'), { status: 503 })
+      );
+      vi.spyOn(manager.ai.fileSearchStores, 'create');
+
+      await expect(manager.getOrCreateStore()).rejects.toThrow('Failed to check File Search store');
+      expect(manager.ai.fileSearchStores.create).not.toHaveBeenCalled();
+    });
+
     it('should throw error if getting store metadata for non-existent store', async () => {
-      vi.spyOn(manager, 'getStoreFromDatabase').mockResolvedValue(null);
+      vi.spyOn(db, 'getFileSearchStoreByName').mockReturnValue(undefined);
 
       await expect(
         manager.getStoreMetadata('fileSearchStores/invalid')
@@ -0,0 +1,1147 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SyncService } from '../src/sync/sync-service.js';
+import { db } from '../src/utils/database.js';
+import { config } from '../src/config.js';
+import { CONVERTER_VERSION } from '../src/confluence/converter.js';
+import { contentHash } from '../src/confluence/content-hash.js';
+import { fileURLToPath } from 'url';
+
+function mockPage(id, spaceKey = 'DEV', title = `Page ${id}`) {
+  return {
+    id,
+    title,
+    space: { key: spaceKey, name: spaceKey },
+    version: { number: 1 },
+    body: { storage: { value: '<p>Content</p>' } },
+    _links: { webui: `/spaces/${spaceKey}/pages/${id}` }
+  };
+}
+
+describe('SyncService', () => {
+  let service;
+
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    service = new SyncService();
+
+    vi.spyOn(service.storeManager, 'getOrCreateStore').mockResolvedValue({
+      name: 'fileSearchStores/test-store-123'
+    });
+    vi.spyOn(service.confluenceClient, 'getAllPages').mockResolvedValue([]);
+    vi.spyOn(service.converter, 'convert').mockReturnValue('# Page');
+    vi.spyOn(service.storage, 'savePageWithMetadata').mockImplementation(page => ({
+      success: true,
+      filePath: `/content/${page.id}.md`,
+      pageId: page.id
+    }));
+    vi.spyOn(service.storage, 'deletePage').mockReturnValue(true);
+    vi.spyOn(service.uploadManager, 'uploadFilesWithRetry').mockImplementation(async (files, storeName) => ({
+      total: files.length,
+      successful: files.length,
+      failed: 0,
+      errors: [],
+      uploaded: files.map(file => ({ ...file, documentName: `${storeName}/documents/${file.filePath.split('/').pop()}` }))
+    }));
+    vi.spyOn(service.uploadManager, 'deleteDocuments').mockImplementation(async names => names.length);
+    vi.spyOn(service.storeManager, 'listStoreFiles').mockResolvedValue([]);
+
+    vi.spyOn(db, 'startSync').mockReturnValue(1);
+    vi.spyOn(db, 'completeSync').mockReturnValue({});
+    vi.spyOn(db, 'failSync').mockReturnValue({});
+    vi.spyOn(db, 'getPage').mockReturnValue(undefined);
+    vi.spyOn(db, 'getPagesBySpace').mockReturnValue([]);
+    vi.spyOn(db, 'getPagesPendingUpload').mockReturnValue([]);
+    vi.spyOn(db, 'markPageUploaded').mockReturnValue({});
+    vi.spyOn(db, 'setPageFidelity').mockReturnValue({});
+    vi.spyOn(db, 'setPageContentHash').mockReturnValue({});
+    vi.spyOn(db, 'getPagesWithOutdatedConverter').mockReturnValue([]);
+    vi.spyOn(db, 'markSpacePendingUpload').mockReturnValue(0);
+    vi.spyOn(db, 'deletePage').mockReturnValue({});
+    vi.spyOn(db, 'getPageSections').mockReturnValue([]);
+    vi.spyOn(db, 'getDocumentNames').mockReturnValue([]);
+    vi.spyOn(db, 'countUntrackedUploads').mockReturnValue(0);
+    vi.spyOn(db, 'getSpaceSyncState').mockReturnValue(undefined);
+    vi.spyOn(db, 'updateSpaceSyncState').mockReturnValue({});
+    vi.spyOn(service.attachmentSync, 'removePageAttachments').mockReturnValue(0);
+  });
+
+  it('should complete a sync with no pages', async () => {
+    const result = await service.sync({ spaceKeys: ['DEV'] });
+
+    expect(result.success).toBe(true);
+    expect(db.completeSync).toHaveBeenCalledWith(1, expect.objectContaining({ added: 0, failed: 0 }));
+  });
+
+  it('should convert, save and upload new pages', async () => {
+    service.confluenceClient.getAllPages.mockResolvedValue([mockPage('1'), mockPage('2')]);
+
+    const result = await service.sync({ spaceKeys: ['DEV'] });
+
+    expect(result.stats.added).toBe(2);
+    expect(service.storage.savePageWithMetadata).toHaveBeenCalledTimes(2);
+    expect(service.uploadManager.uploadFilesWithRetry).toHaveBeenCalledWith(
+      expect.arrayContaining([expect.objectContaining({ pageId: '1', displayName: 'DEV/Page 1' })]),
+      'fileSearchStores/test-store-123'
+    );
+    expect(db.markPageUploaded).toHaveBeenCalledWith('1', 'fileSearchStores/test-store-123', [
+      'fileSearchStores/test-store-123/documents/1.md'
+    ], 1);
+  });
+
+  it('should look up mentioned users once and pass their names to the converter', async () => {
+    const mention = '<p><ac:link><ri:user ri:account-id="557058:abc" /></ac:link></p>';
+    service.confluenceClient.getAllPages.mockResolvedValue([
+      { ...mockPage('1'), body: { storage: { value: mention + mention } } }
+    ]);
+    vi.spyOn(service.confluenceClient, 'getUserDisplayName').mockResolvedValue('Aroha Ngata');
+
+    await service.sync({ spaceKeys: ['DEV'] });
+
+    expect(service.confluenceClient.getUserDisplayName).toHaveBeenCalledTimes(1);
+    expect(service.confluenceClient.getUserDisplayName).toHaveBeenCalledWith(expect.objectContaining({ accountId: '557058:abc' }));
+    expect(service.converter.convert.mock.calls[0][2].users).toEqual(new Map([['557058:abc', 'Aroha Ngata']]));
+  });
+
+  it('should record what each page lost in conversion', async () => {
+    service.confluenceClient.getAllPages.mockResolvedValue([mockPage('1')]);
+    service.converter.convert.mockImplementation((page, wikiUrl, options) => {
+      options.fidelity.unknownMacros.roadmap = 2;
+      options.fidelity.imagesWithoutAlt = 1;
+      return '# Page';
+    });
+
+    await service.sync({ spaceKeys: ['DEV'] });
+
+    expect(db.setPageFidelity).toHaveBeenCalledWith('1', 3, expect.objectContaining({ unknownMacros: { roadmap: 2 } }));
+  });
+
+  it('should rank pages and lost macros in the fidelity report', () => {
+    vi.spyOn(db, 'getFidelityBySpace').mockReturnValue([
+      { space_key: 'DEV', pages: 10, pages_with_loss: 2, loss: 5 },
+      { space_key: 'OPS', pages: 3, pages_with_loss: 0, loss: 0 },
+    ]);
+    vi.spyOn(db, 'getPagesWithLoss').mockReturnValue([
+      {
+        page_id: '1', space_key: 'DEV', title: 'Roadmap', url: 'https://wiki/1',
+        fidelity_report: JSON.stringify({ unknownMacros: { roadmap: 3 }, unhandledElements: {}, imagesWithoutAlt: 1, emptyOutput: false })
+      },
+      {
+        page_id: '2', space_key: 'DEV', title: 'Team', url: 'https://wiki/2',
+        fidelity_report: JSON.stringify({ unknownMacros: { roadmap: 1 }, unhandledElements: {}, imagesWithoutAlt: 0, emptyOutput: false })
+      },
+    ]);
+
+    const report = service.getFidelityReport({ spaceKey: 'DEV', limit: 1 });
+
+    expect(db.getPagesWithLoss).toHaveBeenCalledWith('DEV');
+    expect(report.spaces.map(space => space.space_key)).toEqual(['DEV']);
+    expect(report.pages).toEqual([expect.objectContaining({ pageId: '1', unknownMacros: 3, imagesWithoutAlt: 1, total: 4 })]);
+    expect(report.unknownMacros).toEqual([{ name: 'roadmap', count: 4 }]);
+  });
+
+  it('should count updated and unchanged pages separately', async () => {
+    const updated = { ...mockPage('1'), version: { number: 3 } };
+    const unchanged = mockPage('2');
+    service.confluenceClient.getAllPages.mockResolvedValue([updated, unchanged]);
+    db.getPage.mockImplementation(id => ({ page_id: id, title: `Page ${id}`, version: 1, converter_version: CONVERTER_VERSION }));
+
+    const result = await service.sync({ spaceKeys: ['DEV'] });
+
+    expect(result.stats.updated).toBe(1);
+    expect(result.stats.skipped).toBe(1);
+    expect(result.stats.added).toBe(0);
+  });
+
+  it('should retry pages whose earlier upload failed', async () => {
+    const page = mockPage('1');
+    service.confluenceClient.getAllPages.mockResolvedValue([page]);
+    db.getPage.mockReturnValue({ page_id: '1', title: 'Page 1', version: 1 });
+    db.getPagesPendingUpload.mockReturnValue([{ page_id: '1' }]);
+
+    const result = await service.sync({ spaceKeys: ['DEV'] });
+
+    expect(result.stats.updated).toBe(1);
+    expect(result.stats.skipped).toBe(0);
+  });
+
+  it('should record page failures without stopping the space', async () => {
+    service.confluenceClient.getAllPages.mockResolvedValue([mockPage('1'), mockPage('2')]);
+    service.converter.convert
+      .mockImplementationOnce(() => { throw new Error('Conversion failed'); })
+      .mockReturnValueOnce('# Page 2');
+
+    const result = await service.sync({ spaceKeys: ['DEV'] });
+
+    expect(result.success).toBe(true);
+    expect(result.stats.added).toBe(1);
+    expect(result.stats.failed).toBe(1);
+    expect(result.stats.errors[0]).toMatchObject({ stage: 'process', pageId: '1' });
+    expect(db.completeSync).toHaveBeenCalledWith(1, expect.objectContaining({
+      failed: 1,
+      error: expect.stringContaining('Conversion failed')
+    }));
+  });
+
+  it('should not count pages whose upload failed', async () => {
+    service.confluenceClient.getAllPages.mockResolvedValue([mockPage('1')]);
+    service.uploadManager.uploadFilesWithRetry.mockResolvedValue({
+      total: 1,
+      successful: 0,
+      failed: 1,
+      errors: [{ file: 'DEV/Page 1', error: 'Upload failed', attempts: 3 }],
+      uploaded: []
+    });
+
+    const result = await service.sync({ spaceKeys: ['DEV'] });
+
+    expect(result.stats.added).toBe(0);
+    expect(result.stats.failed).toBe(1);
+    expect(db.markPageUploaded).not.toHaveBeenCalled();
+  });
+
+  it('should continue with other spaces when one fails to fetch', async () => {
+    service.confluenceClient.getAllPages
+      .mockRejectedValueOnce(new Error('Space not found'))
+      .mockResolvedValueOnce([mockPage('2', 'OPS')]);
+
+    const result = await service.sync({ spaceKeys: ['BAD', 'OPS'] });
+
+    expect(result.success).toBe(true);
+    expect(result.stats.added).toBe(1);
+    expect(result.stats.errors).toEqual([
+      expect.objectContaining({ stage: 'fetch', spaceKey: 'BAD' })
+    ]);
+    expect(result.stats.spaces.BAD.error).toBe('Space not found');
+  });
+
+  it('should keep pages fetched before a fetch failure', async () => {
+    const error = new Error('Failed to fetch pages from space DEV: HTTP 503');
+    error.partialResults = [mockPage('1')];
+    service.confluenceClient.getAllPages.mockRejectedValue(error);
+    db.getPagesBySpace.mockReturnValue([{ page_id: '9', title: 'Old', file_path: '/content/9.md' }]);
+
+    const result = await service.sync({ spaceKeys: ['DEV'] });
+
+    expect(result.stats.added).toBe(1);
+    expect(result.stats.deleted).toBe(0);
+    expect(result.stats.errors[0].stage).toBe('fetch');
+    expect(db.updateSpaceSyncState).not.toHaveBeenCalled();
+  });
+
+  it('should include Confluence request counters in the sync stats', async () => {
+    vi.spyOn(service.confluenceClient, 'getRequestStats').mockReturnValue({
+      requests: 12, retries: 2, throttled: 1, failures: 0, waitedMs: 3000
+    });
+
+    const result = await service.sync({ spaceKeys: ['DEV'] });
+
+    expect(result.stats.http).toMatchObject({ requests: 12, throttled: 1 });
+    expect(db.completeSync).toHaveBeenCalledWith(1, expect.objectContaining({
+      http: expect.objectContaining({ retries: 2 })
+    }));
+  });
+
+  it('should not delete pages from a space that failed to fetch', async () => {
+    service.confluenceClient.getAllPages.mockRejectedValue(new Error('Timeout'));
+    db.getPagesBySpace.mockReturnValue([{ page_id: '9', title: 'Old', file_path: '/content/9.md' }]);
+
+    const result = await service.sync({ spaceKeys: ['DEV'] });
+
+    expect(result.stats.deleted).toBe(0);
+    expect(db.deletePage).not.toHaveBeenCalled();
+  });
+
+  it('should remove pages deleted from Confluence', async () => {
+    service.confluenceClient.getAllPages.mockResolvedValue([mockPage('1')]);
+    db.getPage.mockReturnValue({ page_id: '1', title: 'Page 1', version: 1 });
+    db.getPagesBySpace.mockReturnValue([
+      { page_id: '1', title: 'Page 1', file_path: '/content/1.md' },
+      { page_id: '9', title: 'Deleted', file_path: '/content/9.md' }
+    ]);
+
+    const result = await service.sync({ spaceKeys: ['DEV'] });
+
+    expect(result.stats.deleted).toBe(1);
+    expect(db.deletePage).toHaveBeenCalledWith('9');
+    expect(service.storage.deletePage).toHaveBeenCalledWith('/content/9.md');
+    expect(service.attachmentSync.removePageAttachments).toHaveBeenCalledWith('9');
+  });
+
+  it('should mark the sync failed when the store is unavailable', async () => {
+    service.storeManager.getOrCreateStore.mockRejectedValue(new Error('API error'));
+
+    const result = await service.sync({ spaceKeys: ['DEV'] });
+
+    expect(result.success).toBe(false);
+    expect(db.failSync).toHaveBeenCalledWith(1, 'API error');
+  });
+
+  describe('Incremental fetch', () => {
+    beforeEach(() => {
+      db.getSpaceSyncState.mockReturnValue({ space_key: 'DEV', last_synced: '2024-06-01T12:00:00.000Z' });
+      vi.spyOn(service.confluenceClient, 'getChangedPages').mockResolvedValue([]);
+      vi.spyOn(service.confluenceClient, 'getPageIds').mockResolvedValue([]);
+      vi.spyOn(service.confluenceClient, 'getPageById');
+    });
+
+    it('should fetch only changed pages after a previous sync', async () => {
+      service.confluenceClient.getChangedPages.mockResolvedValue([mockPage('2')]);
+      service.confluenceClient.getPageIds.mockResolvedValue([{ id: '1' }, { id: '2' }]);
+      db.getPage.mockImplementation(id => (id === '1' ? { page_id: '1', title: 'Page 1', version: 1 } : undefined));
+
+      const result = await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(service.confluenceClient.getAllPages).not.toHaveBeenCalled();
+      const since = service.confluenceClient.getChangedPages.mock.calls[0][1];
+      expect(since.toISOString()).toBe('2024-06-01T11:00:00.000Z'); // One hour overlap
+      expect(result.stats.added).toBe(1);
+      expect(result.stats.skipped).toBe(1);
+    });
+
+    it('should detect deletions from the ID listing', async () => {
+      service.confluenceClient.getPageIds.mockResolvedValue([{ id: '1' }]);
+      db.getPagesBySpace.mockReturnValue([
+        { page_id: '1', title: 'Page 1', file_path: '/content/1.md' },
+        { page_id: '9', title: 'Deleted', file_path: '/content/9.md' }
+      ]);
+      db.getPage.mockImplementation(id => (id === '1' ? { page_id: '1', title: 'Page 1', version: 1 } : undefined));
+
+      const result = await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(result.stats.deleted).toBe(1);
+      expect(db.deletePage).toHaveBeenCalledWith('9');
+    });
+
+    it('should refetch unchanged pages whose upload is pending', async () => {
+      service.confluenceClient.getPageIds.mockResolvedValue([{ id: '1' }]);
+      service.confluenceClient.getPageById.mockResolvedValue(mockPage('1'));
+      db.getPagesPendingUpload.mockReturnValue([{ page_id: '1' }]);
+      db.getPage.mockReturnValue({ page_id: '1', title: 'Page 1', version: 1 });
+
+      const result = await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(service.confluenceClient.getPageById).toHaveBeenCalledWith('1', 'DEV');
+      expect(result.stats.updated).toBe(1);
+    });
+
+    it('should refetch and re-convert pages from an older converter', async () => {
+      service.confluenceClient.getPageIds.mockResolvedValue([{ id: '1' }]);
+      service.confluenceClient.getPageById.mockResolvedValue(mockPage('1'));
+      db.getPagesWithOutdatedConverter.mockReturnValue([{ page_id: '1' }]);
+      db.getPage.mockReturnValue({
+        page_id: '1', title: 'Page 1', version: 1, converter_version: CONVERTER_VERSION - 1,
+        content_hash: 'old', file_search_store_name: 'fileSearchStores/test-store-123'
+      });
+
+      const result = await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(db.getPagesWithOutdatedConverter).toHaveBeenCalledWith('DEV', CONVERTER_VERSION, '');
+      expect(service.confluenceClient.getPageById).toHaveBeenCalledWith('1', 'DEV');
+      expect(result.stats.updated).toBe(1);
+    });
+
+    it('should only refetch as many pages as MAX_PAGES_PER_SYNC allows', async () => {
+      const maxPagesPerSync = config.sync.maxPagesPerSync;
+      config.sync.maxPagesPerSync = 2;
+      const ids = ['1', '2', '3', '4', '5'];
+      service.confluenceClient.getPageIds.mockResolvedValue(ids.map(id => ({ id })));
+      service.confluenceClient.getPageById.mockImplementation(async id => mockPage(id));
+      db.getPagesWithOutdatedConverter.mockReturnValue(ids.map(id => ({ page_id: id })));
+      db.getPage.mockImplementation(id => ({ page_id: id, title: `Page ${id}`, version: 1, converter_version: null }));
+
+      try {
+        const result = await service.sync({ spaceKeys: ['DEV'] });
+
+        expect(service.confluenceClient.getPageById).toHaveBeenCalledTimes(2);
+        expect(result.stats.updated).toBe(2);
+        expect(db.updateSpaceSyncState).not.toHaveBeenCalled();
+      } finally {
+        config.sync.maxPagesPerSync = maxPagesPerSync;
+      }
+    });
+
+    it('should fetch listed pages that were never synced', async () => {
+      // A label or filter change doesn't bump the version, so page 2 isn't in
+      // the lastmodified results
+      service.confluenceClient.getPageIds.mockResolvedValue([{ id: '1' }, { id: '2' }]);
+      service.confluenceClient.getPageById.mockResolvedValue(mockPage('2'));
+      db.getPage.mockImplementation(id => (id === '1' ? { page_id: '1', title: 'Page 1', version: 1 } : undefined));
+
+      const result = await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(service.confluenceClient.getPageById).toHaveBeenCalledTimes(1);
+      expect(service.confluenceClient.getPageById).toHaveBeenCalledWith('2', 'DEV');
+      expect(result.stats.added).toBe(1);
+    });
+
+    it('should use a full fetch when forced', async () => {
+      await service.sync({ spaceKeys: ['DEV'], forceFullSync: true });
+
+      expect(service.confluenceClient.getAllPages).toHaveBeenCalledWith('DEV', 'page');
+      expect(service.confluenceClient.getChangedPages).not.toHaveBeenCalled();
+    });
+
+    it('should advance the watermark only when every page was processed', async () => {
+      service.confluenceClient.getChangedPages.mockResolvedValue([mockPage('1')]);
+      service.confluenceClient.getPageIds.mockResolvedValue([{ id: '1' }]);
+      service.converter.convert.mockImplementation(() => { throw new Error('Conversion failed'); });
+
+      await service.sync({ spaceKeys: ['DEV'] });
+      expect(db.updateSpaceSyncState).not.toHaveBeenCalled();
+
+      service.converter.convert.mockReturnValue('# Page 1');
+      await service.sync({ spaceKeys: ['DEV'] });
+      expect(db.updateSpaceSyncState).toHaveBeenCalledWith('DEV', expect.any(String));
+    });
+  });
+
+  describe('Blog posts', () => {
+    beforeEach(() => {
+      config.confluence.spaces.DEV = { contentTypes: ['page', 'blogpost'] };
+    });
+
+    afterEach(() => {
+      delete config.confluence.spaces.DEV;
+    });
+
+    it('should fetch and upload each configured content type', async () => {
+      service.confluenceClient.getAllPages.mockImplementation(async (spaceKey, contentType) =>
+        contentType === 'blogpost' ? [{ ...mockPage('b1'), type: 'blogpost' }] : [mockPage('1')]
+      );
+
+      const result = await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(service.confluenceClient.getAllPages).toHaveBeenCalledWith('DEV', 'blogpost');
+      expect(result.stats.added).toBe(2);
+    });
+
+    it('should detect deletions separately for each content type', async () => {
+      service.confluenceClient.getAllPages.mockImplementation(async (spaceKey, contentType) =>
+        contentType === 'blogpost' ? [] : [mockPage('1')]
+      );
+      db.getPage.mockReturnValue({ page_id: '1', title: 'Page 1', version: 1 });
+      db.getPagesBySpace.mockImplementation((spaceKey, contentType) => (contentType === 'blogpost'
+        ? [{ page_id: 'b9', title: 'Old post', file_path: '/content/b9.md' }]
+        : [{ page_id: '1', title: 'Page 1', file_path: '/content/1.md' }]
+      ));
+
+      const result = await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(result.stats.deleted).toBe(1);
+      expect(db.deletePage).toHaveBeenCalledWith('b9');
+      expect(db.deletePage).not.toHaveBeenCalledWith('1');
+    });
+
+    it('should keep pages fetched before a blog post fetch failure', async () => {
+      service.confluenceClient.getAllPages.mockImplementation(async (spaceKey, contentType) => {
+        if (contentType === 'blogpost') throw new Error('Timeout');
+        return [mockPage('1')];
+      });
+
+      const result = await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(result.stats.added).toBe(1);
+      expect(db.deletePage).not.toHaveBeenCalled();
+      expect(db.updateSpaceSyncState).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Page filters', () => {
+    beforeEach(() => {
+      config.confluence.spaces.DEV = { excludeLabels: ['draft'] };
+    });
+
+    afterEach(() => {
+      delete config.confluence.spaces.DEV;
+    });
+
+    it('should skip excluded pages before change detection', async () => {
+      const draft = { ...mockPage('2'), metadata: { labels: { results: [{ name: 'draft' }] } } };
+      service.confluenceClient.getAllPages.mockResolvedValue([mockPage('1'), draft]);
+      vi.spyOn(service.changeDetector, 'detectChanges');
+
+      const result = await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(service.changeDetector.detectChanges).toHaveBeenCalledWith([expect.objectContaining({ id: '1' })]);
+      expect(result.stats.added).toBe(1);
+    });
+
+    it('should remove synced pages that start matching an exclude rule', async () => {
+      const draft = { ...mockPage('2'), metadata: { labels: { results: [{ name: 'draft' }] } } };
+      service.confluenceClient.getAllPages.mockResolvedValue([draft]);
+      db.getPage.mockImplementation(id => (id === '2'
+        ? { page_id: '2', title: 'Page 2', version: 1, file_path: '/content/2.md' }
+        : undefined));
+
+      const result = await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(result.stats.deleted).toBe(1);
+      expect(db.deletePage).toHaveBeenCalledWith('2');
+      expect(service.storage.deletePage).toHaveBeenCalledWith('/content/2.md');
+      expect(service.uploadManager.uploadFilesWithRetry).not.toHaveBeenCalled();
+    });
+
+    it('should fetch unchanged pages that no longer match an exclude rule', async () => {
+      // Removing a label doesn't change the version, so neither page was modified
+      db.getSpaceSyncState.mockReturnValue({ space_key: 'DEV', last_synced: '2024-06-01T12:00:00.000Z' });
+      vi.spyOn(service.confluenceClient, 'getChangedPages').mockResolvedValue([]);
+      vi.spyOn(service.confluenceClient, 'getPageIds').mockResolvedValue([
+        { id: '2' },
+        { id: '3', metadata: { labels: { results: [{ name: 'draft' }] } } },
+      ]);
+      vi.spyOn(service.confluenceClient, 'getPageById').mockResolvedValue(mockPage('2'));
+
+      const result = await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(service.confluenceClient.getPageById).toHaveBeenCalledTimes(1);
+      expect(service.confluenceClient.getPageById).toHaveBeenCalledWith('2', 'DEV');
+      expect(result.stats.added).toBe(1);
+    });
+  });
+
+  describe('Page trees', () => {
+    beforeEach(() => {
+      config.confluence.spaces.DEV = { rootPageIds: ['10'] };
+      vi.spyOn(service.confluenceClient, 'getPageTree').mockResolvedValue([mockPage('10'), mockPage('11')]);
+      vi.spyOn(service.confluenceClient, 'getPageTreeIds').mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+      delete config.confluence.spaces.DEV;
+    });
+
+    it('should fetch only the configured page trees', async () => {
+      const result = await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(service.confluenceClient.getPageTree).toHaveBeenCalledWith('DEV', ['10'], null);
+      expect(service.confluenceClient.getAllPages).not.toHaveBeenCalled();
+      expect(result.stats.added).toBe(2);
+    });
+
+    it('should not delete synced pages outside the trees', async () => {
+      db.getPagesBySpace.mockReturnValue([
+        { page_id: '10', title: 'Root', file_path: '/content/10.md', ancestor_ids: '[]' },
+        { page_id: '12', title: 'Moved away', file_path: '/content/12.md', ancestor_ids: '["10"]' },
+        { page_id: '99', title: 'Elsewhere', file_path: '/content/99.md', ancestor_ids: '["1"]' }
+      ]);
+
+      const result = await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(result.stats.deleted).toBe(1);
+      expect(db.deletePage).toHaveBeenCalledWith('12');
+      expect(db.deletePage).not.toHaveBeenCalledWith('99');
+    });
+
+    it('should list tree IDs for deletion detection on incremental runs', async () => {
+      db.getSpaceSyncState.mockReturnValue({ space_key: 'DEV', last_synced: '2024-06-01T12:00:00.000Z' });
+
+      await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(service.confluenceClient.getPageTree).toHaveBeenCalledWith('DEV', ['10'], expect.any(Date));
+      expect(service.confluenceClient.getPageTreeIds).toHaveBeenCalledWith('DEV', ['10']);
+    });
+
+    it('should fetch the unchanged pages under a newly added root page', async () => {
+      config.confluence.spaces.DEV = { rootPageIds: ['10', '20'] };
+      db.getSpaceSyncState.mockReturnValue({ space_key: 'DEV', last_synced: '2024-06-01T12:00:00.000Z' });
+      service.confluenceClient.getPageTree.mockResolvedValue([]);
+      service.confluenceClient.getPageTreeIds.mockResolvedValue([{ id: '10' }, { id: '20' }, { id: '21' }]);
+      vi.spyOn(service.confluenceClient, 'getPageById').mockImplementation(async id => mockPage(id));
+      db.getPage.mockImplementation(id => (id === '10' ? { page_id: '10', title: 'Page 10', version: 1 } : undefined));
+
+      const result = await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(service.confluenceClient.getPageById.mock.calls.map(([id]) => id)).toEqual(['20', '21']);
+      expect(result.stats.added).toBe(2);
+    });
+  });
+
+  describe('Space discovery', () => {
+    let configuredKeys;
+
+    beforeEach(() => {
+      configuredKeys = config.confluence.spaceKeys;
+      config.confluence.spaceKeys = ['*'];
+      vi.spyOn(service.confluenceClient, 'getSpaces').mockResolvedValue([{ key: 'DEV' }, { key: 'OPS' }]);
+      vi.spyOn(db, 'getSyncedSpaceKeys').mockReturnValue(['DEV', 'GONE']);
+      vi.spyOn(db, 'deleteSpaceSyncState').mockReturnValue({});
+      db.getPagesBySpace.mockImplementation(spaceKey => (spaceKey === 'GONE'
+        ? [{ page_id: '90', title: 'Old page', file_path: '/content/90.md' }]
+        : []));
+    });
+
+    afterEach(() => {
+      config.confluence.spaceKeys = configuredKeys;
+    });
+
+    it('should sync every space matching the configured patterns', async () => {
+      const result = await service.sync();
+
+      expect(Object.keys(result.stats.spaces)).toEqual(['DEV', 'OPS']);
+    });
+
+    it('should retire synced spaces that are no longer discovered', async () => {
+      const result = await service.sync();
+
+      expect(db.deletePage).toHaveBeenCalledWith('90');
+      expect(db.deleteSpaceSyncState).toHaveBeenCalledWith('GONE');
+      expect(result.stats.retiredSpaces).toEqual(['GONE']);
+      expect(result.stats.deleted).toBe(1);
+    });
+
+    it('should not retire spaces when the run is limited to some spaces', async () => {
+      await service.sync({ spaceKeys: ['D*'] });
+
+      expect(service.confluenceClient.getAllPages).toHaveBeenCalledWith('DEV', 'page');
+      expect(db.deleteSpaceSyncState).not.toHaveBeenCalled();
+    });
+
+    it('should fail the run rather than retire spaces when discovery fails', async () => {
+      service.confluenceClient.getSpaces.mockRejectedValue(new Error('Failed to fetch spaces: 503'));
+
+      const result = await service.sync();
+
+      expect(result.success).toBe(false);
+      expect(db.deletePage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Store routing', () => {
+    let storeMappings;
+
+    beforeEach(() => {
+      storeMappings = config.gemini.storeMappings;
+      config.gemini.storeMappings = [{ storeName: 'hr-restricted', spaceKeys: ['HR', 'PEOPLE*'] }];
+      service.storeManager.getOrCreateStore.mockImplementation(async displayName => ({
+        name: `fileSearchStores/${displayName}`
+      }));
+      service.confluenceClient.getAllPages.mockImplementation(async spaceKey => [
+        mockPage(spaceKey === 'DEV' ? '1' : '2', spaceKey)
+      ]);
+      vi.spyOn(db, 'deleteSpaceSyncState').mockReturnValue({});
+    });
+
+    afterEach(() => {
+      config.gemini.storeMappings = storeMappings;
+    });
+
+    it('should upload each space to the store it is mapped to', async () => {
+      await service.sync({ spaceKeys: ['DEV', 'HR'] });
+
+      const defaultStore = `fileSearchStores/${config.gemini.fileSearchStoreName}`;
+      expect(service.uploadManager.uploadFilesWithRetry).toHaveBeenCalledWith(
+        [expect.objectContaining({ displayName: 'DEV/Page 1' })], defaultStore
+      );
+      expect(service.uploadManager.uploadFilesWithRetry).toHaveBeenCalledWith(
+        [expect.objectContaining({ displayName: 'HR/Page 2' })], 'fileSearchStores/hr-restricted'
+      );
+    });
+
+    it('should fetch a space again when it moved to another store', async () => {
+      db.markSpacePendingUpload.mockImplementation(spaceKey => (spaceKey === 'HR' ? 3 : 0));
+
+      await service.sync({ spaceKeys: ['DEV', 'HR'] });
+
+      expect(db.markSpacePendingUpload).toHaveBeenCalledWith('HR', 'fileSearchStores/hr-restricted');
+      expect(db.deleteSpaceSyncState).toHaveBeenCalledWith('HR');
+      expect(db.deleteSpaceSyncState).not.toHaveBeenCalledWith('DEV');
+    });
+  });
+
+  describe('Content hashes', () => {
+    const storeName = 'fileSearchStores/test-store-123';
+
+    it('should skip the upload when the converted content is unchanged', async () => {
+      const updated = { ...mockPage('1'), version: { number: 2 } };
+      service.confluenceClient.getAllPages.mockResolvedValue([updated]);
+      db.getPage.mockReturnValue({
+        page_id: '1', title: 'Page 1', version: 1, converter_version: CONVERTER_VERSION,
+        content_hash: contentHash(['# Page']), file_search_store_name: storeName
+      });
+
+      const result = await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(result.stats.skipped).toBe(1);
+      expect(result.stats.updated).toBe(0);
+      expect(service.uploadManager.uploadFilesWithRetry).not.toHaveBeenCalled();
+      expect(service.storage.savePageWithMetadata).toHaveBeenCalledWith(updated, '# Page', storeName);
+      expect(db.setPageContentHash).toHaveBeenCalledWith('1', contentHash(['# Page']), CONVERTER_VERSION, '');
+    });
+
+    it('should upload unchanged content that is not in the store yet', async () => {
+      service.confluenceClient.getAllPages.mockResolvedValue([{ ...mockPage('1'), version: { number: 2 } }]);
+      db.getPage.mockReturnValue({
+        page_id: '1', title: 'Page 1', version: 1, converter_version: CONVERTER_VERSION,
+        content_hash: contentHash(['# Page']), file_search_store_name: null
+      });
+
+      const result = await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(result.stats.updated).toBe(1);
+      expect(service.uploadManager.uploadFilesWithRetry).toHaveBeenCalled();
+    });
+  });
+
+  describe('Store documents', () => {
+    const storeName = 'fileSearchStores/test-store-123';
+
+    it('should delete the previous documents of an updated page', async () => {
+      service.confluenceClient.getAllPages.mockResolvedValue([{ ...mockPage('1'), version: { number: 2 } }]);
+      db.getPage.mockReturnValue({
+        page_id: '1', title: 'Page 1', version: 1, converter_version: CONVERTER_VERSION,
+        file_search_store_name: storeName, document_names: JSON.stringify([`${storeName}/documents/old`])
+      });
+
+      await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(db.markPageUploaded).toHaveBeenCalledWith('1', storeName, [`${storeName}/documents/1.md`], 2);
+      expect(service.uploadManager.deleteDocuments).toHaveBeenCalledWith([`${storeName}/documents/old`]);
+    });
+
+    it('should keep the previous documents when the upload fails', async () => {
+      service.confluenceClient.getAllPages.mockResolvedValue([{ ...mockPage('1'), version: { number: 2 } }]);
+      db.getPage.mockReturnValue({
+        page_id: '1', title: 'Page 1', version: 1, converter_version: CONVERTER_VERSION,
+        file_search_store_name: storeName, document_names: JSON.stringify([`${storeName}/documents/old`])
+      });
+      service.uploadManager.uploadFilesWithRetry.mockImplementation(async files => ({
+        total: files.length,
+        successful: 0,
+        failed: 1,
+        errors: [{ file: files[0].displayName, error: 'Upload failed' }],
+        uploaded: []
+      }));
+
+      await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(service.uploadManager.deleteDocuments).not.toHaveBeenCalledWith([`${storeName}/documents/old`]);
+    });
+
+    it('should delete the documents of deleted pages', async () => {
+      db.getPagesBySpace.mockReturnValue([
+        { page_id: '9', title: 'Deleted', file_path: '/content/9.md', document_names: JSON.stringify([`${storeName}/documents/9`]) }
+      ]);
+
+      await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(service.uploadManager.deleteDocuments).toHaveBeenCalledWith([`${storeName}/documents/9`]);
+    });
+
+    it('should delete documents that belong to no page or attachment', async () => {
+      db.getDocumentNames.mockReturnValue([`${storeName}/documents/kept`]);
+      service.storeManager.listStoreFiles.mockResolvedValue([
+        { name: `${storeName}/documents/kept` },
+        { name: `${storeName}/documents/orphan` }
+      ]);
+
+      const result = await service.collectGarbage(storeName);
+
+      expect(result).toMatchObject({ deleted: 1, skipped: false });
+      expect(result.orphaned.map(document => document.name)).toEqual([`${storeName}/documents/orphan`]);
+      expect(service.uploadManager.deleteDocuments).toHaveBeenCalledWith([`${storeName}/documents/orphan`]);
+    });
+
+    it('should only report orphaned documents in a dry run', async () => {
+      service.storeManager.listStoreFiles.mockResolvedValue([{ name: `${storeName}/documents/orphan` }]);
+
+      const result = await service.collectGarbage(storeName, { dryRun: true });
+
+      expect(result.orphaned).toHaveLength(1);
+      expect(service.uploadManager.deleteDocuments).not.toHaveBeenCalled();
+    });
+
+    it('should not collect garbage while earlier uploads have no recorded documents', async () => {
+      db.countUntrackedUploads.mockReturnValue(3);
+
+      const result = await service.collectGarbage(storeName);
+
+      expect(result.skipped).toBe(true);
+      expect(service.storeManager.listStoreFiles).not.toHaveBeenCalled();
+    });
+
+    it('should tag page documents with the page ID and version', async () => {
+      service.confluenceClient.getAllPages.mockResolvedValue([{ ...mockPage('1'), version: { number: 4 } }]);
+
+      await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(service.uploadManager.uploadFilesWithRetry).toHaveBeenCalledWith([
+        expect.objectContaining({
+          customMetadata: [
+            { key: 'page_id', stringValue: '1' },
+            { key: 'space_key', stringValue: 'DEV' },
+            { key: 'version', numericValue: 4 }
+          ]
+        })
+      ], storeName);
+    });
+
+    it('should collect garbage after a full sync', async () => {
+      await service.sync({ spaceKeys: ['DEV'], forceFullSync: true });
+
+      expect(service.storeManager.listStoreFiles).toHaveBeenCalledWith(storeName);
+    });
+
+    it('should not collect garbage after an incremental sync', async () => {
+      await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(service.storeManager.listStoreFiles).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Reconciliation', () => {
+    const storeName = 'fileSearchStores/test-store-123';
+    const syncedPage = (id, overrides = {}) => ({
+      page_id: id,
+      space_key: 'DEV',
+      title: `Page ${id}`,
+      version: 2,
+      file_path: `/content/${id}.md`,
+      file_search_store_name: storeName,
+      document_names: JSON.stringify([`${storeName}/documents/${id}`]),
+      ...overrides
+    });
+    const storeDocument = (name, version = 2) => ({
+      name: `${storeName}/documents/${name}`,
+      displayName: `DEV/Page ${name}`,
+      customMetadata: [{ key: 'version', numericValue: version }]
+    });
+
+    beforeEach(() => {
+      vi.spyOn(db, 'getAllPages').mockReturnValue([
+        syncedPage('1'),
+        syncedPage('2'),
+        syncedPage('3'),
+        syncedPage('4', { document_names: null }),
+        syncedPage('5', { file_search_store_name: null })
+      ]);
+      vi.spyOn(db, 'markPagePendingUpload').mockReturnValue({});
+      vi.spyOn(db, 'getAllAttachments').mockReturnValue([]);
+      db.getDocumentNames.mockReturnValue(['1', '2', '3'].map(id => `${storeName}/documents/${id}`));
+      service.storeManager.listStoreFiles.mockResolvedValue([
+        storeDocument('1'),
+        storeDocument('3', 1),
+        storeDocument('orphan')
+      ]);
+    });
+
+    it('should report missing, orphaned and outdated documents', async () => {
+      const result = await service.reconcile(storeName);
+
+      expect(result.missing.map(page => page.page_id)).toEqual(['2', '4']);
+      expect(result.orphaned.map(document => document.name)).toEqual([`${storeName}/documents/orphan`]);
+      expect(result.outdated).toEqual([{ page: expect.objectContaining({ page_id: '3' }), documentVersion: 1 }]);
+      expect(service.uploadManager.uploadFilesWithRetry).not.toHaveBeenCalled();
+      expect(service.uploadManager.deleteDocuments).not.toHaveBeenCalled();
+    });
+
+    it('should compare with the last uploaded version, as unchanged uploads are skipped', async () => {
+      // Page 3 went from v1 to v2 without a content change, so v1 is still current
+      db.getAllPages.mockReturnValue([syncedPage('1'), syncedPage('3', { uploaded_version: 1 })]);
+
+      const result = await service.reconcile(storeName, { fix: true });
+
+      expect(result.outdated).toEqual([]);
+      expect(service.uploadManager.uploadFilesWithRetry).not.toHaveBeenCalled();
+    });
+
+    it('should re-upload missing and outdated pages and delete orphans when fixing', async () => {
+      const result = await service.reconcile(storeName, { fix: true });
+
+      expect(service.uploadManager.uploadFilesWithRetry).toHaveBeenCalledWith([
+        expect.objectContaining({ pageId: '2', filePath: '/content/2.md', previousDocuments: [`${storeName}/documents/2`] }),
+        expect.objectContaining({ pageId: '4', filePath: '/content/4.md', previousDocuments: [] }),
+        expect.objectContaining({ pageId: '3', filePath: '/content/3.md', previousDocuments: [`${storeName}/documents/3`] })
+      ], storeName);
+      expect(db.markPageUploaded).toHaveBeenCalledWith('3', storeName, [`${storeName}/documents/3.md`], 2);
+      expect(service.uploadManager.deleteDocuments).toHaveBeenCalledWith([`${storeName}/documents/3`]);
+      expect(service.uploadManager.deleteDocuments).toHaveBeenCalledWith([`${storeName}/documents/orphan`]);
+      expect(result).toMatchObject({ reuploaded: 3, deleted: 1, failed: [] });
+    });
+
+    it('should leave pages that fail to re-upload for the next sync', async () => {
+      service.uploadManager.uploadFilesWithRetry.mockImplementation(async files => ({
+        total: files.length,
+        successful: 0,
+        failed: files.length,
+        errors: [],
+        uploaded: []
+      }));
+
+      const result = await service.reconcile(storeName, { fix: true });
+
+      expect(result.failed).toEqual(['2', '4', '3']);
+      expect(db.markPagePendingUpload).toHaveBeenCalledWith('2');
+    });
+
+    describe('attachments', () => {
+      const syncedAttachment = (id, overrides = {}) => ({
+        attachment_id: id,
+        page_id: '1',
+        space_key: 'DEV',
+        title: `${id}.pdf`,
+        media_type: 'application/pdf',
+        file_path: `/content/attachments/${id}.pdf`,
+        file_search_store_name: storeName,
+        document_name: `${storeName}/documents/${id}`,
+        ...overrides
+      });
+
+      beforeEach(() => {
+        db.getAllPages.mockReturnValue([syncedPage('1')]);
+        db.getAllAttachments.mockReturnValue([
+          syncedAttachment('att1'),
+          syncedAttachment('att2'),
+          syncedAttachment('att3', { file_search_store_name: null })
+        ]);
+        db.getDocumentNames.mockReturnValue([`${storeName}/documents/1`, `${storeName}/documents/att1`, `${storeName}/documents/att2`]);
+        service.storeManager.listStoreFiles.mockResolvedValue([storeDocument('1'), { name: `${storeName}/documents/att1` }]);
+        db.getPage.mockReturnValue(syncedPage('1'));
+        vi.spyOn(service.uploadManager, 'uploadFile').mockResolvedValue({ response: { documentName: `${storeName}/documents/att2-new` } });
+        vi.spyOn(db, 'markAttachmentUploaded').mockReturnValue({});
+        vi.spyOn(db, 'markAttachmentPendingUpload').mockReturnValue({});
+      });
+
+      it('should report attachments missing from the store', async () => {
+        const result = await service.reconcile(storeName);
+
+        expect(result.missingAttachments.map(attachment => attachment.attachment_id)).toEqual(['att2']);
+        expect(result.orphaned).toEqual([]);
+        expect(service.uploadManager.uploadFile).not.toHaveBeenCalled();
+      });
+
+      it('should re-upload missing attachments when fixing', async () => {
+        const result = await service.reconcile(storeName, { fix: true });
+
+        expect(service.uploadManager.uploadFile).toHaveBeenCalledWith('/content/attachments/att2.pdf', storeName, expect.objectContaining({
+          displayName: 'DEV/Page 1/att2.pdf',
+          mimeType: 'application/pdf'
+        }));
+        expect(db.markAttachmentUploaded).toHaveBeenCalledWith('att2', storeName, `${storeName}/documents/att2-new`);
+        expect(result).toMatchObject({ reuploaded: 1, failedAttachments: [] });
+      });
+
+      it('should leave attachments that fail to re-upload for the next sync', async () => {
+        service.uploadManager.uploadFile.mockRejectedValue(new Error('Upload failed'));
+
+        const result = await service.reconcile(storeName, { fix: true });
+
+        expect(result.failedAttachments).toEqual(['att2']);
+        expect(db.markAttachmentPendingUpload).toHaveBeenCalledWith('att2');
+      });
+    });
+  });
+
+  describe('Section splitting', () => {
+    const sections = [
+      { title: null, url: 'https://wiki/1', markdown: 'Intro' },
+      { title: 'Install', url: 'https://wiki/1#Install', markdown: '# Install' },
+    ];
+
+    beforeEach(() => {
+      config.confluence.splitSections = true;
+      service.confluenceClient.getAllPages.mockResolvedValue([mockPage('1')]);
+      vi.spyOn(service.converter, 'convertSections').mockReturnValue(sections);
+      vi.spyOn(service.storage, 'savePageSections').mockReturnValue({
+        success: true,
+        filePaths: ['/content/1_section-01.md', '/content/1_section-02.md'],
+        pageId: '1'
+      });
+    });
+
+    afterEach(() => {
+      config.confluence.splitSections = false;
+    });
+
+    it('should upload each section of a split page', async () => {
+      const result = await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(service.converter.convertSections).toHaveBeenCalledWith(
+        expect.objectContaining({ id: '1' }),
+        config.confluence.wikiUrl,
+        expect.objectContaining({ minLength: config.confluence.sectionMinChars })
+      );
+      expect(service.uploadManager.uploadFilesWithRetry).toHaveBeenCalledWith([
+        expect.objectContaining({ filePath: '/content/1_section-01.md', displayName: 'DEV/Page 1 › Introduction', pageId: '1' }),
+        expect.objectContaining({ filePath: '/content/1_section-02.md', displayName: 'DEV/Page 1 › Install', pageId: '1' }),
+      ], 'fileSearchStores/test-store-123');
+      expect(result.stats.added).toBe(1);
+      expect(db.markPageUploaded).toHaveBeenCalledTimes(1);
+    });
+
+    it('should leave a page pending until all its sections are uploaded', async () => {
+      service.uploadManager.uploadFilesWithRetry.mockImplementation(async files => ({
+        total: files.length,
+        successful: 1,
+        failed: 1,
+        errors: [{ file: files[1].displayName, error: 'Upload failed' }],
+        uploaded: [{ ...files[0], documentName: 'fileSearchStores/test-store-123/documents/section-01' }]
+      }));
+
+      const result = await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(db.markPageUploaded).not.toHaveBeenCalled();
+      expect(service.uploadManager.deleteDocuments).toHaveBeenCalledWith(['fileSearchStores/test-store-123/documents/section-01']);
+      expect(result.stats.added).toBe(0);
+      expect(result.stats.failed).toBe(1);
+    });
+
+    it('should remove every section file of a deleted page', async () => {
+      service.confluenceClient.getAllPages.mockResolvedValue([]);
+      db.getPagesBySpace.mockReturnValue([{ page_id: '9', title: 'Deleted', file_path: '/content/9_section-01.md' }]);
+      db.getPageSections.mockReturnValue([
+        { file_path: '/content/9_section-01.md' },
+        { file_path: '/content/9_section-02.md' },
+      ]);
+
+      await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(db.deletePage).toHaveBeenCalledWith('9');
+      expect(service.storage.deletePage.mock.calls).toEqual([['/content/9_section-01.md'], ['/content/9_section-02.md']]);
+    });
+  });
+
+  describe('Converter plugins', () => {
+    afterEach(() => {
+      config.confluence.pluginDir = null;
+    });
+
+    it('should register the configured plugins once', async () => {
+      config.confluence.pluginDir = fileURLToPath(new URL('./fixtures/plugins', import.meta.url));
+      vi.spyOn(service.converter, 'use');
+
+      await service.sync({ spaceKeys: ['DEV'] });
+      await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(service.converter.use).toHaveBeenCalledTimes(1);
+      expect(service.converter.use).toHaveBeenCalledWith(expect.objectContaining({ name: 'roadmap' }));
+    });
+
+    it('should fail the run if a plugin cannot be loaded', async () => {
+      config.confluence.pluginDir = fileURLToPath(new URL('./fixtures/invalid-plugins', import.meta.url));
+
+      const result = await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(result.success).toBe(false);
+      expect(service.confluenceClient.getAllPages).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Comments', () => {
+    beforeEach(() => {
+      config.confluence.spaces.DEV = { syncComments: true };
+      vi.spyOn(service.confluenceClient, 'getComments').mockResolvedValue([
+        { id: 'c1', version: { when: '2024-06-02T08:00:00.000Z' } }
+      ]);
+      vi.spyOn(service.confluenceClient, 'getSpaceComments').mockResolvedValue([]);
+      vi.spyOn(db, 'setPageLastCommentAt').mockReturnValue({});
+    });
+
+    afterEach(() => {
+      delete config.confluence.spaces.DEV;
+    });
+
+    it('should convert pages with their comments and record the newest comment', async () => {
+      service.confluenceClient.getAllPages.mockResolvedValue([mockPage('1')]);
+
+      await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(service.converter.convert).toHaveBeenCalledWith(expect.objectContaining({ id: '1' }), undefined, {
+        comments: [expect.objectContaining({ id: 'c1' })],
+        users: expect.any(Map),
+        openTasks: false,
+        bodyFormat: 'storage',
+        metadataFormat: 'header',
+        fidelity: expect.any(Object)
+      });
+      expect(db.setPageLastCommentAt).toHaveBeenCalledWith('1', '2024-06-02T08:00:00.000Z');
+    });
+
+    it('should re-process unchanged pages with new comments', async () => {
+      service.confluenceClient.getAllPages.mockResolvedValue([mockPage('1'), mockPage('2')]);
+      service.confluenceClient.getSpaceComments.mockResolvedValue([
+        { id: 'c1', container: { id: '1' }, version: { when: '2024-06-02T08:00:00.000Z' } },
+        { id: 'c9', container: { id: '2' }, version: { when: '2024-05-01T08:00:00.000Z' } }
+      ]);
+      db.getPage.mockImplementation(id => ({
+        page_id: id, title: `Page ${id}`, version: 1, converter_version: CONVERTER_VERSION,
+        last_comment_at: '2024-06-01T00:00:00.000Z'
+      }));
+
+      const result = await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(result.stats.updated).toBe(1);
+      expect(service.confluenceClient.getComments).toHaveBeenCalledWith('1');
+      expect(service.confluenceClient.getComments).not.toHaveBeenCalledWith('2');
+    });
+
+    it('should fetch pages with new comments during incremental runs', async () => {
+      db.getSpaceSyncState.mockReturnValue({ space_key: 'DEV', last_synced: '2024-06-01T12:00:00.000Z' });
+      vi.spyOn(service.confluenceClient, 'getChangedPages').mockResolvedValue([]);
+      vi.spyOn(service.confluenceClient, 'getPageIds').mockResolvedValue([{ id: '1', type: 'page' }]);
+      vi.spyOn(service.confluenceClient, 'getPageById').mockResolvedValue(mockPage('1'));
+      service.confluenceClient.getSpaceComments.mockResolvedValue([
+        { id: 'c1', container: { id: '1' }, version: { when: '2024-06-02T08:00:00.000Z' } }
+      ]);
+      db.getPage.mockReturnValue({ page_id: '1', title: 'Page 1', version: 1, last_comment_at: null });
+
+      const result = await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(service.confluenceClient.getSpaceComments).toHaveBeenCalledWith('DEV', expect.any(Date));
+      expect(service.confluenceClient.getPageById).toHaveBeenCalledWith('1', 'DEV');
+      expect(result.stats.updated).toBe(1);
+    });
+
+    it('should not fetch comments for spaces with comments disabled', async () => {
+      config.confluence.spaces.DEV = { syncComments: false };
+      service.confluenceClient.getAllPages.mockResolvedValue([mockPage('1')]);
+
+      await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(service.confluenceClient.getSpaceComments).not.toHaveBeenCalled();
+      expect(service.confluenceClient.getComments).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Attachments', () => {
+    beforeEach(() => {
+      config.sync.attachments.enabled = true;
+      vi.spyOn(service.attachmentSync, 'syncSpace').mockResolvedValue({
+        added: 2, updated: 0, deleted: 1, failed: 0, fetchFailures: 0, errors: []
+      });
+    });
+
+    afterEach(() => {
+      config.sync.attachments.enabled = false;
+    });
+
+    it('should sync attachments after pages and count them separately', async () => {
+      service.confluenceClient.getAllPages.mockResolvedValue([mockPage('1')]);
+
+      const result = await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(service.attachmentSync.syncSpace).toHaveBeenCalledWith('DEV', 'fileSearchStores/test-store-123', {
+        since: null,
+        changedPageIds: ['1'],
+      });
+      expect(result.stats.attachments).toEqual({ added: 2, updated: 0, deleted: 1, failed: 0 });
+      expect(result.stats.added).toBe(1);
+    });
+
+    it('should keep the watermark when attachments failed to fetch', async () => {
+      service.attachmentSync.syncSpace.mockRejectedValue(new Error('Failed to fetch attachments'));
+
+      const result = await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(result.stats.errors).toContainEqual(expect.objectContaining({ stage: 'attachment', spaceKey: 'DEV' }));
+      expect(db.updateSpaceSyncState).not.toHaveBeenCalled();
+    });
+
+    it('should skip attachments when disabled', async () => {
+      config.sync.attachments.enabled = false;
+
+      await service.sync({ spaceKeys: ['DEV'] });
+
+      expect(service.attachmentSync.syncSpace).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -143,6 +143,19 @@ describe('UploadManager', () => {
       expect(manager.uploadFile).toHaveBeenCalledTimes(2);
     });
 
+    it('should return the document each file was stored as', async () => {
+      vi.spyOn(manager, 'uploadFile').mockResolvedValue({
+        done: true,
+        response: { documentName: 'fileSearchStores/store123/documents/doc-1' }
+      });
+
+      const results = await manager.uploadFilesWithRetry([{ filePath: '/file1.md', pageId: '1' }], 'store123');
+
+      expect(results.uploaded).toEqual([
+        { filePath: '/file1.md', pageId: '1', documentName: 'fileSearchStores/store123/documents/doc-1' }
+      ]);
+    });
+
     it('should fail after max retries', async () => {
       vi.spyOn(manager, 'uploadFile').mockRejectedValue(new Error('Persistent failure'));
 
@@ -155,4 +168,32 @@ describe('UploadManager', () => {
       expect(results.errors[0].attempts).toBe(2);
     });
   });
+
+  describe('Document deletion', () => {
+    it('should force-delete documents and count ones already gone', async () => {
+      const notFound = Object.assign(new Error('Not found'), { status: 404 });
+      manager.ai.fileSearchStores.documents.delete = vi.fn()
+        .mockResolvedValueOnce(undefined)
+        .mockRejectedValueOnce(notFound);
+
+      const deleted = await manager.deleteDocuments(['stores/s/documents/a', 'stores/s/documents/b']);
+
+      expect(deleted).toBe(2);
+      expect(manager.ai.fileSearchStores.documents.delete).toHaveBeenCalledWith({
+        name: 'stores/s/documents/a',
+        config: { force: true }
+      });
+    });
+
+    it('should carry on after a failed deletion', async () => {
+      manager.ai.fileSearchStores.documents.delete = vi.fn()
+        .mockRejectedValueOnce(new Error('Internal error'))
+        .mockResolvedValueOnce(undefined);
+
+      const deleted = await manager.deleteDocuments(['stores/s/documents/a', 'stores/s/documents/b']);
+
+      expect(deleted).toBe(1);
+      expect(manager.ai.fileSearchStores.documents.delete).toHaveBeenCalledTimes(2);
+    });
+  });
 });